@@ -0,0 +1,149 @@
+/**
+ * Action Replay Module - Buffers the last delivery for slow-motion playback
+ *
+ * Uses GAME_CONFIG.actionReplay for buffer length, speeds and views.
+ * Each frame keeps the ball position, the bat transform and the
+ * stump/bail body states. Playback walks the buffer at 0.25x-1x speed
+ * and hands back one frame per render for Renderer.showReplayFrame.
+ */
+
+import { GAME_CONFIG } from './config.js';
+
+export class ActionReplay {
+    constructor() {
+        this.config = GAME_CONFIG.actionReplay;
+
+        // Buffer of the last delivery
+        this.frames = [];
+        this.isRecording = false;
+        this.recordTime = 0;
+        this.stopAt = null;     // Record time to stop at (set when the ball is decided)
+
+        // Playback
+        this.isPlaying = false;
+        this.playTime = 0;
+        this.frameIndex = 0;
+        this.speed = this.config.defaultSpeed;
+        this.view = this.config.defaultView;
+    }
+
+    /**
+     * New delivery - start a fresh buffer
+     */
+    startRecording() {
+        this.frames = [];
+        this.recordTime = 0;
+        this.stopAt = null;
+        this.isRecording = this.config.enabled;
+    }
+
+    /**
+     * Ball is decided - keep a short tail (flying bails, the catch) then stop
+     */
+    endDelivery() {
+        if (this.isRecording && this.stopAt === null) {
+            this.stopAt = this.recordTime + this.config.tailDuration;
+        }
+    }
+
+    /**
+     * Buffer one frame (call every game frame)
+     * @param {number} deltaTime - Seconds since the last frame
+     * @param {Object} state - { ball: {x,y,z}, ballVisible, bat: Object3D, stumps: [body], bails: [body] }
+     */
+    capture(deltaTime, { ball, ballVisible, bat, stumps, bails }) {
+        if (!this.isRecording) return;
+
+        this.recordTime += deltaTime;
+        const bodyState = body => ({
+            position: { x: body.position.x, y: body.position.y, z: body.position.z },
+            quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w }
+        });
+
+        this.frames.push({
+            t: this.recordTime,
+            ball: { ...ball },
+            ballVisible,
+            bat: bat ? bodyState(bat) : null,
+            stumps: stumps.map(bodyState),
+            bails: bails.map(bodyState)
+        });
+
+        const limit = Math.min(this.stopAt ?? Infinity, this.config.maxDuration);
+        if (this.recordTime >= limit) {
+            this.isRecording = false;
+        }
+    }
+
+    /**
+     * Is there a delivery to replay?
+     */
+    hasReplay() {
+        return this.frames.length > 1;
+    }
+
+    /**
+     * Start playback from the first frame
+     */
+    play() {
+        if (!this.hasReplay()) return false;
+
+        this.isRecording = false;
+        this.isPlaying = true;
+        this.playTime = 0;
+        this.frameIndex = 0;
+        console.log(`🎬 Action replay: ${this.frames.length} frames at ${this.speed}x (${this.view})`);
+        return true;
+    }
+
+    stop() {
+        this.isPlaying = false;
+    }
+
+    setSpeed(speed) {
+        if (this.config.speeds.includes(speed)) this.speed = speed;
+    }
+
+    setView(view) {
+        if (this.config.views.includes(view)) this.view = view;
+    }
+
+    /**
+     * Advance playback
+     * @returns {Object|null} - Frame to show (ball interpolated), or null once finished
+     */
+    update(deltaTime) {
+        if (!this.isPlaying) return null;
+
+        this.playTime += deltaTime * this.speed;
+
+        const last = this.frames.length - 1;
+        if (this.playTime >= this.frames[last].t) {
+            this.isPlaying = false;
+            return null;
+        }
+
+        while (this.frameIndex < last && this.frames[this.frameIndex + 1].t <= this.playTime) {
+            this.frameIndex++;
+        }
+
+        // Ball moves smoothly between buffered frames, even at 0.25x
+        const a = this.frames[this.frameIndex];
+        const b = this.frames[this.frameIndex + 1];
+        const k = Math.min(1, Math.max(0, (this.playTime - a.t) / (b.t - a.t || 1)));
+
+        return {
+            ...a,
+            ball: {
+                x: a.ball.x + (b.ball.x - a.ball.x) * k,
+                y: a.ball.y + (b.ball.y - a.ball.y) * k,
+                z: a.ball.z + (b.ball.z - a.ball.z) * k
+            },
+            ballVelocity: {
+                x: (b.ball.x - a.ball.x) / (b.t - a.t || 1),
+                y: (b.ball.y - a.ball.y) / (b.t - a.t || 1),
+                z: (b.ball.z - a.ball.z) / (b.t - a.t || 1)
+            }
+        };
+    }
+}
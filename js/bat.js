@@ -13,6 +13,7 @@
 
 import * as THREE from 'three';
 import { GAME_CONFIG, getTimingQuality, getSpeedFactor } from './config.js';
+import { gameRandom } from './random.js';
 
 export class Bat {
     constructor() {
@@ -242,8 +243,10 @@ export class Bat {
      * 
      * Step 2: Direct position control (no smoothing)
      * Step 4: Swing detection (velocity tracking)
+     *
+     * @param {number} timestamp - Frame time in ms (replays pass the recorded time)
      */
-    updateFromLandmarks(landmarks, handVelocity) {
+    updateFromLandmarks(landmarks, handVelocity, timestamp = Date.now()) {
         if (!this.batGroup || !landmarks || landmarks.length < 21) return;
 
         // Get key landmarks
@@ -311,7 +314,7 @@ export class Bat {
 
         // === STEP 4: Swing Detection ===
 
-        const currentTime = Date.now();
+        const currentTime = timestamp;
         const deltaTime = (currentTime - this.previousTime) / 1000;
 
         if (this.previousHandPosition && deltaTime > 0) {
@@ -478,6 +481,8 @@ export class Bat {
                 zone: zoneInfo.name,
                 verticalZone: zoneInfo.vertical,
                 horizontalZone: zoneInfo.horizontal,
+                // Side edges fly behind the wicket regardless of height
+                trajectoryZone: zoneInfo.horizontal === 'center' ? zoneInfo.vertical : 'edge',
                 zoneMultiplier: zoneInfo.multiplier,
                 deflection: zoneInfo.deflection,
                 batSpeed: batSpeed,
@@ -631,10 +636,10 @@ export class Bat {
 
         // Calculate expected runs
         let expectedRuns = 0;
-        if (zone === 'middle') expectedRuns = Math.random() > 0.4 ? 6 : 4;
-        else if (zone === 'edge') expectedRuns = Math.random() > 0.5 ? 4 : 0;
-        else if (zone === 'shoulder') expectedRuns = Math.random() > 0.7 ? 1 : 0;
-        else if (zone === 'toe') expectedRuns = Math.random() > 0.5 ? 2 : 1;
+        if (zone === 'middle') expectedRuns = gameRandom.next() > 0.4 ? 6 : 4;
+        else if (zone === 'edge') expectedRuns = gameRandom.next() > 0.5 ? 4 : 0;
+        else if (zone === 'shoulder') expectedRuns = gameRandom.next() > 0.7 ? 1 : 0;
+        else if (zone === 'toe') expectedRuns = gameRandom.next() > 0.5 ? 2 : 1;
 
         return {
             direction,
@@ -919,6 +924,37 @@ export class Bat {
         };
     }
 
+    /**
+     * Snapshot of the state that carries between hand frames
+     * (bat placement and swing velocity) - for replay recording
+     */
+    getTrackingState() {
+        const { position, rotation } = this.batGroup || { position: this.position, rotation: this.rotation };
+        return {
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: { x: rotation.x, y: rotation.y, z: rotation.z },
+            previousHandPosition: this.previousHandPosition ? { ...this.previousHandPosition } : null,
+            previousTime: this.previousTime,
+            swingVelocity: { ...this.swingVelocity },
+            isSwinging: this.isSwinging
+        };
+    }
+
+    /**
+     * Restore a snapshot from getTrackingState (replay player)
+     */
+    setTrackingState(state) {
+        if (this.batGroup) {
+            this.batGroup.position.set(state.position.x, state.position.y, state.position.z);
+            this.batGroup.rotation.set(state.rotation.x, state.rotation.y, state.rotation.z);
+            this.updateBoundingBox();
+        }
+        this.previousHandPosition = state.previousHandPosition ? { ...state.previousHandPosition } : null;
+        this.previousTime = state.previousTime;
+        this.swingVelocity = { ...state.swingVelocity };
+        this.isSwinging = state.isSwinging;
+    }
+
     /**
      * Get timing quality info for display
      */
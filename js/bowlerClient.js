@@ -0,0 +1,197 @@
+/**
+ * Bowler Client - The bowler.html page
+ *
+ * Picks a delivery and sends it to the batter's game through the bowler
+ * server (see netProtocol.js). Counts down to the release time the
+ * server set, the same moment the ball leaves the hand on the batter's
+ * screen, then lists the outcome the batter's game scored.
+ */
+
+import { GAME_CONFIG } from './config.js';
+import { Bowling } from './bowling.js';
+import { NetClient } from './netClient.js';
+import { getDeliveryOptions, describeDelivery } from './netProtocol.js';
+
+class BowlerClient {
+    constructor() {
+        this.bowling = new Bowling();
+        this.client = new NetClient('bowler');
+        this.client.onMessage = (message) => this.handleMessage(message);
+        this.client.onStatus = (text, isError) => this.setStatus(text, isError);
+
+        this.batterReady = false;
+        this.pendingId = null;      // Delivery waiting for its result
+        this.deliveryCount = 0;
+        this.countdownTimer = null;
+
+        this.elements = {
+            serverInput: document.getElementById('bowler-server-input'),
+            roomInput: document.getElementById('bowler-room-input'),
+            connectBtn: document.getElementById('bowler-connect-btn'),
+            status: document.getElementById('bowler-status'),
+            latency: document.getElementById('bowler-latency'),
+            bowlBtn: document.getElementById('bowler-bowl-btn'),
+            countdown: document.getElementById('bowler-countdown'),
+            score: document.getElementById('bowler-score'),
+            results: document.getElementById('bowler-results')
+        };
+    }
+
+    init() {
+        const { port, path } = GAME_CONFIG.network;
+        const params = new URLSearchParams(location.search);
+        const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+        this.elements.serverInput.value = params.get('server') || `${scheme}://${location.hostname || 'localhost'}:${location.port || port}${path}`;
+        if (params.get('room')) this.elements.roomInput.value = params.get('room');
+
+        // Delivery options, same names as the game's bowling controls
+        const defaults = { speed: 'medium', line: 'middle', length: 'good' };
+        Object.entries(getDeliveryOptions(this.bowling)).forEach(([key, values]) => {
+            const select = document.getElementById(`bowler-${key}`);
+            values.forEach(value => {
+                const label = value.replace(/-/g, ' ').replace(/^\w/, c => c.toUpperCase());
+                select.add(new Option(label, value, false, value === (defaults[key] || 'none')));
+            });
+        });
+
+        this.elements.connectBtn.addEventListener('click', () => {
+            this.client.connect(this.elements.serverInput.value.trim(), this.elements.roomInput.value.trim());
+        });
+        this.elements.bowlBtn.addEventListener('click', () => this.bowl());
+
+        setInterval(() => this.updateLatency(), 1000);
+        console.log('🎳 Bowler page ready');
+    }
+
+    bowl() {
+        if (!this.canBowl()) return;
+
+        const delivery = {};
+        Object.keys(getDeliveryOptions(this.bowling)).forEach(key => {
+            delivery[key] = document.getElementById(`bowler-${key}`).value;
+        });
+
+        this.pendingId = `${this.client.clientId}-${++this.deliveryCount}`;
+        this.client.send('delivery', { id: this.pendingId, delivery }, true);
+        this.elements.countdown.textContent = 'Running in...';
+        this.updateButtons();
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.batterReady = false;
+                if (!message.peers.batter) this.setStatus('Connected - waiting for the batter');
+                break;
+
+            case 'peer':
+                if (message.role === 'batter') {
+                    if (!message.connected) this.batterReady = false;
+                    this.setStatus(message.connected ? 'Batter connected' : 'Batter left - waiting...', !message.connected);
+                }
+                break;
+
+            case 'ready':
+                this.batterReady = message.ready;
+                break;
+
+            case 'delivery':
+                if (message.id === this.pendingId) this.startCountdown(message);
+                break;
+
+            case 'reject':
+                if (message.id === this.pendingId) {
+                    this.pendingId = null;
+                    this.elements.countdown.textContent = `Not bowled: ${message.reason}`;
+                }
+                break;
+
+            case 'result':
+                this.addResult(message.result);
+                if (message.id === this.pendingId) {
+                    this.pendingId = null;
+                    this.elements.countdown.textContent = '';
+                }
+                break;
+
+            case 'error':
+                // Nobody to bowl to: let the bowler try again
+                if (message.code === 'no-batter') this.pendingId = null;
+                break;
+        }
+        this.updateButtons();
+    }
+
+    /**
+     * Count down to the release time the server stamped on the delivery
+     */
+    startCountdown({ delivery, releaseAt }) {
+        clearInterval(this.countdownTimer);
+        const releaseLocal = this.client.toLocalTime(releaseAt);
+        const tick = () => {
+            const left = releaseLocal - Date.now();
+            if (left > 0) {
+                this.elements.countdown.textContent = `Release in ${(left / 1000).toFixed(1)}s`;
+                return;
+            }
+            clearInterval(this.countdownTimer);
+            if (this.pendingId) this.elements.countdown.textContent = `Bowled: ${describeDelivery(delivery)}`;
+        };
+        tick();
+        this.countdownTimer = setInterval(tick, 100);
+    }
+
+    /**
+     * One line per ball, newest first, as the batter's game scored it
+     */
+    addResult(result) {
+        const item = document.createElement('li');
+        const outcome = document.createElement('strong');
+        outcome.textContent = this.describeResult(result);
+        item.append(outcome, ` · ${result.delivery} · ${result.speedKmh} km/h`);
+        this.elements.results.prepend(item);
+
+        const { score } = result;
+        this.elements.score.textContent = `${score.runs}/${score.wickets} (${score.overs} ov)`;
+    }
+
+    describeResult({ runs, extraType, dismissal, intent }) {
+        if (dismissal) return `OUT - ${dismissal}`;
+        if (extraType) return `${extraType} (${runs})`;
+        if (runs === 6) return 'SIX!';
+        if (runs === 4) return 'FOUR!';
+        if (runs > 0) return `${runs} run${runs > 1 ? 's' : ''}`;
+        return intent && intent !== 'shot' ? GAME_CONFIG.intent.labels[intent] : 'Dot ball';
+    }
+
+    canBowl() {
+        return this.client.connected && this.client.peers.batter && this.batterReady && !this.pendingId;
+    }
+
+    updateButtons() {
+        this.elements.bowlBtn.disabled = !this.canBowl();
+        this.elements.bowlBtn.textContent = this.client.connected && this.client.peers.batter && !this.batterReady && !this.pendingId
+            ? 'BATTER NOT READY'
+            : 'BOWL';
+    }
+
+    updateLatency() {
+        const rtt = this.client.clock.getRtt();
+        this.elements.latency.textContent = this.client.connected && rtt !== null ? `Round trip ${Math.round(rtt)} ms` : '';
+        this.updateButtons();
+    }
+
+    setStatus(text, isError = false) {
+        this.elements.status.textContent = text;
+        this.elements.status.classList.toggle('error', isError);
+        this.updateButtons();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const bowler = new BowlerClient();
+    bowler.init();
+
+    // Expose for debugging
+    window.bowlerClient = bowler;
+});
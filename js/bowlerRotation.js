@@ -0,0 +1,181 @@
+/**
+ * Bowler Rotation Module - Named bowler profiles, changing every over
+ *
+ * Uses GAME_CONFIG.bowlers for the profiles file and variation tweaks.
+ * Each profile has a name, arm, style, stock pace range (km/h),
+ * preferred lengths and variation mix (relative weights), accuracy
+ * scatter and a release point for over/around the wicket.
+ *
+ * The bowler for an over comes from the over number, so a resumed
+ * match carries on with the same bowler.
+ *
+ * Variations: 'stock', 'outswing', 'inswing', 'nip-backer', 'leg-cutter',
+ * 'bouncer', 'yorker', 'slower', or any GAME_CONFIG.physics.spin.types key.
+ * Movement names are relative to the (right-handed) batter.
+ */
+
+import { GAME_CONFIG } from './config.js';
+import { gameRandom } from './random.js';
+
+const SWING_VARIATIONS = ['outswing', 'inswing'];
+
+export class BowlerRotation {
+    /**
+     * @param {Bowling} bowling - For the line/length maps
+     */
+    constructor(bowling) {
+        this.config = GAME_CONFIG.bowlers;
+        this.bowling = bowling;
+        this.profiles = [];
+        this.enabled = false;
+    }
+
+    /**
+     * Load bowler profiles from a JSON file
+     * @returns {number} - Profiles loaded (0 if the file is missing or invalid)
+     */
+    async load(url = this.config.profilesUrl) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+
+            this.profiles = (data.bowlers || [])
+                .map(profile => this.validateProfile(profile))
+                .filter(Boolean);
+            console.log(`🎳 Loaded ${this.profiles.length} bowler profiles`);
+        } catch (error) {
+            console.warn('⚠️ Could not load bowler profiles:', error.message);
+            this.profiles = [];
+        }
+        return this.profiles.length;
+    }
+
+    /**
+     * Check a profile from the file, filling in defaults
+     * @returns {Object|null} - Profile, or null if it can't be used
+     */
+    validateProfile(profile) {
+        const { lengthMap, lineMap } = this.bowling;
+        const name = profile && profile.name;
+
+        if (!name || !profile.pace || !(profile.pace.min <= profile.pace.max)) {
+            console.warn(`⚠️ Skipping bowler profile "${name || '?'}": needs a name and pace { min, max }`);
+            return null;
+        }
+        if (!this.config.styles.includes(profile.style)) {
+            console.warn(`⚠️ Skipping bowler profile "${name}": unknown style "${profile.style}"`);
+            return null;
+        }
+
+        const lengths = Object.fromEntries(
+            Object.entries(profile.lengths || {}).filter(([key]) => lengthMap[key] !== undefined)
+        );
+        const variations = Object.fromEntries(
+            Object.entries(profile.variations || {}).filter(([key]) => this.isVariation(key))
+        );
+
+        return {
+            id: profile.id || name,
+            name,
+            arm: profile.arm === 'left' ? 'left' : 'right',
+            style: profile.style,
+            pace: { min: profile.pace.min, max: profile.pace.max },
+            line: lineMap[profile.line] !== undefined ? profile.line : 'middle',
+            lengths: Object.keys(lengths).length ? lengths : { good: 1 },
+            variations: Object.keys(variations).length ? variations : { stock: 1 },
+            accuracy: { line: 0, length: 0, ...profile.accuracy },
+            release: { over: 0.4, around: 1.0, ...profile.release },
+            wicket: profile.wicket === 'around' ? 'around' : 'over'
+        };
+    }
+
+    isVariation(key) {
+        return key === 'stock' || key === 'slower' ||
+            SWING_VARIATIONS.includes(key) ||
+            this.config.variationLengths[key] !== undefined ||
+            GAME_CONFIG.physics.seam.directions[key] !== undefined ||
+            GAME_CONFIG.physics.spin.types[key] !== undefined;
+    }
+
+    /**
+     * Use the rotation (only if profiles loaded)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled && this.profiles.length > 0;
+    }
+
+    /**
+     * Bowler for an over (0-based)
+     */
+    getBowler(over) {
+        if (!this.enabled) return null;
+        return this.profiles[over % this.profiles.length];
+    }
+
+    /**
+     * Build the next delivery for a bowler
+     * @param {Object} bowler - Profile from getBowler
+     * @returns {Object} - Params for Physics.bowl (as Bowling.getDeliveryParams) plus description
+     */
+    createDelivery(bowler) {
+        const variation = this.pickWeighted(bowler.variations);
+        const lengthKey = this.config.variationLengths[variation] || this.pickWeighted(bowler.lengths);
+
+        let kmh = bowler.pace.min + gameRandom.next() * (bowler.pace.max - bowler.pace.min);
+        if (variation === 'slower') kmh *= this.config.slowerBallFactor;
+
+        const line = this.bowling.lineMap[bowler.line] + this.scatter(bowler.accuracy.line);
+        const length = Math.min(1, Math.max(0, this.bowling.lengthMap[lengthKey] + this.scatter(bowler.accuracy.length)));
+
+        const isSwing = SWING_VARIATIONS.includes(variation);
+        const isSeam = GAME_CONFIG.physics.seam.directions[variation] !== undefined;
+        const isSpin = GAME_CONFIG.physics.spin.types[variation] !== undefined;
+
+        return {
+            speed: kmh / 3.6,
+            line,
+            length,
+            spin: 0,
+            swing: 0,
+            swingType: isSwing ? variation : 'none',
+            swingEnabled: isSwing,
+            seamType: isSeam ? variation : 'none',
+            spinType: isSpin ? variation : null,
+            releaseX: this.getReleaseX(bowler),
+            bowler: bowler.id,
+            description: `${bowler.name}: ${Math.round(kmh)}k ${variation} ${lengthKey} on ${bowler.line}`
+        };
+    }
+
+    /**
+     * Release point across the crease (+X = off side)
+     */
+    getReleaseX(bowler) {
+        const side = bowler.wicket === 'over' ? 1 : -1;
+        const arm = bowler.arm === 'right' ? 1 : -1;
+        return bowler.release[bowler.wicket] * side * arm;
+    }
+
+    /**
+     * Pick a key from { key: weight }
+     */
+    pickWeighted(weights) {
+        const entries = Object.entries(weights);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = gameRandom.next() * total;
+
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    /**
+     * Random error within ±amount, most often near zero
+     */
+    scatter(amount) {
+        return (gameRandom.next() + gameRandom.next() - 1) * amount;
+    }
+}
@@ -2,6 +2,9 @@
  * Bowling Module - Bowling mechanics and delivery types
  */
 
+import { GAME_CONFIG } from './config.js';
+import { gameRandom } from './random.js';
+
 export class Bowling {
     constructor() {
         // Bowling parameters
@@ -13,21 +16,33 @@ export class Bowling {
         this.swingType = 'outswing';  // 'inswing', 'outswing', 'none', 'random'
         this.swingEnabled = true;
 
+        // Seam movement off the pitch: 'nip-backer', 'leg-cutter', 'none'
+        this.seamType = 'none';
+
+        // Spin type (key into GAME_CONFIG.physics.spin.types, 'none' = pace)
+        this.spinType = 'none';
+
         // Speed mappings (km/h to m/s)
         this.speedMap = {
             'slow': 22,      // ~80 km/h
             'medium': 30,    // ~110 km/h
             'fast': 39,      // ~140 km/h
-            'express': 44    // ~160 km/h
+            'express': 44,   // ~160 km/h
+
+            // Spinners
+            'flighted': 18,  // ~65 km/h (tossed up)
+            'spin': 21,      // ~75 km/h (stock pace)
+            'quick-spin': 25 // ~90 km/h (flat and skiddy)
         };
+        this.spinSpeeds = ['flighted', 'spin', 'quick-spin'];
 
-        // Line mappings (x offset)
+        // Line mappings (x offset, +X = off side like Physics.hit and swing)
         this.lineMap = {
-            'outside-off': -0.8,
-            'off': -0.4,
+            'outside-off': 0.8,
+            'off': 0.4,
             'middle': 0,
-            'leg': 0.4,
-            'outside-leg': 0.8
+            'leg': -0.4,
+            'outside-leg': -0.8
         };
 
         // Length mappings (0 = short, 1 = full)
@@ -84,6 +99,24 @@ export class Bowling {
         this.swingType = type;
     }
 
+    /**
+     * Set seam type ('none' for no seam movement)
+     */
+    setSeamType(type) {
+        if (type === 'none' || GAME_CONFIG.physics.seam.directions[type]) {
+            this.seamType = type;
+        }
+    }
+
+    /**
+     * Set spin type ('none' for pace)
+     */
+    setSpinType(type) {
+        if (type === 'none' || GAME_CONFIG.physics.spin.types[type]) {
+            this.spinType = type;
+        }
+    }
+
     /**
      * Set swing enabled
      */
@@ -103,7 +136,9 @@ export class Bowling {
             swing: 0,
             // NEW: Swing parameters
             swingType: this.swingType,
-            swingEnabled: this.swingEnabled
+            swingEnabled: this.swingEnabled,
+            seamType: this.seamType,
+            spinType: this.spinType === 'none' ? null : this.spinType
         };
     }
 
@@ -111,20 +146,25 @@ export class Bowling {
      * Generate random delivery
      */
     randomDelivery() {
-        const speeds = Object.keys(this.speedMap);
-        const lines = Object.keys(this.lineMap);
-        const lengths = Object.keys(this.lengthMap);
-
-        this.speed = speeds[Math.floor(Math.random() * speeds.length)];
-        this.line = lines[Math.floor(Math.random() * lines.length)];
-        this.length = lengths[Math.floor(Math.random() * lengths.length)];
-
-        // NEW: Randomize swing type too
-        const swingTypes = ['inswing', 'outswing', 'none'];
-        this.swingType = swingTypes[Math.floor(Math.random() * swingTypes.length)];
-
-        // Add random variation
+        // Pace or spin first, then a speed and movement to match
         const variation = this.getRandomVariation();
+        const isSpin = !!variation.spinType;
+
+        const speeds = Object.keys(this.speedMap)
+            .filter(speed => this.spinSpeeds.includes(speed) === isSpin);
+        this.speed = gameRandom.pick(speeds);
+        this.line = gameRandom.pick(Object.keys(this.lineMap));
+        this.length = gameRandom.pick(Object.keys(this.lengthMap));
+
+        // Swing and seam are for pace: the swing follows the variation
+        if (isSpin) {
+            this.swingType = 'none';
+            this.seamType = 'none';
+        } else {
+            this.swingType = variation.swing > 0 ? 'outswing' : variation.swing < 0 ? 'inswing' : 'none';
+            this.seamType = gameRandom.pick(['nip-backer', 'leg-cutter', 'none']);
+        }
+        this.spinType = variation.spinType || 'none';
 
         return {
             ...this.getDeliveryParams(),
@@ -137,30 +177,37 @@ export class Bowling {
      * Get random swing/spin variation
      */
     getRandomVariation() {
-        const rand = Math.random();
+        const rand = gameRandom.next();
 
         if (rand < 0.2) {
             // Outswinger
-            return { swing: 0.3, spin: 0 };
+            return { swing: 0.3, spinType: null };
         } else if (rand < 0.4) {
             // Inswinger
-            return { swing: -0.3, spin: 0 };
+            return { swing: -0.3, spinType: null };
         } else if (rand < 0.5) {
             // Off-spin
-            return { swing: 0, spin: 0.5 };
+            return { swing: 0, spinType: 'off-spin' };
         } else if (rand < 0.6) {
             // Leg-spin
-            return { swing: 0, spin: -0.5 };
+            return { swing: 0, spinType: 'leg-spin' };
         }
 
-        return { swing: 0, spin: 0 };
+        return { swing: 0, spinType: null };
     }
 
     /**
      * Get delivery description
      */
     getDeliveryDescription() {
-        return `${this.speed} ${this.length} on ${this.line}`;
+        const spin = GAME_CONFIG.physics.spin.types[this.spinType];
+        let type = '';
+        if (spin) {
+            type = ` ${spin.name.toLowerCase()}`;
+        } else if (this.seamType !== 'none') {
+            type = ` ${this.seamType}`;
+        }
+        return `${this.speed}${type} ${this.length} on ${this.line}`;
     }
 
     /**
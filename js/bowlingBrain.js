@@ -0,0 +1,184 @@
+/**
+ * Bowling Brain Module - AI bowler that targets the batter's weak zones
+ *
+ * Uses GAME_CONFIG.ai for the outcome weights and difficulty levels.
+ * Every ball (whoever bowled it) is filed under a zone of
+ * line × length × pace, keeping runs, misses, edges and dismissals.
+ * Zones score higher the more the batter struggles there; unseen zones
+ * start at the prior.
+ *
+ * Each over is planned up front. A ball is a surprise (bouncer or
+ * yorker), an exploit (zone picked by softmax over the weakness scores,
+ * sharper at higher difficulty), or a random zone to keep exploring.
+ */
+
+import { GAME_CONFIG } from './config.js';
+import { gameRandom } from './random.js';
+
+export class BowlingBrain {
+    /**
+     * @param {Bowling} bowling - For the speed/line/length maps and swing settings
+     */
+    constructor(bowling) {
+        this.config = GAME_CONFIG.ai;
+        this.bowling = bowling;
+
+        this.enabled = false;
+        this.difficulty = 'medium';
+        this.zones = {};        // zoneKey → { balls, runs, misses, edges, dismissals }
+        this.plan = [];         // Zones still to bowl this over
+        this.plannedOver = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.plan = [];
+        this.plannedOver = null;
+    }
+
+    setDifficulty(difficulty) {
+        if (this.config.difficulties[difficulty]) {
+            this.difficulty = difficulty;
+        }
+    }
+
+    /**
+     * Forget everything learned about the batter
+     */
+    reset() {
+        this.zones = {};
+        this.plan = [];
+        this.plannedOver = null;
+    }
+
+    /**
+     * File a finished ball under its zone
+     * @param {Object} params - Delivery params (numeric speed, line, length)
+     * @param {Object} outcome - { runs: off the bat, missed, edged, dismissed }
+     */
+    record(params, { runs = 0, missed = false, edged = false, dismissed = false }) {
+        const key = this.getZoneKey(params);
+        const zone = this.zones[key] || (this.zones[key] = { balls: 0, runs: 0, misses: 0, edges: 0, dismissals: 0 });
+
+        zone.balls++;
+        zone.runs += runs;
+        if (missed) zone.misses++;
+        if (edged) zone.edges++;
+        if (dismissed) zone.dismissals++;
+    }
+
+    /**
+     * Next delivery, planning a new over when needed
+     * @param {number} over - Current over (0-based)
+     * @returns {Object} - Params for Physics.bowl plus description
+     */
+    nextDelivery(over) {
+        if (over !== this.plannedOver || this.plan.length === 0) {
+            this.planOver(over);
+        }
+        const ball = this.plan.shift();
+        const [speed, line, length] = ball.zone.split('|');
+
+        return {
+            ...this.bowling.getDeliveryParams(),
+            speed: this.bowling.speedMap[speed],
+            line: this.bowling.lineMap[line],
+            length: this.bowling.lengthMap[length],
+            spinType: null,
+            description: `AI (${ball.reason}): ${speed} ${length} on ${line}`
+        };
+    }
+
+    /**
+     * Plan the six balls of an over
+     */
+    planOver(over) {
+        const { exploit, surprise, temperature } = this.config.difficulties[this.difficulty];
+        const zones = this.getAllZones();
+        const scores = zones.map(zone => this.getWeakness(zone));
+
+        this.plan = [];
+        for (let i = 0; i < GAME_CONFIG.match.ballsPerOver; i++) {
+            const roll = gameRandom.next();
+            if (roll < surprise) {
+                this.plan.push({ zone: this.getSurpriseZone(), reason: 'surprise' });
+            } else if (roll < surprise + exploit) {
+                this.plan.push({ zone: zones[this.pickSoftmax(scores, temperature)], reason: 'weak spot' });
+            } else {
+                this.plan.push({ zone: gameRandom.pick(zones), reason: 'explore' });
+            }
+        }
+        this.plannedOver = over;
+
+        const weakest = zones[scores.indexOf(Math.max(...scores))];
+        console.log(`🤖 AI over ${over + 1} (${this.difficulty}): weakest zone ${weakest}`);
+    }
+
+    /**
+     * How much the batter struggles in a zone (higher = weaker)
+     */
+    getWeakness(zoneKey) {
+        const { weights, prior } = this.config;
+        const zone = this.zones[zoneKey];
+        if (!zone) return prior.score;
+
+        const score = zone.dismissals * weights.dismissal +
+            zone.edges * weights.edge +
+            zone.misses * weights.miss +
+            zone.runs * weights.run;
+        return (score + prior.score * prior.balls) / (zone.balls + prior.balls);
+    }
+
+    getAllZones() {
+        const zones = [];
+        this.config.paces.forEach(speed => {
+            Object.keys(this.bowling.lineMap).forEach(line => {
+                Object.keys(this.bowling.lengthMap).forEach(length => {
+                    zones.push(`${speed}|${line}|${length}`);
+                });
+            });
+        });
+        return zones;
+    }
+
+    /**
+     * A bouncer or yorker at a random pace, on the stumps
+     */
+    getSurpriseZone() {
+        const { paces, surpriseLengths } = this.config;
+        const speed = gameRandom.pick(paces);
+        const length = gameRandom.pick(surpriseLengths);
+        return `${speed}|middle|${length}`;
+    }
+
+    /**
+     * Zone key for a delivery: nearest pace, line and length
+     */
+    getZoneKey({ speed, line, length }) {
+        const nearest = (map, keys, value) => keys.reduce((best, key) =>
+            (Math.abs(map[key] - value) < Math.abs(map[best] - value) ? key : best));
+
+        const { speedMap, lineMap, lengthMap } = this.bowling;
+        return [
+            nearest(speedMap, this.config.paces, speed),
+            nearest(lineMap, Object.keys(lineMap), line),
+            nearest(lengthMap, Object.keys(lengthMap), length)
+        ].join('|');
+    }
+
+    /**
+     * Pick an index with probability ∝ exp(score / temperature)
+     */
+    pickSoftmax(scores, temperature) {
+        const max = Math.max(...scores);
+        const weights = scores.map(score => Math.exp((score - max) / temperature));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+        let roll = gameRandom.next() * total;
+        for (let i = 0; i < weights.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return i;
+        }
+        return weights.length - 1;
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * Bowling Machine Module - Scripted deliveries for net practice
+ *
+ * Uses GAME_CONFIG.machine for the defaults, aliases and limits.
+ * A script is plain text, one delivery per line, or the same as JSON:
+ *
+ *   # comments start with #
+ *   jitter speed=4 line=0.05 length=0.03   (± km/h, line, length)
+ *   6 yorkers on off stump then 6 bouncers
+ *   6 express full middle swing=outswing
+ *   repeat 2
+ *     1 spin good off spin=off-spin
+ *     1 140k full leg seam=leg-cutter
+ *   end
+ *
+ *   { "jitter": { "speed": 4 },
+ *     "script": [ { "count": 6, "speed": 145, "length": "yorker", "line": "off" },
+ *                 { "repeat": 2, "script": [ ... ] } ] }
+ *
+ * Words are matched against Bowling's speed/line/length names, so they
+ * can come in any order. The ball number in the session is the index
+ * into the expanded script, so resuming only needs the script and the
+ * number of balls already bowled.
+ */
+
+import { GAME_CONFIG } from './config.js';
+import { gameRandom } from './random.js';
+
+export class BowlingMachine {
+    /**
+     * @param {Bowling} bowling - For the speed/line/length maps
+     */
+    constructor(bowling) {
+        this.config = GAME_CONFIG.machine;
+        this.bowling = bowling;
+
+        this.enabled = false;
+        this.deliveries = [];   // Expanded script, one entry per ball
+        this.jitter = { ...this.config.defaultJitter };
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Parse and expand a script without loading it
+     * @param {string} text - Text or JSON script
+     * @returns {Object} - { deliveries, jitter }
+     * @throws {Error} - With the line number for text scripts
+     */
+    check(text) {
+        const { items, jitter } = this.parse(text);
+        const deliveries = this.expand(items);
+
+        if (deliveries.length === 0) throw new Error('Script has no deliveries');
+        if (deliveries.length > this.config.maxDeliveries) {
+            throw new Error(`Script has ${deliveries.length} deliveries (max ${this.config.maxDeliveries})`);
+        }
+        return { deliveries, jitter };
+    }
+
+    /**
+     * Load a script for the session
+     * @returns {number} - Deliveries in the script
+     * @throws {Error} - As check()
+     */
+    load(text) {
+        const { deliveries, jitter } = this.check(text);
+        this.deliveries = deliveries;
+        this.jitter = jitter;
+        console.log(`🤖 Bowling machine loaded: ${deliveries.length} deliveries`);
+        return deliveries.length;
+    }
+
+    /**
+     * Script text (or JSON) → { items, jitter }
+     */
+    parse(text) {
+        const trimmed = (text || '').trim();
+        if (trimmed.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`Invalid JSON script: ${error.message}`);
+            }
+            return {
+                items: this.parseJsonItems(data.script || []),
+                jitter: { ...this.config.defaultJitter, ...data.jitter }
+            };
+        }
+        return this.parseText(trimmed);
+    }
+
+    parseJsonItems(script) {
+        return script.map(item => {
+            if (item.repeat !== undefined) {
+                return { repeat: this.parseCount(item.repeat), items: this.parseJsonItems(item.script || []) };
+            }
+            const words = ['speed', 'line', 'length']
+                .filter(key => item[key] !== undefined)
+                // A bare number is km/h, as "150k" in the text form
+                .map(key => typeof item[key] === 'number' ? `${item[key]}k` : String(item[key]));
+            if (item.swing) words.push(`swing=${item.swing}`);
+            if (item.seam) words.push(`seam=${item.seam}`);
+            if (item.spin) words.push(`spin=${item.spin}`);
+            return { count: this.parseCount(item.count ?? 1), delivery: this.parseDelivery(words) };
+        });
+    }
+
+    parseText(text) {
+        const root = { items: [] };
+        const stack = [root];
+        const jitter = { ...this.config.defaultJitter };
+
+        const lines = text.split('\n').flatMap((raw, i) => raw
+            .replace(/#.*/, '')
+            .toLowerCase()
+            .split(/\bthen\b/)
+            .map(part => ({ words: part.trim().split(/\s+/).filter(Boolean), number: i + 1 })));
+
+        lines.forEach(({ words, number }) => {
+            if (words.length === 0) return;
+            try {
+                if (words[0] === 'jitter') {
+                    words.slice(1).forEach(word => {
+                        const [key, value] = word.split('=');
+                        if (!(key in jitter) || isNaN(parseFloat(value))) throw new Error(`bad jitter "${word}"`);
+                        jitter[key] = Math.abs(parseFloat(value));
+                    });
+                } else if (words[0] === 'repeat') {
+                    const block = { repeat: this.parseCount(words[1]), items: [] };
+                    stack[stack.length - 1].items.push(block);
+                    stack.push(block);
+                } else if (words[0] === 'end') {
+                    if (stack.length === 1) throw new Error('"end" without "repeat"');
+                    stack.pop();
+                } else {
+                    let count = 1;
+                    const first = words[0].replace(/x$/, '');
+                    if (/^\d+$/.test(first)) {
+                        count = this.parseCount(first);
+                        words.shift();
+                    }
+                    stack[stack.length - 1].items.push({ count, delivery: this.parseDelivery(words) });
+                }
+            } catch (error) {
+                throw new Error(`Line ${number}: ${error.message}`);
+            }
+        });
+
+        if (stack.length > 1) throw new Error('"repeat" without "end"');
+        return { items: root.items, jitter };
+    }
+
+    parseCount(value) {
+        const count = parseInt(value, 10);
+        if (!Number.isInteger(count) || count < 1) throw new Error(`bad count "${value}"`);
+        return count;
+    }
+
+    /**
+     * Words for one delivery → { speed, line, length, swing, seam, spin }
+     */
+    parseDelivery(words) {
+        const { speedMap, lineMap, lengthMap } = this.bowling;
+        const { aliases, fillerWords } = this.config;
+        const delivery = { ...this.config.defaults };
+
+        words.forEach(word => {
+            word = aliases[word] || word;
+            const kmh = word.match(/^(\d+)k(mh)?$/);
+            const [key, value] = word.split('=');
+
+            if (value !== undefined) {
+                const valid = {
+                    swing: ['inswing', 'outswing', 'none'],
+                    seam: ['none', ...Object.keys(GAME_CONFIG.physics.seam.directions)],
+                    spin: ['none', ...Object.keys(GAME_CONFIG.physics.spin.types)]
+                }[key];
+                if (!valid || !valid.includes(value)) throw new Error(`unknown option "${word}"`);
+                delivery[key] = value;
+            } else if (kmh) {
+                delivery.speed = parseInt(kmh[1], 10);
+            } else if (speedMap[word] !== undefined) {
+                delivery.speed = word;
+            } else if (lineMap[word] !== undefined) {
+                delivery.line = word;
+            } else if (lengthMap[word] !== undefined) {
+                delivery.length = word;
+            } else if (!fillerWords.includes(word)) {
+                throw new Error(`unknown word "${word}"`);
+            }
+        });
+
+        return delivery;
+    }
+
+    /**
+     * Unroll counts and repeat blocks into one entry per ball
+     */
+    expand(items) {
+        const deliveries = [];
+        items.forEach(item => {
+            if (item.items) {
+                const block = this.expand(item.items);
+                for (let i = 0; i < item.repeat; i++) deliveries.push(...block);
+            } else {
+                for (let i = 0; i < item.count; i++) deliveries.push(item.delivery);
+            }
+        });
+        return deliveries;
+    }
+
+    /**
+     * Is the session over?
+     * @param {number} bowled - Balls bowled so far this session
+     */
+    isFinished(bowled) {
+        return bowled >= this.deliveries.length;
+    }
+
+    /**
+     * Params for a ball of the script, with jitter applied
+     * @param {number} index - Ball number in the session (0-based)
+     * @returns {Object} - Params for Physics.bowl plus description
+     */
+    getDelivery(index) {
+        const delivery = this.deliveries[index % this.deliveries.length];
+        const jitter = (amount) => (gameRandom.next() * 2 - 1) * amount;
+
+        const speedKmh = typeof delivery.speed === 'number'
+            ? delivery.speed
+            : this.bowling.speedMap[delivery.speed] * 3.6;
+        const length = this.bowling.lengthMap[delivery.length] + jitter(this.jitter.length);
+
+        return {
+            speed: Math.max(1, speedKmh + jitter(this.jitter.speed)) / 3.6,
+            line: this.bowling.lineMap[delivery.line] + jitter(this.jitter.line),
+            length: Math.min(1, Math.max(0, length)),
+            spin: 0,
+            swing: 0,
+            swingType: delivery.swing,
+            swingEnabled: delivery.swing !== 'none',
+            seamType: delivery.seam,
+            spinType: delivery.spin === 'none' ? null : delivery.spin,
+            description: `Machine ${index + 1}/${this.deliveries.length}: ${this.describe(delivery)}`
+        };
+    }
+
+    /**
+     * Per-delivery results for the session
+     * @param {Array} log - CricketARGame deliveryLog (one entry per ball of the session)
+     * @returns {Object} - { rows: [...], totals }
+     */
+    getSummary(log) {
+        const rows = log.slice(0, this.deliveries.length).map((ball, i) => ({
+            ball: i + 1,
+            delivery: this.describe(this.deliveries[i]),
+            result: String(ball.entry),
+            runs: ball.runs,
+            intent: ball.intent || '-',
+            goodLeave: !!ball.goodLeave,
+            contact: ball.contact || 'missed',
+            dismissal: ball.dismissal ? ball.dismissal.type : null
+        }));
+        const goodLeaves = rows.filter(row => row.goodLeave).length;
+
+        return {
+            rows,
+            totals: {
+                balls: rows.length,
+                runs: rows.reduce((sum, row) => sum + row.runs, 0),
+                dots: rows.filter(row => row.runs === 0 && !row.dismissal).length,
+                boundaries: rows.filter(row => row.runs >= 4).length,
+                missed: rows.filter(row => row.contact === 'missed').length,
+                dismissals: rows.filter(row => row.dismissal).length,
+                goodLeaves,
+                leaveBonus: goodLeaves * GAME_CONFIG.intent.goodLeaveBonus
+            }
+        };
+    }
+
+    /**
+     * Script entry as text (e.g. "fast yorker on off outswing")
+     */
+    describe(delivery) {
+        const speed = typeof delivery.speed === 'number' ? `${delivery.speed}k` : delivery.speed;
+        const moves = ['swing', 'seam', 'spin']
+            .filter(key => delivery[key] !== 'none')
+            .map(key => ` ${delivery[key]}`)
+            .join('');
+        return `${speed} ${delivery.length} on ${delivery.line}${moves}`;
+    }
+}
@@ -298,6 +298,25 @@ export class CameraControls {
         console.log(`📷 Camera: transitioning to '${presetName}' over ${duration}ms`);
     }
 
+    /**
+     * Jump straight to a preset (no transition) - used by the action replay
+     * @param {string} presetName - Name of preset
+     */
+    jumpTo(presetName) {
+        const preset = this.presets[presetName];
+        if (!preset) {
+            console.warn(`Camera preset '${presetName}' not found`);
+            return;
+        }
+
+        this.isAnimating = false;
+        this.spherical.radius = preset.radius;
+        this.spherical.theta = preset.theta;
+        this.spherical.phi = preset.phi;
+        this.target = { ...preset.target };
+        this.updateCameraPosition();
+    }
+
     /**
      * Update animation - call this every frame
      */
@@ -0,0 +1,119 @@
+/**
+ * Chase Mode Module - Target chase with required run rate
+ *
+ * Uses GAME_CONFIG.match.chase for target generation.
+ * The batting side needs `target` runs to win; the innings ends
+ * with a win, loss or tie instead of the generic game over card.
+ */
+
+import { GAME_CONFIG } from './config.js';
+import { gameRandom } from './random.js';
+
+export class ChaseMode {
+    constructor() {
+        this.config = GAME_CONFIG.match.chase;
+
+        this.enabled = false;
+        this.target = null;       // Runs needed to win
+        this.source = 'fixed';    // 'fixed', 'random', 'previous'
+    }
+
+    /**
+     * Set up a chase
+     * @param {string} source - 'fixed', 'random' or 'previous'
+     * @param {Object} options - { fixedTarget, previousRuns, overs }
+     */
+    setTarget(source, { fixedTarget = null, previousRuns = null, overs = null } = {}) {
+        this.enabled = true;
+        this.source = source;
+
+        if (source === 'previous' && previousRuns !== null) {
+            // Previous innings score + 1 to win
+            this.target = previousRuns + 1;
+        } else if (source === 'random') {
+            const { min, max } = this.config.randomRunRate;
+            const inningsOvers = overs || this.config.randomNetsOvers;
+            const runRate = min + gameRandom.next() * (max - min);
+            this.target = Math.max(1, Math.round(runRate * inningsOvers));
+        } else {
+            const target = parseInt(fixedTarget, 10);
+            this.target = Number.isFinite(target) && target > 0 ? target : this.config.defaultTarget;
+            if (source === 'previous') {
+                console.warn('No previous innings to chase, using fixed target');
+                this.source = 'fixed';
+            }
+        }
+
+        console.log(`🎯 Chase: target ${this.target} (${this.source})`);
+    }
+
+    /**
+     * Turn chase mode off (regular innings)
+     */
+    disable() {
+        this.enabled = false;
+        this.target = null;
+    }
+
+    /**
+     * Current state of the chase for the scoreboard
+     * @param {number} runs - Runs scored
+     * @param {number} ballsRemaining - Balls left (Infinity if no over limit)
+     */
+    getStatus(runs, ballsRemaining) {
+        const runsRequired = Math.max(0, this.target - runs);
+        const oversRemaining = ballsRemaining / GAME_CONFIG.match.ballsPerOver;
+
+        let requiredRunRate = null;
+        if (Number.isFinite(ballsRemaining) && oversRemaining > 0) {
+            requiredRunRate = runsRequired / oversRemaining;
+        }
+
+        return {
+            target: this.target,
+            runsRequired,
+            ballsRemaining,
+            requiredRunRate
+        };
+    }
+
+    /**
+     * Has the target been reached?
+     */
+    isTargetReached(runs) {
+        return this.enabled && runs >= this.target;
+    }
+
+    /**
+     * Decide the chase result once the innings is over
+     * @param {Object} innings - { runs, wickets, ballsRemaining }
+     * @returns {Object} - { outcome: 'win'|'loss'|'tie', margin, text }
+     */
+    getResult({ runs, wickets, ballsRemaining }) {
+        const maxWickets = GAME_CONFIG.match.maxWickets;
+
+        if (runs >= this.target) {
+            const wicketsLeft = maxWickets - wickets;
+            const ballsText = Number.isFinite(ballsRemaining) && ballsRemaining > 0
+                ? ` (${ballsRemaining} ball${ballsRemaining > 1 ? 's' : ''} left)`
+                : '';
+            return {
+                outcome: 'win',
+                margin: wicketsLeft,
+                text: `Won by ${wicketsLeft} wicket${wicketsLeft !== 1 ? 's' : ''}${ballsText}`
+            };
+        }
+
+        // Scores level: target is always one more than the opposition score
+        if (runs === this.target - 1) {
+            return { outcome: 'tie', margin: 0, text: 'Match tied' };
+        }
+
+        const runsShort = this.target - 1 - runs;
+        return {
+            outcome: 'loss',
+            margin: runsShort,
+            text: `Lost by ${runsShort} run${runsShort !== 1 ? 's' : ''}`
+        };
+    }
+}
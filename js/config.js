@@ -28,7 +28,10 @@ export const GAME_CONFIG = {
         ballMass: 0.163,        // Cricket ball weight in kg
         ballRadius: 0.35,       // 35cm radius (visual scaling for AR visibility)
 
-        // Bounce behavior - realistic cricket
+        // === GROUND SURFACES ===
+        // The ground is split into the pitch strip, the outfield and the
+        // boundary cushion (the last cushionWidth metres inside the rope).
+        // Whichever surface the ball is over sets the bounce and grip.
         // Lower restitution = ball loses more energy on bounce
         restitution: {
             pitch: 0.20,        // REDUCED: Lower bounce
@@ -38,11 +41,74 @@ export const GAME_CONFIG = {
         friction: {
             pitch: 0.45,        // INCREASED: More grip stops ball faster
             outfield: 0.40,     // INCREASED: Grass friction
-            rolling: 12.0       // INCREASED: Ball stops faster
+            boundary: 0.50
         },
 
-        // Air resistance
-        airDrag: 0.02,
+        // Rolling ball deceleration (m/s²) = resistance × g + grassDrag × speed.
+        // Outfield values are scaled by the outfield speed below.
+        rolling: {
+            pitch: { resistance: 0.5, grassDrag: 0.10 },     // Hard, shaved strip
+            outfield: { resistance: 0.7, grassDrag: 0.25 },
+            boundary: { resistance: 1.2, grassDrag: 0.5 },   // Rope cushion soaks it up
+            contactHeight: 0.7,     // Ball centre below this (radius 0.35) counts as on the ground...
+            maxBounceSpeed: 2.0,    // ...unless bouncing faster than this (m/s)
+            stopSpeed: 0.1          // Slower than this the ball is stopped
+        },
+        surfaces: {
+            pitchStrip: { halfWidth: 3, halfLength: 12 },   // Matches the renderer's pitch box
+            cushionWidth: 2
+        },
+
+        // Outfield speed: multipliers on the outfield's rolling and bounce
+        outfieldSpeeds: {
+            default: 'medium',
+            lush: { name: 'Lush / slow', resistance: 1.3, grassDrag: 1.5, restitution: 0.8 },
+            medium: { name: 'Medium', resistance: 1.0, grassDrag: 1.0, restitution: 1.0 },
+            fast: { name: 'Fast / dry', resistance: 0.75, grassDrag: 0.6, restitution: 1.15 }
+        },
+
+        // === AERODYNAMICS (EVERY STEP IN THE AIR) ===
+        // Forces use the ball's velocity relative to the air (v - wind):
+        //   drag   a = -dragCoefficient × |v| × v       (quadratic)
+        //   Magnus a = magnusCoefficient × (ω × v)      (spin from angularVelocity)
+        // For a ball moving down the pitch (+Z), +ωx is topspin (dips);
+        // for a shot towards the boundary (-Z) it is backspin (carries).
+        aero: {
+            enabled: true,
+            dragCoefficient: 0.002,     // Per metre - about the old 5%/s damping at 25 m/s
+            magnusCoefficient: 0.0006,
+            linearDamping: 0,           // cannon's own damping (drag above replaces it)
+            angularDamping: 0.1,        // Spin reduces gradually
+
+            // Steady wind (m/s, +Z blows towards the batter) with gusts:
+            // speed × (1 ± gust.strength), varying over gust.period seconds
+            wind: {
+                enabled: false,
+                velocity: { x: 0, y: 0, z: 0 },
+                gust: { strength: 0.3, period: 6 }
+            },
+
+            // Spin off the bat (rad/s per m/s of exit speed). Shots launched above
+            // loftAngle get backspin up to `backspin` at twice loftAngle; flatter
+            // shots get topspin, up to `topspin` when hit along the ground
+            hitSpin: {
+                loftAngle: 15,
+                backspin: 1.5,
+                topspin: 1.0,
+                side: 5,                // Random side spin ± rad/s (slice / hook)
+                gyro: 3                 // Random spin about the flight path ± rad/s (no Magnus)
+            }
+        },
+
+        // Delivery bounce - pace bowling is aimed at a pitch point from the
+        // length and rebounds off it with this restitution (the surface can't
+        // make it more than 1). Heights are on the 3x wicket scale, so short
+        // balls pitch well up the pitch and come in steeply enough to reach
+        // the shoulder (extras.shortBall) off a slower rebound.
+        bounce: {
+            pitchDistance: { short: 16.5, full: 2 },  // In front of the batting stumps, length 0 → 1
+            restitution: 0.85
+        },
 
         // === EXIT VELOCITY FORMULA ===
         // ExitVelocity = sqrt((BatSpeed² × batEnergy) + (BowlSpeed × reboundEnergy)) × zone × timing × powerBoost
@@ -96,6 +162,75 @@ export const GAME_CONFIG = {
                 worn: 0.5,     // 50% conventional, enables reverse
                 old: 0.2       // 20% conventional, strong reverse
             }
+        },
+
+        // === SEAM MOVEMENT (OFF THE PITCH) ===
+        // Sideways deviation when the seam lands on the pitch (pace only).
+        // Deviation angle = seamAngle × deflectionPerDegree, less on a hard
+        // pitch and with a worn (flattened) seam.
+        seam: {
+            enabled: true,
+            seamAngle: 15,              // Degrees the seam is tilted from upright
+            deflectionPerDegree: 0.3,   // Degrees of deviation per degree of seam angle
+            pitchHardness: 0.5,         // 0 = soft/grassy (seam grips), 1 = rock hard (skids on)
+            hardPitchLoss: 0.6,         // Movement lost on a fully hard pitch
+            ballAge: { new: 1.0, old: 0.4 },
+
+            // Direction per delivery: -X into the batter, +X away to off
+            directions: {
+                'nip-backer': -1,
+                'leg-cutter': 1
+            }
+        },
+
+        // === EDGES - ball carries BEHIND the wicket ===
+        // Thin edges off the side of the blade go to the keeper/slips,
+        // top edges off the shoulder loop up (often over the keeper)
+        edges: {
+            carryFactor: 0.55,              // Fraction of bowl speed kept by an edge
+            lift: { min: 0.5, max: 2.5 },   // Upward velocity off the edge (m/s)
+            spread: { min: 0.2, max: 0.6 }, // Sideways m/s per m/s back (keeper → gully)
+            topEdgeBehindChance: 0.5,       // Top edge loops behind instead of in front
+            topEdgeCarry: { min: 2, max: 6 }, // Backward speed of a looping top edge (m/s)
+
+            // Edges are steered wide of checkWicketCollision's reach (outer
+            // stump 0.75 + 1.01, from 1 m in front of the stumps); one that
+            // would need more than maxSpread sideways m/s per m/s back is
+            // too straight and drags on (bowled)
+            wicketZone: { halfWidth: 1.8, depth: 1.0 },
+            maxSpread: 1.0
+        },
+
+        // === SPIN BOWLING ===
+        // Spin deliveries are aimed at a pitch point, drift in the air
+        // (Magnus force, physics.aero) and turn/bounce at the first
+        // ground contact.
+        // Spin axis per type, as fractions of the total revolutions:
+        //   top   - ωx: + topspin (dips, bounces more), - backspin (skids)
+        //   drift - ωy: + drifts to off (+X), - drifts into the batter
+        //   turn  - ωz: + turns into the batter (-X), - turns away to off
+        spin: {
+            enabled: true,
+
+            // Where spin deliveries pitch (distance in front of the batting stumps)
+            pitchDistance: { short: 8, full: 1 },  // length 0 → short, 1 → full
+
+            // Response at the first bounce
+            pitch: {
+                restitution: 0.95,  // Vertical rebound: good-length spin reaches the batter about thigh high
+                turnGrip: 0.07,     // Fraction of side-spin surface speed that becomes turn
+                bounceGrip: 0.03,   // Fraction of top-spin surface speed added to (or taken off) the bounce
+                spinLoss: 0.4       // Revolutions scrubbed off by the pitch
+            },
+
+            types: {
+                'off-spin':  { name: 'Off-spin',    revs: 25, axis: { top: 0.4, drift: 0.3, turn: 0.85 } },
+                'leg-spin':  { name: 'Leg-spin',    revs: 28, axis: { top: 0.4, drift: -0.3, turn: -0.85 } },
+                'googly':    { name: 'Googly',      revs: 26, axis: { top: 0.7, drift: -0.2, turn: 0.7 } },
+                'doosra':    { name: 'Doosra',      revs: 24, axis: { top: 0.3, drift: 0.2, turn: -0.8 } },
+                'carrom':    { name: 'Carrom ball', revs: 22, axis: { top: 0.1, drift: 0.1, turn: -0.9 } },
+                'arm-ball':  { name: 'Arm ball',    revs: 18, axis: { top: -0.5, drift: -0.5, turn: 0 } }
+            }
         }
     },
 
@@ -203,6 +338,354 @@ export const GAME_CONFIG = {
         nearBoundary: 61            // Near enough that bounce matters
     },
 
+    // ===========================================
+    // FIELDING - Fielders, catches and running
+    // ===========================================
+    fielding: {
+        defaultPlacement: 'standard',
+
+        // Fielder movement
+        runSpeed: 7.0,          // m/s sprint speed
+        reactionTime: 0.35,     // Seconds before fielders move after the hit
+        chasers: 2,             // Nearest fielders that chase, the rest hold position
+
+        // Catching (ball has NOT bounced)
+        catchReach: 1.6,        // Horizontal reach from fielder center (m)
+        catchHeight: 3.6,       // Highest ball a fielder can catch (m)
+        keeperCatchReach: 2.2,  // Gloves + dive
+
+        // Gathering (ball has bounced / is rolling)
+        pickupReach: 1.2,       // Horizontal pickup distance (m)
+        pickupHeight: 1.5,      // Ball must be this low to be gathered (m)
+
+        // Runs from interception time:
+        // total time = time to gather + throw back to the stumps
+        throwSpeed: 28,         // m/s flat throw
+        runTimes: {
+            first: 3.2,         // Seconds to complete the first run
+            extra: 2.6          // Seconds for each extra run
+        },
+        maxRuns: 3,             // All-run fours are not simulated
+
+        // Give up waiting on fielders after this long (seconds)
+        maxChaseTime: 12,
+
+        // Field placements
+        // angle: degrees from straight down the ground (0°), +ve = off side, ±180° = behind keeper
+        // distance: meters from the batting stumps
+        placements: {
+            standard: {
+                name: 'Standard',
+                positions: [
+                    { name: 'Wicket Keeper', angle: 180, distance: 4 },
+                    { name: 'First Slip', angle: 160, distance: 7 },
+                    { name: 'Point', angle: 95, distance: 22 },
+                    { name: 'Cover', angle: 60, distance: 26 },
+                    { name: 'Mid-Off', angle: 18, distance: 28 },
+                    { name: 'Mid-On', angle: -18, distance: 28 },
+                    { name: 'Mid-Wicket', angle: -60, distance: 26 },
+                    { name: 'Square Leg', angle: -95, distance: 24 },
+                    { name: 'Fine Leg', angle: -155, distance: 55 },
+                    { name: 'Third Man', angle: 150, distance: 55 },
+                    { name: 'Bowler', angle: 0, distance: 22 }
+                ]
+            },
+            attacking: {
+                name: 'Attacking',
+                positions: [
+                    { name: 'Wicket Keeper', angle: 180, distance: 4 },
+                    { name: 'First Slip', angle: 163, distance: 7 },
+                    { name: 'Second Slip', angle: 152, distance: 7.5 },
+                    { name: 'Third Slip', angle: 141, distance: 8 },
+                    { name: 'Gully', angle: 120, distance: 11 },
+                    { name: 'Short Leg', angle: -80, distance: 5 },
+                    { name: 'Cover', angle: 60, distance: 24 },
+                    { name: 'Mid-Off', angle: 15, distance: 26 },
+                    { name: 'Mid-On', angle: -15, distance: 26 },
+                    { name: 'Fine Leg', angle: -150, distance: 50 },
+                    { name: 'Bowler', angle: 0, distance: 22 }
+                ]
+            },
+            defensive: {
+                name: 'Defensive',
+                positions: [
+                    { name: 'Wicket Keeper', angle: 180, distance: 4 },
+                    { name: 'Third Man', angle: 145, distance: 58 },
+                    { name: 'Deep Point', angle: 95, distance: 58 },
+                    { name: 'Deep Cover', angle: 55, distance: 58 },
+                    { name: 'Long-Off', angle: 15, distance: 60 },
+                    { name: 'Long-On', angle: -15, distance: 60 },
+                    { name: 'Deep Mid-Wicket', angle: -55, distance: 58 },
+                    { name: 'Deep Square Leg', angle: -95, distance: 58 },
+                    { name: 'Fine Leg', angle: -150, distance: 55 },
+                    { name: 'Cover', angle: 60, distance: 25 },
+                    { name: 'Bowler', angle: 0, distance: 22 }
+                ]
+            }
+        }
+    },
+
+    // ===========================================
+    // LBW - Leg before wicket adjudication
+    // ===========================================
+    // Lines use +X = off side, -X = leg side (same as Physics.hit)
+    lbw: {
+        enabled: true,
+
+        // Pad/body volume around the bat (3x scale like the wickets)
+        pad: {
+            offsetX: -0.3,      // Body sits slightly to the leg side of the bat
+            offsetZ: 0.6,       // Pads are behind the bat face, towards the stumps
+            halfWidth: 0.6,
+            halfDepth: 0.4,
+            height: 2.6         // Up to the thigh pad
+        },
+
+        // Stump zone at the batting crease
+        stumps: {
+            z: 10,
+            halfWidth: 1.1,     // Outer edge of off/leg stump (0.75 spacing + stump radius)
+            height: 4.65        // Top of the bails
+        },
+
+        // Umpire's call margins (m) - decision stays NOT OUT inside these
+        umpiresCall: {
+            impact: 0.35,       // Impact centre outside the stumps by less than this
+            wickets: 0.35       // Projected centre within this of the stump zone edge
+        },
+
+        // Hawk-Eye replay timing (seconds)
+        replay: {
+            projectDuration: 1.5,   // Time to draw the projected path
+            holdDuration: 2.0       // Time the verdict stays on screen
+        }
+    },
+
+    // ===========================================
+    // EXTRAS - Wides, no-balls, byes and free hits
+    // ===========================================
+    // Lines use +X = off side, -X = leg side (same as Physics.hit)
+    extras: {
+        creaseZ: 10,            // Wides judged as the ball passes the batting crease
+        batterZ: 8,             // Height (beamer, bouncer) judged as the ball reaches the batter
+
+        // Wide guidelines (|X| from middle stump, 3x scale)
+        wideLine: {
+            off: 2.6,           // Off-side tramline
+            leg: 1.5            // Anything past leg stump that isn't played
+        },
+        wideRuns: 1,            // Penalty runs
+        noBallRuns: 1,
+
+        // No-balls
+        beamerHeight: 3.0,      // Full toss above waist height (3x scale)
+        frontFootChance: 0.03,  // Bowler oversteps the popping crease
+
+        // Short balls - height at the batter (3x scale), measured by Physics
+        shortBall: {
+            perOver: 2,             // Bouncers allowed per over; the next one is a no-ball
+            shoulderHeight: 4.2,    // Above this after pitching = bouncer
+            headHeight: 5.6         // Above the batter's head standing upright = no-ball
+        },
+
+        // Byes - ball beats bat and keeper
+        byes: {
+            keeperReach: 3.0,   // Keeper stops anything this close to the keeper's position
+            fourSpeed: 28       // Faster than this (m/s) runs away to the boundary
+        },
+
+        // Leg-byes - ball deflects off the pad past the keeper (same reach and four speed as byes)
+        legByes: {
+            padSpeed: 0.6,      // Fraction of the ball's speed left after the pad
+            maxAngle: 1.1       // Sideways deflection (rad) off the edge of the pad; none off the middle
+        },
+
+        freeHit: true           // Next ball after a no-ball is a free hit
+    },
+
+    // ===========================================
+    // MATCH FORMATS - Innings length
+    // ===========================================
+    match: {
+        ballsPerOver: 6,
+        maxWickets: 10,         // All out
+        defaultFormat: 't10',
+
+        // overs: null = no limit (innings only ends when all out)
+        formats: {
+            nets: { name: 'Net Practice', overs: null },
+            t10: { name: 'T10', overs: 10 },
+            t20: { name: 'T20', overs: 20 },
+            odi: { name: 'ODI', overs: 50 },
+            custom: { name: 'Custom', overs: 5 }
+        },
+
+        // Limits for the custom overs input
+        customOvers: { min: 1, max: 50 },
+
+        // Target chase
+        chase: {
+            defaultTarget: 61,                      // Used when no other target is available
+            randomRunRate: { min: 6.0, max: 10.5 }, // Random targets scale with innings length
+            randomNetsOvers: 5                      // Overs assumed for a random target in nets
+        }
+    },
+
+    // ===========================================
+    // PITCH CONDITIONS - Surface profiles and wear over the match
+    // ===========================================
+    // A delivery's response where it pitches, as multipliers on the
+    // Physics.applyPitchResponse values: bounce (rebound), paceOff (share
+    // of forward speed lost), seam (movement) and spin (turn and kick).
+    // Regions are distance (m) in front of the batting stumps. Wear goes
+    // 0 → 1 over the innings and blends in each profile's `wear` values.
+    pitch: {
+        defaultProfile: 'flat',
+        maxSpin: 2.0,               // Cap on the spin multiplier (worn rough on a turner)
+        regions: {
+            full: { min: 0, max: 4 },
+            good: { min: 4, max: 8 },
+            short: { min: 8, max: 20 }
+        },
+
+        profiles: {
+            green: {
+                name: 'Green seamer', color: '#a3a866', grass: 0.7,
+                bounce: 1.1, paceOff: 0.03, seam: 1.6, spin: 0.7,
+                regions: { good: { seam: 1.2 }, short: { bounce: 1.1 } },
+                wear: { seam: 0.7, spin: 1.1 }
+            },
+            flat: {
+                name: 'Flat road', color: '#d8bd86', grass: 0.15,
+                bounce: 1.0, paceOff: 0.02, seam: 0.5, spin: 0.8,
+                regions: {},
+                wear: { spin: 1.2 }
+            },
+            dusty: {
+                name: 'Dusty turner', color: '#cfa46c', grass: 0,
+                bounce: 0.95, paceOff: 0.08, seam: 0.7, spin: 1.3,
+                regions: { good: { spin: 1.1 }, full: { bounce: 0.9 } },
+                wear: { spin: 1.3, bounce: 0.9 }
+            },
+            wet: {
+                name: 'Wet / sticky', color: '#8f7b57', grass: 0.3,
+                bounce: 0.85, paceOff: 0.18, seam: 1.2, spin: 1.2,
+                regions: { short: { bounce: 1.15 }, good: { paceOff: 1.2 } },
+                wear: { paceOff: 0.6, spin: 1.1 }   // Dries out
+            }
+        },
+
+        wear: {
+            fullWearBalls: 120,     // Balls to full wear when the innings has no over limit
+
+            // Bowlers' follow-through, outside the line at the batting end
+            footmarks: {
+                max: 40,
+                x: { min: 0.9, max: 1.8 },          // Either side of middle
+                distance: { min: 1.5, max: 4.5 },
+                radius: 0.35,
+                fullDepth: 0.5,                     // Share of the innings for a mark to dig in fully
+                spin: 1.4,                          // Extra grip in the rough
+                bounceVariation: 0.2                // Bounce × (1 ± this) at full depth
+            },
+
+            // Open up on a good length once the pitch is part worn
+            cracks: {
+                startWear: 0.3,
+                everyBalls: 8,
+                max: 6,
+                x: { min: -1.5, max: 1.5 },
+                distance: { min: 3, max: 9 },
+                length: { min: 0.8, max: 2.0 },
+                width: 0.15,
+                spin: 1.2,
+                bounceVariation: 0.35
+            }
+        }
+    },
+
+    // ===========================================
+    // BATTING LINEUP - Striker, non-striker and the order
+    // ===========================================
+    lineup: {
+        size: 11,               // Captain (the player) plus ten more
+        captainPosition: 1,     // Default place of the captain in the order
+        rotateOn: [1, 3],       // Runs run that leave the batters at the other end
+        defaultNames: [
+            'A. Reyes', 'J. Whitfield', 'K. Mensah', 'R. Iyer', 'T. Novak',
+            'S. Adeyemi', 'L. Carver', 'M. Okoro', 'D. Fairbairn', 'P. Nair'
+        ]
+    },
+
+    // ===========================================
+    // HOT SEAT - Local multiplayer on one webcam
+    // ===========================================
+    hotSeat: {
+        minPlayers: 2,
+        maxPlayers: 8,
+        turnModes: {
+            over: 'One over each',
+            innings: 'Full innings each'
+        }
+    },
+
+    // ===========================================
+    // NETWORK - Human bowler on a second device
+    // ===========================================
+    network: {
+        port: 8080,                 // server/bowlerServer.mjs default
+        path: '/ws',
+        releaseLead: 600,           // ms between the server stamping a delivery and release
+        pingInterval: 2000,         // ms
+        pingSamples: 8,             // Clock estimate uses the lowest-RTT of these
+        reconnectDelay: { initial: 500, max: 8000 },    // ms, doubling
+        historySize: 50,            // Messages per room kept for reconnects
+        maxMessageBytes: 16384
+    },
+
+    // ===========================================
+    // SAVED MATCH - Resume after a page reload
+    // ===========================================
+    storage: {
+        key: 'cricketAR.savedMatch',
+        schemaVersion: 2        // Bump (and add a migration in matchStorage.js) when the save shape changes
+    },
+
+    // ===========================================
+    // SIMULATION - Fixed physics step and random seed
+    // ===========================================
+    simulation: {
+        fixedStep: 1 / 60,      // Physics step (s), the same at any frame rate
+        maxFrameTime: 0.25,     // Longest frame simulated (s) - a stalled tab doesn't fast-forward
+        seed: null              // Random seed (null = a new one each session, ?seed= in the URL wins)
+    },
+
+    // ===========================================
+    // REPLAY RECORDING - Per-delivery debug replays
+    // ===========================================
+    replay: {
+        enabled: true,
+        maxDeliveries: 60,      // Oldest deliveries are dropped beyond this
+        positionTolerance: 0.01 // Max ball position drift (m) for a replay to count as reproduced
+    },
+
+    // ===========================================
+    // ACTION REPLAY - Slow-motion re-watch of the last ball
+    // ===========================================
+    actionReplay: {
+        enabled: true,
+        auto: { boundary: true, dismissal: true }, // Play automatically after these
+        startDelay: 1.5,        // Seconds to show the result before an auto replay
+        speeds: [0.25, 0.5, 1],
+        defaultSpeed: 0.5,
+        // CameraControls.presets names, plus 'ballCam' (follows the ball)
+        views: ['behind', 'sideOff', 'sideLeg', 'bowler', 'ballCam'],
+        defaultView: 'sideOff',
+        maxDuration: 10,        // Seconds of buffer per delivery
+        tailDuration: 1.5,      // Keep buffering after the ball is decided (bails, catch)
+        ballCam: { distance: 10, height: 4 }
+    },
+
     // ===========================================
     // CRICKET SHOTS - Shot definitions
     // ===========================================
@@ -325,12 +808,12 @@ export const GAME_CONFIG = {
             fast: { ms: 38, kmh: 137 },
             express: { ms: 44, kmh: 158 }
         },
-        lines: {
-            'outside-off': -0.9,
-            'off': -0.45,
+        lines: {                // +X = off side (matches Physics.hit and swing)
+            'outside-off': 0.9,
+            'off': 0.45,
             'middle': 0,
-            'leg': 0.45,
-            'outside-leg': 0.9
+            'leg': -0.45,
+            'outside-leg': -0.9
         },
         lengths: {
             'short': 0.15,
@@ -341,12 +824,70 @@ export const GAME_CONFIG = {
         }
     },
 
+    // ===========================================
+    // BOWLER PROFILES - Named bowlers, changing every over
+    // ===========================================
+    // Profiles live in profilesUrl (see data/bowlers.json). Release
+    // offsets are distances across the crease; right-arm over releases
+    // on the off side (+X), around the wicket on the leg side (-X),
+    // mirrored for left-armers.
+    bowlers: {
+        profilesUrl: 'data/bowlers.json',
+        styles: ['pace', 'swing', 'off-spin', 'leg-spin'],
+        slowerBallFactor: 0.8,          // Pace of the slower ball
+        variationLengths: {             // Variations that set their own length
+            bouncer: 'short',
+            yorker: 'yorker'
+        }
+    },
+
+    // ===========================================
+    // AI BOWLER - Targets the batter's weak zones
+    // ===========================================
+    // Zones are pace × line × length. Weakness per zone:
+    //   (Σ outcome × weight + prior.score × prior.balls) / (balls + prior.balls)
+    ai: {
+        paces: ['slow', 'medium', 'fast', 'express'],
+        weights: {
+            run: -0.25,         // Per run scored off the bat
+            miss: 0.5,          // Played and missed / left
+            edge: 1.0,
+            dismissal: 3.0
+        },
+        prior: { score: 0, balls: 2 },  // Unseen zones, and smoothing for little data
+        surpriseLengths: ['short', 'yorker'],
+
+        // exploit: share of balls aimed at weak zones, surprise: bouncers/yorkers,
+        // the rest explore. Lower temperature = sharper choice of the weakest zone.
+        difficulties: {
+            easy: { name: 'Easy', exploit: 0.3, surprise: 0.1, temperature: 1.0 },
+            medium: { name: 'Medium', exploit: 0.55, surprise: 0.15, temperature: 0.4 },
+            hard: { name: 'Hard', exploit: 0.75, surprise: 0.15, temperature: 0.15 }
+        }
+    },
+
+    // ===========================================
+    // BOWLING MACHINE - Scripted net practice
+    // ===========================================
+    machine: {
+        maxDeliveries: 300,
+        defaults: { speed: 'medium', line: 'middle', length: 'good', swing: 'none', seam: 'none', spin: 'none' },
+        defaultJitter: { speed: 0, line: 0, length: 0 },   // ± km/h, line, length
+        aliases: {
+            bouncer: 'short', bouncers: 'short',
+            yorkers: 'yorker'
+        },
+        fillerWords: ['x', 'on', 'at', 'the', 'stump', 'ball', 'balls'],
+        exampleScript: '# Net session: repeat blocks, jitter and "then" all work\njitter speed=3 line=0.05\n6 fast yorkers on off stump then 6 fast bouncers middle'
+    },
+
     // ===========================================
     // HAND TRACKING
     // ===========================================
     handTracking: {
         swingThreshold: 1.2,    // Minimum speed for swing detection
         frameSkip: 1,           // Process every N frames
+        leaveHandY: 0.8,        // Palm below this (0 = top, 1 = bottom of frame) = ducking/leaving
 
         // Shot direction from hand movement
         directionThresholds: {
@@ -357,6 +898,23 @@ export const GAME_CONFIG = {
         }
     },
 
+    // ===========================================
+    // SHOT INTENT - Leave, defend, play-and-miss, beaten
+    // ===========================================
+    // Defence uses collision.batSpeedCategories.block as the bat speed band
+    intent: {
+        raisedAngle: 35,        // Bat angle (degrees) that counts as lifted out of the way
+        outsideOffX: 1.1,       // Ball X at the batter past the off stump (3x scale)
+        goodLeaveBonus: 2,      // Challenge points per good leave (chase, bowling machine)
+        labels: {
+            shot: 'Shot',
+            defend: 'Defended',
+            leave: 'Well left!',
+            'play-and-miss': 'Played and missed',
+            beaten: 'Beaten!'
+        }
+    },
+
     // ===========================================
     // HITTING ZONE (where ball can be hit)
     // ===========================================
@@ -421,6 +979,15 @@ export function calculateRuns(distance, hasBounced, shotName = '') {
     return 3;
 }
 
+/**
+ * Does a ballHistory entry count as a legal ball in the over?
+ * Wides ('Wd', '5Wd') and no-balls ('Nb', '4Nb') don't; runs, 'W', byes ('B', '4B')
+ * and leg-byes ('LB', '4LB') do.
+ */
+export function isLegalBall(entry) {
+    return !/(Wd|Nb)$/.test(String(entry));
+}
+
 /**
  * Get timing quality and multiplier based on Z-distance from optimal contact
  */
@@ -452,6 +1019,45 @@ export function getSpeedFactor(batSpeed) {
     return batSpeedCategories.block.factor;
 }
 
+/**
+ * Wind velocity at a moment in the simulation (zero when wind is off)
+ * Gusts are two slow waves on the wind speed, the same for the same time.
+ * @param {number} time - Simulated seconds
+ */
+export function getWindVelocity(time) {
+    const { wind } = GAME_CONFIG.physics.aero;
+    if (!wind.enabled) return { x: 0, y: 0, z: 0 };
+
+    const phase = 2 * Math.PI * time / wind.gust.period;
+    const gust = 1 + wind.gust.strength * (0.6 * Math.sin(phase) + 0.4 * Math.sin(2.3 * phase + 1.7));
+    const { x, y, z } = wind.velocity;
+    return { x: x * gust, y: y * gust, z: z * gust };
+}
+
+/**
+ * Drag + Magnus acceleration on the ball (see GAME_CONFIG.physics.aero)
+ * @param {Object} velocity - Ball velocity {x, y, z}
+ * @param {Object} angularVelocity - Ball spin {x, y, z} (rad/s)
+ * @param {Object} wind - Wind velocity {x, y, z}
+ * @returns {Object} - Acceleration {x, y, z} (m/s²)
+ */
+export function getAeroAcceleration(velocity, angularVelocity, wind = { x: 0, y: 0, z: 0 }) {
+    const { aero } = GAME_CONFIG.physics;
+    if (!aero.enabled) return { x: 0, y: 0, z: 0 };
+
+    const v = { x: velocity.x - wind.x, y: velocity.y - wind.y, z: velocity.z - wind.z };
+    const w = angularVelocity;
+    const speed = Math.sqrt(v.x ** 2 + v.y ** 2 + v.z ** 2);
+    const drag = aero.dragCoefficient * speed;
+    const k = aero.magnusCoefficient;
+
+    return {
+        x: -drag * v.x + k * (w.y * v.z - w.z * v.y),
+        y: -drag * v.y + k * (w.z * v.x - w.x * v.z),
+        z: -drag * v.z + k * (w.x * v.y - w.y * v.x)
+    };
+}
+
 /**
  * Get launch angle modifier based on bat zone
  * Returns angle adjustment in degrees
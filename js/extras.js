@@ -0,0 +1,242 @@
+/**
+ * Extras Module - Wides, no-balls, byes and free hits
+ *
+ * Uses GAME_CONFIG.extras for the wide guidelines, beamer height, short-ball
+ * rules, byes and leg-byes.
+ *
+ * Each delivery can get one umpire's call:
+ * - 'no-ball' - front foot (decided at release), beamer (full toss above waist),
+ *               bouncer above head height, or one bouncer too many in the over
+ * - 'wide'    - passes the crease outside the wide guideline without being hit
+ *
+ * Extras go into ballHistory as 'Wd', 'Nb', 'B' and 'LB' entries, prefixed with
+ * the run count when it isn't the default (e.g. '5Wd', '4Nb', '2B', '2LB').
+ * Lines use +X = off side, -X = leg side (same as Physics.hit).
+ */
+
+import { GAME_CONFIG } from './config.js';
+import { gameRandom } from './random.js';
+
+export class Extras {
+    constructor() {
+        this.config = GAME_CONFIG.extras;
+
+        // Current delivery
+        this.call = null;       // null | 'wide' | 'no-ball'
+        this.reason = null;     // e.g. 'front foot', 'beamer', 'down leg'
+        this.heightJudged = false;
+        this.wideJudged = false;
+        this.shortBallJudged = false;
+
+        // Bouncers (above shoulder height) bowled in the current over
+        this.bouncers = { over: null, count: 0 };
+
+        // Next/current ball is a free hit
+        this.isFreeHit = false;
+
+        // Innings total of extra runs
+        this.total = 0;
+    }
+
+    /**
+     * New innings - clear totals and any pending free hit
+     */
+    resetInnings() {
+        this.total = 0;
+        this.isFreeHit = false;
+        this.call = null;
+        this.reason = null;
+        this.bouncers = { over: null, count: 0 };
+    }
+
+    /**
+     * New delivery - the front foot is judged at release
+     * @param {Object} options - { frontFoot: false for a bowling machine, which has no front foot }
+     * @returns {string|null} - 'no-ball' if the bowler overstepped
+     */
+    startDelivery({ frontFoot = true } = {}) {
+        this.call = null;
+        this.reason = null;
+        this.heightJudged = false;
+        this.wideJudged = false;
+        this.shortBallJudged = false;
+
+        if (frontFoot && gameRandom.next() < this.config.frontFootChance) {
+            return this.makeCall('no-ball', 'front foot');
+        }
+        return null;
+    }
+
+    /**
+     * Judge height and width as the ball comes down (call every frame)
+     * @param {Object} ballPos - Ball position {x, y, z}
+     * @param {Object|null} pitchPoint - Where the ball bounced (null = full toss)
+     * @param {boolean} hasHit - Batter has hit the ball (can't be a wide)
+     * @returns {string|null} - A new call this frame, or null
+     */
+    judgeDelivery(ballPos, pitchPoint, hasHit) {
+        if (this.call) return null;
+
+        // Beamer: full toss above waist height when it reaches the batter
+        if (!this.heightJudged && ballPos.z >= this.config.batterZ) {
+            this.heightJudged = true;
+            if (!pitchPoint && ballPos.y > this.config.beamerHeight) {
+                return this.makeCall('no-ball', 'beamer');
+            }
+        }
+
+        // Wide: outside the guideline at the crease and not played
+        if (!this.wideJudged && !hasHit && ballPos.z >= this.config.creaseZ) {
+            this.wideJudged = true;
+            const { off, leg } = this.config.wideLine;
+            if (ballPos.x > off) return this.makeCall('wide', 'outside off');
+            if (ballPos.x < -leg) return this.makeCall('wide', 'down leg');
+        }
+
+        return null;
+    }
+
+    /**
+     * Judge a short ball from its height at the batter (once per delivery)
+     * A bouncer counts towards the over's quota even when played or
+     * already called. Above head height, or over the quota, is a no-ball.
+     * @param {number} creaseHeight - Ball height at the batter (Physics.creaseHeight)
+     * @param {Object|null} pitchPoint - Where the ball bounced (null = full toss, a beamer instead)
+     * @param {number} over - Current over (0-based)
+     * @param {Object} options - { noBalls: false only counts it (bowling machine) }
+     * @returns {string|null} - 'no-ball', 'bouncer' (legal) or null
+     */
+    judgeShortBall(creaseHeight, pitchPoint, over, { noBalls = true } = {}) {
+        if (this.shortBallJudged) return null;
+        this.shortBallJudged = true;
+
+        const { perOver, shoulderHeight, headHeight } = this.config.shortBall;
+        if (!pitchPoint || creaseHeight <= shoulderHeight) return null;
+
+        if (this.bouncers.over !== over) this.bouncers = { over, count: 0 };
+        this.bouncers.count++;
+        console.log(`⚡ Bouncer ${this.bouncers.count}/${perOver} this over (${creaseHeight.toFixed(1)} high)`);
+
+        if (this.call) return null;
+        if (!noBalls) return 'bouncer';
+        if (creaseHeight > headHeight) return this.makeCall('no-ball', 'above head height');
+        if (this.bouncers.count > perOver) return this.makeCall('no-ball', 'bouncer quota');
+        return 'bouncer';
+    }
+
+    /**
+     * Record the umpire's call for this delivery
+     */
+    makeCall(call, reason) {
+        this.call = call;
+        this.reason = reason;
+        console.log(`🟡 ${this.getCallText()} (${reason})`);
+        return call;
+    }
+
+    /**
+     * Scoreboard text for the current call ('WIDE', 'NO BALL') or null
+     */
+    getCallText() {
+        if (this.call === 'wide') return 'WIDE';
+        if (this.call === 'no-ball') return 'NO BALL';
+        return null;
+    }
+
+    /**
+     * Can the batter be given out this ball?
+     * Not off a no-ball or free hit, and not bowled/caught/LBW off a wide
+     * (run outs and stumpings aren't modelled)
+     */
+    canDismiss() {
+        return !this.isFreeHit && this.call === null;
+    }
+
+    /**
+     * Byes when the ball beats the bat - does it beat the keeper too?
+     * @param {Object} ballPos - Ball position {x, y, z}
+     * @param {Object} ballVel - Ball velocity {x, y, z}
+     * @param {number} keeperX - Keeper's X position
+     * @returns {number} - 0, 1 or 4 byes
+     */
+    getByeRuns(ballPos, ballVel, keeperX = 0) {
+        const { keeperReach, fourSpeed } = this.config.byes;
+
+        if (Math.abs(ballPos.x - keeperX) <= keeperReach) return 0;
+
+        const speed = Math.sqrt(ballVel.x ** 2 + ballVel.z ** 2);
+        return speed >= fourSpeed ? 4 : 1;
+    }
+
+    /**
+     * Leg-byes when the ball comes off the pad - does the deflection beat the keeper?
+     * The ball leaves the pad slower and angled away from the middle of it.
+     * @param {Object} padImpact - { position, offset } from LegBeforeWicket.checkPadImpact
+     * @param {Object} ballVel - Ball velocity as it hit the pad {x, y, z}
+     * @param {Object} keeper - Keeper's position {x, z}
+     * @returns {number} - 0, 1 or 4 leg-byes
+     */
+    getLegByeRuns({ position, offset }, ballVel, keeper) {
+        const { padSpeed, maxAngle } = this.config.legByes;
+
+        const speed = Math.sqrt(ballVel.x ** 2 + ballVel.z ** 2) * padSpeed;
+        const angle = Math.atan2(ballVel.x, ballVel.z) + offset * maxAngle;
+        const deflected = { x: Math.sin(angle) * speed, y: 0, z: Math.cos(angle) * speed };
+        if (deflected.z <= 0) return 0;   // Back up the pitch, nowhere near the keeper
+
+        const atKeeper = { x: position.x + (deflected.x / deflected.z) * (keeper.z - position.z) };
+        return this.getByeRuns(atKeeper, deflected, keeper.x);
+    }
+
+    /**
+     * Apply the current call to a finished ball
+     * @param {number} runs - Runs off the bat, or byes/leg-byes when options.byes/legByes
+     * @param {Object} options - { wicket: batter was out, byes: runs are byes, legByes: runs are leg-byes }
+     * @returns {Object} - { entry, runs, batRuns, extras, extraType, legal } for the score and ballHistory
+     */
+    scoreDelivery(runs, { wicket = false, byes = false, legByes = false } = {}) {
+        const notOffBat = byes || legByes;
+        let entry = wicket ? 'W' : runs;
+        let totalRuns = runs;
+        let batRuns = notOffBat ? 0 : runs;
+        let extraRuns = 0;
+        let extraType = null;
+        let legal = true;
+
+        if (this.call === 'wide') {
+            // Penalty plus anything run (all extras)
+            extraRuns = this.config.wideRuns + runs;
+            totalRuns = extraRuns;
+            batRuns = 0;
+            extraType = 'wide';
+            entry = extraRuns === this.config.wideRuns ? 'Wd' : `${extraRuns}Wd`;
+            legal = false;
+        } else if (this.call === 'no-ball') {
+            // Penalty, runs off the bat count to the batter
+            extraRuns = this.config.noBallRuns + (notOffBat ? runs : 0);
+            totalRuns = this.config.noBallRuns + runs;
+            extraType = 'no-ball';
+            entry = runs > 0 ? `${runs}Nb` : 'Nb';
+            legal = false;
+        } else if (byes && runs > 0) {
+            extraRuns = runs;
+            extraType = 'bye';
+            entry = runs === 1 ? 'B' : `${runs}B`;
+        } else if (legByes && runs > 0) {
+            extraRuns = runs;
+            extraType = 'leg-bye';
+            entry = runs === 1 ? 'LB' : `${runs}LB`;
+        }
+
+        this.total += extraRuns;
+
+        // A no-ball earns a free hit; it carries over wides and further no-balls
+        if (this.call === 'no-ball') {
+            this.isFreeHit = this.config.freeHit;
+        } else if (legal) {
+            this.isFreeHit = false;
+        }
+
+        return { entry, runs: totalRuns, batRuns, extras: extraRuns, extraType, legal };
+    }
+}
@@ -0,0 +1,317 @@
+/**
+ * Fielding Module - Fielders, catches and interception-based runs
+ *
+ * Uses GAME_CONFIG.fielding for placements and fielder abilities.
+ *
+ * After the ball is hit, the nearest fielders chase it:
+ * - Ball reaches a fielder before bouncing → CAUGHT
+ * - Fielder gathers a bounced/rolling ball → runs decided by
+ *   time to gather + throw back to the stumps
+ *
+ * Coordinates match Physics.hit: batting stumps at Z=10, ball is
+ * hit towards -Z, +X = off side, -X = leg side.
+ */
+
+import { GAME_CONFIG } from './config.js';
+
+export class Fielding {
+    constructor() {
+        this.config = GAME_CONFIG.fielding;
+
+        // Batting stumps position (center of the field for placements)
+        this.stumpsZ = 10;
+
+        this.enabled = true;
+        this.placementKey = this.config.defaultPlacement;
+        this.fielders = [];
+
+        // Per-delivery chase state
+        this.isChasing = false;
+        this.chaseTime = 0;
+        this.chasers = [];
+        this.catchPlan = null;
+
+        this.setPlacement(this.placementKey);
+    }
+
+    /**
+     * Set field placement
+     * @param {string} placementKey - Key in GAME_CONFIG.fielding.placements, or 'none' to disable fielders
+     */
+    setPlacement(placementKey) {
+        if (placementKey === 'none') {
+            this.enabled = false;
+            this.fielders = [];
+            console.log('🧤 Fielding disabled (distance-based runs)');
+            return;
+        }
+
+        const placement = this.config.placements[placementKey];
+        if (!placement) {
+            console.warn(`Unknown field placement '${placementKey}', keeping ${this.placementKey}`);
+            return;
+        }
+
+        this.enabled = true;
+        this.placementKey = placementKey;
+        this.fielders = placement.positions.map(pos => {
+            const home = this.positionFromPolar(pos.angle, pos.distance);
+            return {
+                name: pos.name,
+                isKeeper: pos.name === 'Wicket Keeper',
+                home,
+                position: { ...home },
+                isChasing: false
+            };
+        });
+
+        console.log(`🧤 Field set: ${placement.name} (${this.fielders.length} fielders)`);
+    }
+
+    /**
+     * Convert placement angle/distance to world X/Z
+     */
+    positionFromPolar(angleDeg, distance) {
+        const rad = (angleDeg * Math.PI) / 180;
+        return {
+            x: Math.sin(rad) * distance,
+            z: this.stumpsZ - Math.cos(rad) * distance
+        };
+    }
+
+    /**
+     * Send fielders back to their positions (new delivery)
+     */
+    reset() {
+        this.isChasing = false;
+        this.chaseTime = 0;
+        this.chasers = [];
+        this.catchPlan = null;
+
+        this.fielders.forEach(fielder => {
+            fielder.position = { ...fielder.home };
+            fielder.isChasing = false;
+        });
+    }
+
+    /**
+     * Ball has been hit - start the chase
+     * @param {Array} flightPath - Predicted flight from Physics.predictFlight (optional)
+     */
+    onBallHit(flightPath = null) {
+        if (!this.enabled) return;
+
+        this.reset();
+        this.isChasing = true;
+
+        if (flightPath) {
+            this.catchPlan = this.findCatch(flightPath);
+            if (this.catchPlan) {
+                console.log(`🧤 ${this.catchPlan.fielder.name} is under it (${this.catchPlan.time.toFixed(1)}s)`);
+            }
+        }
+    }
+
+    /**
+     * Find the first fielder who can get to the ball before it lands
+     * Walks the predicted flight and checks if any fielder can run
+     * into catching reach of a catchable-height point in time.
+     * @param {Array} flightPath - Samples [{ t, x, y, z }] ending at the landing point
+     * @returns {Object|null} - { fielder, point, time } or null if it falls safe
+     */
+    findCatch(flightPath) {
+        const { reactionTime, runSpeed, catchHeight } = this.config;
+
+        for (const sample of flightPath) {
+            if (sample.y >= catchHeight) continue;
+
+            const runTime = Math.max(0, sample.t - reactionTime);
+            for (const fielder of this.fielders) {
+                const reach = runTime * runSpeed + this.getCatchReach(fielder);
+                if (this.distance2D(fielder.home, sample) <= reach) {
+                    return { fielder, point: { x: sample.x, z: sample.z }, time: sample.t };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Catching reach for a fielder (keeper has gloves)
+     */
+    getCatchReach(fielder) {
+        return fielder.isKeeper ? this.config.keeperCatchReach : this.config.catchReach;
+    }
+
+    /**
+     * Update fielders for one frame
+     * @param {number} deltaTime - Seconds since last frame
+     * @param {Object} ballPos - Ball position {x, y, z}
+     * @param {Object} ballVel - Ball velocity {x, y, z}
+     * @param {boolean} hasBounced - Has the ball touched the ground since the hit
+     * @returns {Object|null} - { type: 'caught'|'fielded', fielder, ... } or null
+     */
+    update(deltaTime, ballPos, ballVel, hasBounced) {
+        if (!this.enabled || !this.isChasing) return null;
+
+        this.chaseTime += deltaTime;
+
+        // Ball is somewhere nobody can reach - hand back to distance scoring
+        if (this.chaseTime > this.config.maxChaseTime) {
+            console.warn(`🧤 Chase timed out after ${this.config.maxChaseTime}s`);
+            this.stopChase();
+            return null;
+        }
+
+        // Pick chasers once fielders react
+        if (this.chaseTime >= this.config.reactionTime && this.chasers.length === 0) {
+            this.chasers = this.pickChasers(ballPos, ballVel);
+
+            // The catcher always goes for it, even if not among the nearest
+            const catcher = this.catchPlan?.fielder;
+            if (catcher && !this.chasers.includes(catcher)) {
+                this.chasers.push(catcher);
+            }
+
+            this.chasers.forEach(fielder => {
+                fielder.isChasing = true;
+            });
+        }
+
+        // Move chasers towards where the ball is heading
+        // (catcher runs to the predicted catch point instead)
+        this.chasers.forEach(fielder => {
+            const target = fielder === this.catchPlan?.fielder
+                ? this.catchPlan.point
+                : this.getInterceptTarget(fielder, ballPos, ballVel);
+            this.moveTowards(fielder, target, this.config.runSpeed * deltaTime);
+        });
+
+        // Check every fielder (a ball can go straight to a static fielder)
+        for (const fielder of this.fielders) {
+            const dx = ballPos.x - fielder.position.x;
+            const dz = ballPos.z - fielder.position.z;
+            const horizontal = Math.sqrt(dx * dx + dz * dz);
+
+            // CATCH: in reach and still in the air
+            if (!hasBounced &&
+                horizontal < this.getCatchReach(fielder) &&
+                ballPos.y < this.config.catchHeight) {
+                return this.finishChase({ type: 'caught', fielder });
+            }
+
+            // GATHER: ball bounced and low enough to pick up
+            if (hasBounced &&
+                horizontal < this.config.pickupReach &&
+                ballPos.y < this.config.pickupHeight) {
+                return this.finishChase(this.getFieldedResult(fielder, ballPos));
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Nearest fielders to where the ball will be in ~1s
+     */
+    pickChasers(ballPos, ballVel) {
+        const ahead = {
+            x: ballPos.x + ballVel.x,
+            z: ballPos.z + ballVel.z
+        };
+
+        return [...this.fielders]
+            .sort((a, b) => this.distance2D(a.position, ahead) - this.distance2D(b.position, ahead))
+            .slice(0, this.config.chasers);
+    }
+
+    /**
+     * Point on the ball's path the fielder can reach in time
+     * Looks ahead by the fielder's own running time (capped) to cut the ball off
+     */
+    getInterceptTarget(fielder, ballPos, ballVel) {
+        const runTime = this.distance2D(fielder.position, ballPos) / this.config.runSpeed;
+        const lookAhead = Math.min(runTime, 1.5);
+
+        return {
+            x: ballPos.x + ballVel.x * lookAhead,
+            z: ballPos.z + ballVel.z * lookAhead
+        };
+    }
+
+    /**
+     * Move a fielder towards a target, limited by step distance
+     */
+    moveTowards(fielder, target, step) {
+        const dx = target.x - fielder.position.x;
+        const dz = target.z - fielder.position.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+
+        if (dist <= step || dist === 0) {
+            fielder.position.x = target.x;
+            fielder.position.z = target.z;
+            return;
+        }
+
+        fielder.position.x += (dx / dist) * step;
+        fielder.position.z += (dz / dist) * step;
+    }
+
+    /**
+     * Runs completed while the ball is gathered and thrown back
+     */
+    getFieldedResult(fielder, ballPos) {
+        const { throwSpeed, runTimes, maxRuns } = this.config;
+
+        const throwDistance = this.distance2D(ballPos, { x: 0, z: this.stumpsZ });
+        const throwTime = throwDistance / throwSpeed;
+        const totalTime = this.chaseTime + throwTime;
+
+        let runs = 0;
+        if (totalTime >= runTimes.first) {
+            runs = 1 + Math.floor((totalTime - runTimes.first) / runTimes.extra);
+        }
+        runs = Math.min(runs, maxRuns);
+
+        console.log(`🧤 Fielded by ${fielder.name}: gather ${this.chaseTime.toFixed(1)}s + throw ${throwTime.toFixed(1)}s → ${runs} run(s)`);
+
+        return {
+            type: 'fielded',
+            fielder,
+            runs,
+            gatherTime: this.chaseTime,
+            totalTime
+        };
+    }
+
+    /**
+     * Stop chasing (delivery decided elsewhere, e.g. boundary)
+     */
+    stopChase() {
+        this.isChasing = false;
+        this.fielders.forEach(fielder => {
+            fielder.isChasing = false;
+        });
+    }
+
+    /**
+     * Stop the chase and return the event
+     */
+    finishChase(event) {
+        this.stopChase();
+        if (event.type === 'caught') {
+            console.log(`🧤 CAUGHT by ${event.fielder.name}!`);
+        }
+        return event;
+    }
+
+    /**
+     * Horizontal distance between two {x, z} points
+     */
+    distance2D(a, b) {
+        const dx = a.x - b.x;
+        const dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+}
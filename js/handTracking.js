@@ -192,6 +192,15 @@ export class HandTracking {
         };
     }
 
+    /**
+     * Check if the palm has dropped low in the frame (ducking/leaving)
+     * @param {number} threshold - Normalized y (0 = top, 1 = bottom of frame)
+     */
+    isHandDropped(threshold = 0.8) {
+        const palm = this.getPalmPosition();
+        return !!palm && palm.y > threshold;
+    }
+
     /**
      * Set callback for hand tracking results
      */
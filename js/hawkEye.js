@@ -0,0 +1,170 @@
+/**
+ * Hawk-Eye Module - Ball-tracking replay for LBW reviews
+ *
+ * Draws the delivery up to the pad, the pitching and impact markers,
+ * the stump zone, and animates the projected path on to the stumps.
+ * Uses GAME_CONFIG.lbw for the stump zone and replay timing.
+ */
+
+import * as THREE from 'three';
+import { GAME_CONFIG } from './config.js';
+
+// Hawk-Eye verdict colors: red = against the batter, amber = umpire's call, green = safe
+const VERDICT_COLORS = {
+    'in-line': 0xef4444,
+    'outside-off': 0xef4444,
+    'full-toss': 0xef4444,
+    'hitting': 0xef4444,
+    'umpires-call': 0xf59e0b,
+    'outside-leg': 0x22c55e,
+    'missing': 0x22c55e
+};
+
+export class HawkEye {
+    constructor(scene) {
+        this.scene = scene;
+        this.config = GAME_CONFIG.lbw;
+
+        this.objects = [];
+        this.projectedLine = null;
+        this.projectedPoints = [];
+        this.ghostBall = null;
+        this.elapsed = 0;
+        this.isPlaying = false;
+    }
+
+    /**
+     * Start the replay for an LBW review
+     * @param {Object} review - From LegBeforeWicket.review()
+     */
+    show(review) {
+        this.clear();
+
+        const r = GAME_CONFIG.physics.ballRadius;
+
+        // Actual path up to the pad
+        const delivery = this.createLine(review.deliveryPath, 0x38bdf8);
+        this.add(delivery);
+
+        // Pitching marker (flat disc on the pitch)
+        if (review.pitchPoint) {
+            const pitchMarker = this.createDisc(r * 1.4, VERDICT_COLORS[review.pitching]);
+            pitchMarker.rotation.x = -Math.PI / 2;
+            pitchMarker.position.set(review.pitchPoint.x, 0.05, review.pitchPoint.z);
+            this.add(pitchMarker);
+        }
+
+        // Impact marker (facing the bowler)
+        const impactColor = review.impact === 'outside-off' && !review.playedShot
+            ? VERDICT_COLORS['in-line']
+            : VERDICT_COLORS[review.impact];
+        const impactMarker = this.createDisc(r * 1.2, impactColor);
+        impactMarker.position.set(review.impactPoint.x, review.impactPoint.y, review.impactPoint.z - r);
+        this.add(impactMarker);
+
+        // Stump zone at the crease
+        const { halfWidth, height, z } = this.config.stumps;
+        const zone = new THREE.Mesh(
+            new THREE.PlaneGeometry(halfWidth * 2, height),
+            new THREE.MeshBasicMaterial({
+                color: VERDICT_COLORS[review.wickets],
+                transparent: true,
+                opacity: 0.25,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        zone.position.set(0, height / 2, z);
+        this.add(zone);
+
+        // Projected path - revealed over time in update()
+        this.projectedPoints = review.projection.map(p => new THREE.Vector3(p.x, p.y, p.z));
+        this.projectedLine = this.createLine(review.projection, VERDICT_COLORS[review.wickets]);
+        this.projectedLine.geometry.setDrawRange(0, 1);
+        this.add(this.projectedLine);
+
+        // Ghost ball travelling along the projection
+        this.ghostBall = new THREE.Mesh(
+            new THREE.SphereGeometry(r, 16, 16),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.8 })
+        );
+        this.ghostBall.position.copy(this.projectedPoints[0]);
+        this.add(this.ghostBall);
+
+        this.elapsed = 0;
+        this.isPlaying = true;
+
+        console.log('📺 Hawk-Eye replay started');
+    }
+
+    /**
+     * Animate the projected path (call every frame)
+     */
+    update(deltaTime) {
+        if (!this.isPlaying || this.projectedPoints.length === 0) return;
+
+        this.elapsed += deltaTime;
+        const progress = Math.min(1, this.elapsed / this.config.replay.projectDuration);
+
+        const count = this.projectedPoints.length;
+        const shown = Math.max(1, Math.ceil(progress * count));
+        this.projectedLine.geometry.setDrawRange(0, shown);
+        this.ghostBall.position.copy(this.projectedPoints[shown - 1]);
+
+        if (progress >= 1) {
+            this.isPlaying = false;
+        }
+    }
+
+    /**
+     * Total replay length in seconds (projection + hold on the verdict)
+     */
+    getDuration() {
+        const { projectDuration, holdDuration } = this.config.replay;
+        return projectDuration + holdDuration;
+    }
+
+    /**
+     * Remove all replay objects
+     */
+    clear() {
+        this.objects.forEach(obj => {
+            this.scene.remove(obj);
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+        });
+        this.objects = [];
+        this.projectedLine = null;
+        this.projectedPoints = [];
+        this.ghostBall = null;
+        this.isPlaying = false;
+    }
+
+    /**
+     * Add an object to the scene and track it for clear()
+     */
+    add(obj) {
+        this.scene.add(obj);
+        this.objects.push(obj);
+    }
+
+    /**
+     * Solid line through a list of {x, y, z} points
+     */
+    createLine(points, color) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            points.map(p => new THREE.Vector3(p.x, p.y, p.z))
+        );
+        return new THREE.Line(geometry, new THREE.LineBasicMaterial({ color }));
+    }
+
+    /**
+     * Flat marker disc
+     */
+    createDisc(radius, color) {
+        return new THREE.Mesh(
+            new THREE.CircleGeometry(radius, 24),
+            new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+        );
+    }
+}
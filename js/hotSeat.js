@@ -0,0 +1,166 @@
+/**
+ * Hot Seat Module - Local multiplayer, players taking turns at the crease
+ *
+ * Uses GAME_CONFIG.hotSeat for the player limits and turn lengths.
+ * Each player has their own innings: a score state object in the same
+ * shape as CricketARGame.getScoreState() (runs, balls, wickets,
+ * ballHistory, deliveryLog, extras, partnership), plus what the AI
+ * bowler has learned about them. The game swaps these in and out
+ * between turns.
+ *
+ * Turns are one over each (innings carry on over several turns) or a
+ * full innings each. A player is finished when their innings ends.
+ */
+
+import { GAME_CONFIG } from './config.js';
+
+export class HotSeat {
+    constructor() {
+        this.config = GAME_CONFIG.hotSeat;
+        this.enabled = false;
+        this.turnMode = 'over';     // 'over' | 'innings'
+        this.players = [];          // [{ name, score, brainZones, finished }]
+        this.current = 0;
+        this.turnStartBalls = 0;    // Player's legal balls when this turn started
+    }
+
+    /**
+     * Read the player list from the main menu
+     * @param {string} names - One name per line
+     * @param {string} turnMode - 'over' or 'innings'
+     * @throws {Error} - Fewer than minPlayers or more than maxPlayers names
+     */
+    setup(names, turnMode) {
+        const list = (names || '').split('\n').map(name => name.trim()).filter(Boolean);
+        const { minPlayers, maxPlayers } = this.config;
+        if (list.length < minPlayers || list.length > maxPlayers) {
+            throw new Error(`Hot seat needs ${minPlayers}-${maxPlayers} players (got ${list.length})`);
+        }
+
+        this.turnMode = this.config.turnModes[turnMode] ? turnMode : 'over';
+        this.players = list.map(name => ({ name, score: null, brainZones: {}, finished: false }));
+        this.current = 0;
+        this.turnStartBalls = 0;
+        this.enabled = true;
+        console.log(`👥 Hot seat: ${list.join(', ')} (${this.config.turnModes[this.turnMode]})`);
+    }
+
+    disable() {
+        this.enabled = false;
+        this.players = [];
+    }
+
+    /**
+     * Fresh innings for everyone, first player in
+     */
+    start() {
+        this.players.forEach(player => {
+            player.score = null;
+            player.brainZones = {};
+            player.finished = false;
+        });
+        this.current = 0;
+        this.turnStartBalls = 0;
+    }
+
+    getCurrentPlayer() {
+        return this.players[this.current];
+    }
+
+    /**
+     * Has the current player had their turn?
+     * @param {number} balls - Player's legal balls so far
+     * @param {boolean} inningsOver - Their innings has ended
+     */
+    isTurnOver(balls, inningsOver) {
+        if (inningsOver) return true;
+        return this.turnMode === 'over' &&
+            balls - this.turnStartBalls >= GAME_CONFIG.match.ballsPerOver;
+    }
+
+    /**
+     * Put away the current player's innings
+     * @param {Object} score - CricketARGame.getScoreState()
+     * @param {Object} brainZones - BowlingBrain.zones for this player
+     * @param {boolean} inningsOver - They're finished
+     */
+    endTurn(score, brainZones, inningsOver) {
+        const player = this.getCurrentPlayer();
+        player.score = score;
+        player.brainZones = brainZones;
+        player.finished = inningsOver;
+    }
+
+    /**
+     * Move to the next player who hasn't finished
+     * @returns {Object|null} - The player, or null when everyone is done
+     */
+    nextPlayer() {
+        for (let step = 1; step <= this.players.length; step++) {
+            const index = (this.current + step) % this.players.length;
+            if (!this.players[index].finished) {
+                this.current = index;
+                const { score } = this.players[index];
+                this.turnStartBalls = score ? score.balls : 0;
+                return this.players[index];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Everyone ranked by runs, then strike rate, then boundaries
+     * @returns {Array} - [{ rank, name, runs, wickets, balls, strikeRate, fours, sixes, boundaries }]
+     */
+    getLeaderboard() {
+        return this.players
+            .map(player => this.getStats(player))
+            .sort((a, b) => b.runs - a.runs || b.strikeRate - a.strikeRate || b.boundaries - a.boundaries)
+            .map((stats, i) => ({ rank: i + 1, ...stats }));
+    }
+
+    /**
+     * A player's totals from their score state: runs off the bat and
+     * balls faced (extras aren't theirs, wides aren't faced - as Scorecard.getBatterScore)
+     */
+    getStats({ name, score }) {
+        const log = score ? score.deliveryLog : [];
+        const runs = log.reduce((sum, ball) => sum + ball.batRuns, 0);
+        const balls = log.filter(ball => ball.extraType !== 'wide').length;
+        const fours = log.filter(ball => ball.batRuns === 4).length;
+        const sixes = log.filter(ball => ball.batRuns === 6).length;
+
+        return {
+            name,
+            runs,
+            wickets: score ? score.wickets : 0,
+            balls,
+            strikeRate: balls > 0 ? (runs / balls) * 100 : 0,
+            fours,
+            sixes,
+            boundaries: fours + sixes
+        };
+    }
+
+    /**
+     * Everything needed to carry on after a page reload
+     */
+    getState() {
+        if (!this.enabled) return null;
+        return {
+            turnMode: this.turnMode,
+            players: this.players,
+            current: this.current,
+            turnStartBalls: this.turnStartBalls
+        };
+    }
+
+    restore(state) {
+        if (!state) return;
+        this.enabled = true;
+        this.turnMode = state.turnMode;
+        this.players = state.players;
+        this.current = state.current;
+        this.turnStartBalls = state.turnStartBalls;
+    }
+}
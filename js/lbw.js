@@ -0,0 +1,157 @@
+/**
+ * LBW Module - Leg before wicket adjudication
+ *
+ * Uses GAME_CONFIG.lbw for the pad volume, stump zone and umpire's call margins.
+ *
+ * A ball that beats the bat and hits the pad/body volume is reviewed:
+ * 1. Pitching - outside leg is never out
+ * 2. Impact   - must be in line (outside off only counts with no shot offered)
+ * 3. Wickets  - projected path must go on to hit the stumps
+ *
+ * Marginal impact/wickets calls are "umpire's call" and stay NOT OUT.
+ * Lines use +X = off side, -X = leg side (same as Physics.hit).
+ */
+
+import { GAME_CONFIG } from './config.js';
+
+export class LegBeforeWicket {
+    constructor() {
+        this.config = GAME_CONFIG.lbw;
+        this.ballRadius = GAME_CONFIG.physics.ballRadius;
+
+        // Ball path for this delivery (for the Hawk-Eye replay)
+        this.deliveryPath = [];
+    }
+
+    /**
+     * New delivery - forget the previous path
+     */
+    reset() {
+        this.deliveryPath = [];
+    }
+
+    /**
+     * Record the ball position each frame until it's hit or reviewed
+     */
+    recordBall(ballPos) {
+        this.deliveryPath.push({ x: ballPos.x, y: ballPos.y, z: ballPos.z });
+    }
+
+    /**
+     * Check if the ball has hit the pad/body volume around the bat
+     * @param {Object} ballPos - Ball position {x, y, z}
+     * @param {Object} handData - From Bat.getHandData()
+     * @returns {Object|null} - { position, offset } of the impact (offset -1 → 1 across the pad, +X side positive), or null
+     */
+    checkPadImpact(ballPos, handData) {
+        if (!this.config.enabled || !handData || !handData.isTracking) return null;
+
+        const { pad } = this.config;
+        const r = this.ballRadius;
+        const center = {
+            x: handData.position.x + pad.offsetX,
+            z: handData.position.z + pad.offsetZ
+        };
+
+        const inWidth = Math.abs(ballPos.x - center.x) <= pad.halfWidth + r;
+        const inDepth = Math.abs(ballPos.z - center.z) <= pad.halfDepth + r;
+        const inHeight = ballPos.y - r <= pad.height;
+
+        if (inWidth && inDepth && inHeight) {
+            console.log(`🦵 Pad impact at (${ballPos.x.toFixed(2)}, ${ballPos.y.toFixed(2)}, ${ballPos.z.toFixed(2)})`);
+            return {
+                position: { x: ballPos.x, y: ballPos.y, z: ballPos.z },
+                offset: Math.max(-1, Math.min(1, (ballPos.x - center.x) / (pad.halfWidth + r)))
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Review an LBW appeal
+     * @param {Object} appeal - { impact: {x, y, z}, pitchPoint: {x, z} | null, projection: [{x, y, z}], playedShot }
+     * @returns {Object} - Decision with pitching/impact/wickets verdicts and the paths for the replay
+     */
+    review({ impact, pitchPoint, projection, playedShot }) {
+        const pitching = pitchPoint ? this.getPitchingLine(pitchPoint.x) : 'full-toss';
+        const impactLine = this.getImpactLine(impact.x);
+
+        const stumpsPoint = projection[projection.length - 1];
+        const reachedStumps = Math.abs(stumpsPoint.z - this.config.stumps.z) < 0.01;
+        const wickets = reachedStumps ? this.getWicketsVerdict(stumpsPoint) : 'missing';
+
+        const { out, reason } = this.decide(pitching, impactLine, wickets, playedShot);
+
+        console.log(`🦵 LBW review: pitching=${pitching}, impact=${impactLine}, wickets=${wickets} → ${out ? 'OUT' : 'NOT OUT'} (${reason})`);
+
+        return {
+            out,
+            reason,
+            pitching,
+            impact: impactLine,
+            wickets,
+            playedShot,
+            pitchPoint,
+            impactPoint: impact,
+            stumpsPoint,
+            deliveryPath: [...this.deliveryPath, impact],
+            projection
+        };
+    }
+
+    /**
+     * Where the ball pitched relative to the stumps
+     * Outside a line means the whole ball is past the edge of the stump
+     */
+    getPitchingLine(x) {
+        const edge = this.config.stumps.halfWidth + this.ballRadius;
+        if (x < -edge) return 'outside-leg';
+        if (x > edge) return 'outside-off';
+        return 'in-line';
+    }
+
+    /**
+     * Where the ball hit the pad relative to the stumps
+     */
+    getImpactLine(x) {
+        const { halfWidth } = this.config.stumps;
+        const margin = this.config.umpiresCall.impact;
+        const offset = Math.abs(x);
+
+        if (offset <= halfWidth) return 'in-line';
+        if (offset <= halfWidth + margin) return 'umpires-call';
+        return x < 0 ? 'outside-leg' : 'outside-off';
+    }
+
+    /**
+     * Would the projected ball hit the stumps?
+     * Hitting = centre well inside the zone, umpire's call = clipping
+     */
+    getWicketsVerdict(point) {
+        const { halfWidth, height } = this.config.stumps;
+        const margin = this.config.umpiresCall.wickets;
+        const r = this.ballRadius;
+        const offset = Math.abs(point.x);
+
+        if (offset <= halfWidth - margin && point.y <= height - margin) return 'hitting';
+        if (offset <= halfWidth + r && point.y <= height + r) return 'umpires-call';
+        return 'missing';
+    }
+
+    /**
+     * Combine the three verdicts into a decision
+     */
+    decide(pitching, impact, wickets, playedShot) {
+        if (pitching === 'outside-leg') return { out: false, reason: 'Pitched outside leg' };
+        if (impact === 'outside-leg') return { out: false, reason: 'Impact outside leg' };
+        if (impact === 'outside-off' && playedShot) {
+            return { out: false, reason: 'Impact outside off (playing a shot)' };
+        }
+        if (impact === 'umpires-call') return { out: false, reason: "Umpire's call (impact)" };
+        if (wickets === 'missing') return { out: false, reason: 'Missing the stumps' };
+        if (wickets === 'umpires-call') return { out: false, reason: "Umpire's call (wickets)" };
+
+        return { out: true, reason: 'Hitting the stumps' };
+    }
+}
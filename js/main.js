@@ -14,7 +14,28 @@ import { Bat } from './bat.js?v=113'; // 3D cricket bat with zone detection
 import { UI } from './ui.js?v=113';
 import { ShotStateMachine } from './shotStateMachine.js?v=113';
 import { TimingSystem } from './timingSystem.js?v=113';
+import { MatchFormat } from './matchFormat.js?v=113';
+import { ChaseMode } from './chaseMode.js?v=113';
+import { Fielding } from './fielding.js?v=113';
+import { LegBeforeWicket } from './lbw.js?v=113';
+import { HawkEye } from './hawkEye.js?v=113';
+import { Extras } from './extras.js?v=113';
+import { Scorecard } from './scorecard.js?v=113';
+import { MatchStorage } from './matchStorage.js?v=113';
+import { ReplayRecorder } from './replayRecorder.js?v=113';
+import { ReplayPlayer } from './replayPlayer.js?v=113';
+import { ActionReplay } from './actionReplay.js?v=113';
+import { BowlerRotation } from './bowlerRotation.js?v=113';
+import { BowlingBrain } from './bowlingBrain.js?v=113';
+import { BowlingMachine } from './bowlingMachine.js?v=113';
+import { ShotIntent } from './shotIntent.js?v=113';
+import { Partnership } from './partnership.js?v=113';
+import { HotSeat } from './hotSeat.js?v=113';
+import { NetBowler } from './netBowler.js?v=113';
+import { describeDelivery } from './netProtocol.js?v=113';
+import { PitchConditions } from './pitchConditions.js?v=113';
 import { GAME_CONFIG, getShot, calculateRuns } from './config.js';
+import { gameRandom } from './random.js';
 
 class CricketARGame {
     constructor() {
@@ -24,20 +45,80 @@ class CricketARGame {
         this.renderer = new Renderer();
         this.physics = new Physics();
         this.bowling = new Bowling();
+
+        // Named bowlers (data/bowlers.json), changing every over
+        this.bowlerRotation = new BowlerRotation(this.bowling);
+        this.currentBowler = null; // Profile bowling this ball (null = manual settings)
+
+        // AI bowler: learns the batter's weak zones from every ball
+        this.bowlingBrain = new BowlingBrain(this.bowling);
+        this.currentParams = null;  // Params of the ball in play
+        this.contactZone = null;    // Bat zone the ball hit (null = no contact)
+
+        // Bowling machine: scripted deliveries for net practice
+        this.bowlingMachine = new BowlingMachine(this.bowling);
+
+        // Network bowler: a human bowling from a second device
+        this.netBowler = new NetBowler(this.bowling);
+        this.netDelivery = null;    // { id, delivery } being bowled from the network
         this.batting = new Batting();
         this.bat = new Bat(); // 3D bat with zones
+
+        // Striker and non-striker from the batting order (player captains)
+        this.partnership = new Partnership();
+
+        // Hot seat: several players taking turns, each with their own innings
+        this.hotSeat = new HotSeat();
+
+        // Match pitch: profile, footmarks and cracks (Physics reads it at the bounce)
+        this.pitchConditions = new PitchConditions();
+        this.physics.pitchConditions = this.pitchConditions;
         this.ui = new UI();
 
         // === NEW: Realistic batting systems ===
         this.shotStateMachine = new ShotStateMachine();
         this.timingSystem = new TimingSystem();
 
+        // Match format (T10, T20, ODI, custom overs, nets)
+        this.matchFormat = new MatchFormat();
+        this.chaseMode = new ChaseMode();
+
+        // Fielders (catches + interception-based runs)
+        this.fielding = new Fielding();
+
+        // LBW adjudication + Hawk-Eye replay (created after renderer init)
+        this.lbw = new LegBeforeWicket();
+        this.hawkEye = null;
+        this.lbwDecisionTimer = null;   // Decision given once the Hawk-Eye replay has played
+        this.padImpact = null;          // { position, offset, velocity } of the last appeal (leg-byes)
+
+        // Wides, no-balls, byes and free hits
+        this.extras = new Extras();
+
+        // Records every delivery for deterministic replays (bug reports)
+        this.replayRecorder = new ReplayRecorder(this.physics, this.bat);
+
+        // Slow-motion action replay of the last ball
+        this.actionReplay = new ActionReplay();
+        this.pendingReplay = null;   // Title of an auto replay to play before the next ball
+        this.replayReturn = null;    // What to do when the replay ends
+
         // Game state
         this.state = 'menu'; // menu, idle, bowling, batting, result
         this.menuTime = 0; // For orbit animation
         this.isRunning = false;
         this.lastTime = 0;
 
+        // Fixed-step physics: unsimulated time carried between frames, and how far
+        // rendering is between the last two steps (0-1)
+        this.physicsAccumulator = 0;
+        this.physicsAlpha = 1;
+
+        // Seeded random source - ?seed= in the URL reproduces a session
+        const seed = new URLSearchParams(location.search).get('seed') ?? GAME_CONFIG.simulation.seed;
+        if (seed !== null) gameRandom.setSeed(seed);
+        console.log(`🎲 Random seed: ${gameRandom.seed}`);
+
         // Score
         this.totalRuns = 0;
         this.totalBalls = 0;
@@ -46,7 +127,17 @@ class CricketARGame {
         this.wickets = 0;
 
         // TV Scoreboard History
-        this.ballHistory = []; // Stores runs (0,1,4,6) or 'W'
+        this.ballHistory = []; // Stores runs (0,1,4,6), 'W' or extras ('Wd', 'Nb', 'B', 'LB')
+        this.deliveryLog = []; // Structured per-delivery log for the scorecard
+        this.scorecard = new Scorecard(this.matchFormat);
+
+        // Saved after every delivery so a reload can resume the innings
+        this.matchStorage = new MatchStorage();
+        this.savedMatch = null; // Unfinished match found on load
+
+        // Set once the over limit is reached or the side is all out
+        this.inningsComplete = false;
+        this.lastInningsRuns = null; // Score of the previous innings (chase target source)
 
         // Camera dimensions
         this.cameraWidth = 0;
@@ -60,6 +151,15 @@ class CricketARGame {
         // Hit detection
         this.hasHitThisDelivery = false;
 
+        // Ducking/leaving: hand dropped low as the ball reaches the batter
+        this.isHandDropped = false;
+        this.isLeaving = false;
+
+        // Shot intent (leave, defend, play-and-miss, beaten) for the ball in play
+        this.shotIntent = new ShotIntent();
+        this.currentIntent = null;
+        this.isGoodLeave = false;   // Left outside off and missed the stumps
+
         // Design decisions (for reference)
         this.config = {
             targetFPS: 30,
@@ -127,6 +227,12 @@ class CricketARGame {
             this.renderer.init('field-canvas');
             this.renderer.createBall();
 
+            // Place fielders (default field)
+            this.renderer.createFielders(this.fielding.fielders);
+
+            // Hawk-Eye replay draws into the 3D field view
+            this.hawkEye = new HawkEye(this.renderer.scene);
+
             // Create 3D cricket bat
             this.bat.create(this.renderer.scene);
             console.log('🏏 3D Cricket bat with zone detection initialized');
@@ -134,6 +240,9 @@ class CricketARGame {
             // Initialize physics
             this.physics.init();
 
+            // Bowler profiles (manual bowling still works without them)
+            await this.bowlerRotation.load();
+
             this.ui.setLoadingStatus('Ready!');
 
             // Set up UI callbacks
@@ -146,6 +255,46 @@ class CricketARGame {
             // Bind Start Game
             this.ui.onStartGame = () => this.startGame();
 
+            // Scorecard (HUD button, innings summary screens)
+            this.ui.onShowScorecard = () => this.ui.showScorecard(this.getScorecard());
+
+            // Bowling machine: check the script as it's typed, save the session summary
+            this.ui.onMachineScriptChange = (text) => this.checkMachineScript(text);
+            this.ui.onDownloadMachineSummary = () => this.downloadMachineSummary();
+            this.checkMachineScript(this.ui.getMatchSetup().machineScript);
+
+            // Network bowler: deliveries arrive with their release time
+            this.netBowler.onDelivery = (delivery, delay) => this.queueNetworkDelivery(delivery, delay);
+            this.netBowler.onStatus = (text, isError) => {
+                this.ui.setNetworkStatus(text, isError);
+                if (this.state !== 'menu') this.ui.showShotResult(text);
+            };
+
+            // Action replay: on demand from the HUD, speed/view/skip while playing
+            this.ui.onActionReplay = () => this.requestActionReplay();
+            this.ui.onReplaySpeed = (speed) => this.actionReplay.setSpeed(speed);
+            this.ui.onReplayView = (view) => {
+                this.actionReplay.setView(view);
+                if (this.state === 'replay') this.renderer.startReplayCamera(this.actionReplay.view);
+            };
+            this.ui.onReplaySkip = () => this.actionReplay.stop();
+
+            // Replays: download what was recorded, or play a file back
+            this.ui.onDownloadReplay = () => this.downloadReplay();
+            this.ui.onLoadReplay = (file) => this.playReplayFile(file);
+
+            // Offer to resume an unfinished match from before the last reload
+            this.ui.onResumeSaved = () => this.resumeMatch();
+
+            // Hot seat: next player confirms they're in front of the camera
+            this.ui.onHandoverReady = () => {
+                if (this.state === 'handover') this.resetForNextDelivery();
+            };
+            this.savedMatch = this.matchStorage.load();
+            if (this.savedMatch) {
+                this.ui.showSavedMatch(this.describeSavedMatch(this.savedMatch));
+            }
+
             // === SWING UI CONTROLS ===
             document.getElementById('swing-enabled').addEventListener('change', (e) => {
                 this.bowling.setSwingEnabled(e.target.checked);
@@ -159,7 +308,7 @@ class CricketARGame {
                 // Random swing - pick one randomly
                 if (swingType === 'random') {
                     const types = ['inswing', 'outswing', 'none'];
-                    swingType = types[Math.floor(Math.random() * types.length)];
+                    swingType = gameRandom.pick(types);
                     console.log(`🎲 Random swing selected: ${swingType}`);
                 }
 
@@ -268,6 +417,12 @@ class CricketARGame {
         const hasHands = results.hands.length > 0;
         this.ui.setHandStatus(hasHands);
 
+        // Palm dropped low in the frame = ducking/leaving (judged as the ball arrives)
+        this.isHandDropped = hasHands && this.handTracking.isHandDropped(GAME_CONFIG.handTracking.leaveHandY);
+
+        // Bat is driven by the action replay while it plays
+        if (this.state === 'replay') return;
+
         if (hasHands) {
             const landmarks = results.hands[0]; // First hand, all 21 landmarks
 
@@ -281,7 +436,14 @@ class CricketARGame {
             // UPDATE 3D BAT POSITION AND ROTATION from hand landmarks
             // This makes the bat angle match your hand angle!
             if (this.bat && landmarks) {
-                this.bat.updateFromLandmarks(landmarks, results.velocity);
+                const timestamp = Date.now();
+                this.bat.updateFromLandmarks(landmarks, results.velocity, timestamp);
+                this.replayRecorder.recordHand(landmarks, results.velocity, timestamp);
+            }
+
+            // Watch for a leave, block or swing while the ball is coming
+            if ((this.state === 'bowling' || this.state === 'batting') && !this.hasHitThisDelivery) {
+                this.shotIntent.observe(this.bat.getHandData());
             }
 
             // Draw hands on overlay
@@ -528,9 +690,11 @@ class CricketARGame {
         // Check collision with bat (distance-based)
         // Uses config radius (0.35) + increased threshold from config
         const collision = this.bat.checkCollision(ballVector, GAME_CONFIG.physics.ballRadius);
+        this.replayRecorder.recordCheck('hand', collision);
 
         if (collision && collision.hit) {
             this.hasHitThisDelivery = true;
+            this.contactZone = collision.zone;
 
             // === STEP 5: Apply Hit with Swing Direction ===
 
@@ -587,10 +751,16 @@ class CricketARGame {
             const launchAngle = shot.launchAngle ?? 12;
 
             // Get zone name for trajectory modification
-            const zoneName = collision.verticalZone || 'middle';
+            const zoneName = collision.trajectoryZone || collision.verticalZone || 'middle';
+            this.currentIntent = this.shotIntent.classify({ hit: true, batSpeed });
 
             // Apply hit using exit velocity physics with zone-based trajectory
-            this.physics.hit(hitDirection, batSpeed, zoneMultiplier, deflection, bowlSpeed, launchAngle, timingMultiplier, zoneName);
+            const hitArgs = [hitDirection, batSpeed, zoneMultiplier, deflection, bowlSpeed, launchAngle, timingMultiplier, zoneName];
+            this.replayRecorder.recordHit(hitArgs);
+            this.physics.hit(...hitArgs);
+
+            // Fielders start chasing (and look for a catch on the predicted flight)
+            this.fielding.onBallHit(this.physics.predictFlight());
 
             // Log shot name
             console.log(`🏏 Shot: ${shot.name} → direction (${hitDirection.x.toFixed(2)}, ${hitDirection.y.toFixed(2)}, ${hitDirection.z.toFixed(2)})`);
@@ -623,13 +793,15 @@ class CricketARGame {
      * Start a bowl with current settings
      */
     bowl() {
-        if (this.state !== 'idle') return;
+        if (this.state !== 'idle' || this.netBowler.enabled) return;
 
         // Get bowling options from UI
         const options = this.ui.getBowlingOptions();
         this.bowling.setSpeed(options.speed);
         this.bowling.setLine(options.line);
         this.bowling.setLength(options.length);
+        this.bowling.setSeamType(options.seamType);
+        this.bowling.setSpinType(options.spinType);
 
         // Start bowling
         this.startDelivery();
@@ -639,7 +811,7 @@ class CricketARGame {
      * Random bowl
      */
     randomBowl() {
-        if (this.state !== 'idle') return;
+        if (this.state !== 'idle' || this.netBowler.enabled) return;
 
         const delivery = this.bowling.randomDelivery();
 
@@ -647,7 +819,9 @@ class CricketARGame {
         this.ui.setBowlingControls({
             speed: this.bowling.speed,
             line: this.bowling.line,
-            length: this.bowling.length
+            length: this.bowling.length,
+            seamType: this.bowling.seamType,
+            spinType: this.bowling.spinType
         });
 
         this.startDelivery();
@@ -659,31 +833,53 @@ class CricketARGame {
     startDelivery() {
         this.state = 'bowling';
         this.hasHitThisDelivery = false;
+        this.isLeaving = false;
+        this.shotIntent.reset();
+        this.currentIntent = null;
+        this.isGoodLeave = false;
         this.ui.setBowlEnabled(false);
 
         // Reset ball and clear trail
         this.renderer.clearTrail();
         this.batting.reset();
+        this.lbw.reset();
+
+        // Umpire watches the front foot at release
+        if (this.extras.isFreeHit) {
+            this.ui.showShotResult('FREE HIT!');
+        }
+        if (this.extras.startDelivery({ frontFoot: !this.bowlingMachine.enabled })) {
+            this.ui.showShotResult(`${this.extras.getCallText()}! (${this.extras.reason})`);
+        }
 
         // Get bowling parameters
-        const params = this.bowling.getDeliveryParams();
+        const params = this.getDeliveryParams();
+        this.currentParams = params;
+        this.contactZone = null;
 
         // Store bowl speed for hit calculation (momentum transfer)
         this.currentBowlSpeed = params.speed;
 
         // === PASS SWING PARAMETERS TO PHYSICS ===
         this.physics.currentSwingType = params.swingType;
-        this.physics.swingEnabled = params.swingEnabled;
+        this.physics.swingEnabled = params.swingEnabled && !params.spinType; // Spinners drift instead
         this.physics.ballAge = 0; // New ball for now (can be dynamic later)
+        this.physics.currentSeamType = params.seamType;
+        console.log(`🎳 ${params.description || this.bowling.getDeliveryDescription()}`);
 
         // Set up callback for scoring after 2nd bounce
         this.physics.onSecondBounce = (distance) => {
+            // Fielders decide the runs while they are chasing
+            if (this.fielding.isChasing) return;
+
             if (this.state !== 'delivery_complete' && this.state !== 'dismissed') {
                 this.completeDelivery(distance);
             }
         };
 
         // Bowl the ball
+        this.replayRecorder.begin(params);
+        this.actionReplay.startRecording();
         this.physics.bowl(params);
 
         // Transition to batting state after ball is released
@@ -692,6 +888,60 @@ class CricketARGame {
         }, 100);
     }
 
+    /**
+     * A delivery from the network bowler: bowl it at the release time
+     * @param {Object} netDelivery - { id, delivery }
+     * @param {number} delay - ms until release
+     * @returns {boolean} - false when the batter isn't ready for it
+     */
+    queueNetworkDelivery(netDelivery, delay) {
+        if (this.state !== 'idle' || this.netDelivery) return false;
+
+        this.netDelivery = netDelivery;
+        this.netBowler.setReady(false);
+        this.ui.showShotResult('Bowler running in...');
+
+        setTimeout(() => {
+            if (this.netDelivery !== netDelivery) return;   // Dropped by an innings reset
+
+            // Busy by release time (e.g. watching a replay): the bowler can send it again
+            if (this.state !== 'idle') {
+                this.netBowler.reject(netDelivery.id, 'Batter not ready');
+                this.netDelivery = null;
+                return;
+            }
+            this.startDelivery();
+        }, delay);
+        return true;
+    }
+
+    /**
+     * Params for the next ball: the network bowler, the bowling machine script, this over's
+     * bowler from the rotation, the AI bowler, or the manual bowling controls
+     */
+    getDeliveryParams() {
+        const over = Math.floor(this.totalBalls / GAME_CONFIG.match.ballsPerOver);
+
+        if (this.netDelivery) {
+            this.currentBowler = null;
+            return this.netBowler.getParams(this.netDelivery.delivery);
+        }
+
+        if (this.bowlingMachine.enabled) {
+            this.currentBowler = null;
+            return this.bowlingMachine.getDelivery(this.deliveryLog.length);
+        }
+
+        this.currentBowler = this.bowlerRotation.getBowler(over);
+        if (this.currentBowler) {
+            return this.bowlerRotation.createDelivery(this.currentBowler);
+        }
+        if (this.bowlingBrain.enabled) {
+            return this.bowlingBrain.nextDelivery(over);
+        }
+        return this.bowling.getDeliveryParams();
+    }
+
     /**
      * Check if player hit the ball
      */
@@ -735,6 +985,7 @@ class CricketARGame {
         if (this.isRunning) return;
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.physicsAccumulator = 0;
         console.log('▶️ Game Loop Started');
         this.gameLoop();
     }
@@ -764,8 +1015,30 @@ class CricketARGame {
 
             // --- STANDARD GAME LOOP ---
 
-            // Physics
-            this.physics.update(deltaTime);
+            // Physics: fixed steps whatever the frame rate, leftover time carried over
+            const { fixedStep, maxFrameTime } = GAME_CONFIG.simulation;
+            this.physicsAccumulator += Math.min(deltaTime, maxFrameTime);
+            while (this.physicsAccumulator >= fixedStep) {
+                this.physics.update(fixedStep);
+                this.replayRecorder.recordStep(fixedStep);
+                this.stepDelivery();
+                this.physicsAccumulator -= fixedStep;
+            }
+            this.physicsAlpha = this.physicsAccumulator / fixedStep;
+
+            // Action replay: buffer this delivery, or play the last one back
+            if (this.actionReplay.isRecording) {
+                this.actionReplay.capture(deltaTime, {
+                    ball: this.getRenderBallPosition(),
+                    ballVisible: !!(this.renderer.ball && this.renderer.ball.visible),
+                    bat: this.bat.batGroup,
+                    stumps: this.physics.stumpBodies,
+                    bails: this.physics.bailBodies
+                });
+            }
+            if (this.state === 'replay') {
+                this.updateActionReplay(deltaTime);
+            }
 
             // Hand Tracking & Bat Movement
             if (this.handTracking.isDetected) {
@@ -782,24 +1055,14 @@ class CricketARGame {
                 this.bowling.update(deltaTime);
             }
 
-            // Interaction Logic (Batting/Bowled)
+            // Interaction Logic (Batting/Bowled) - contacts are checked per physics step
             if (this.state === 'bowling' || this.state === 'batting') {
-                // 1. Bat Collision
-                if (!this.hasHitThisDelivery) {
-                    const ballPos = this.physics.getBallPosition();
-                    const collision = this.bat.checkCollision(ballPos);
-                    if (collision) {
-                        this.handleHit(collision);
-                    }
-                }
-
-                // 2. Wicket Collision (Bowled)
-                const wicketHit = this.physics.checkWicketCollision();
-                if (wicketHit) {
-                    this.handleDismissal(wicketHit);
+                // Fielders chase the hit ball
+                if (this.state === 'batting' && this.hasHitThisDelivery) {
+                    this.updateFielding(deltaTime);
                 }
 
-                // 3. Update Visuals
+                // Update Visuals
                 this.updateBallVisuals();
             }
 
@@ -821,6 +1084,12 @@ class CricketARGame {
                 );
             }
 
+            // Fielder catch celebration
+            this.renderer.updateCatchAnimation(deltaTime);
+
+            // LBW ball-tracking replay
+            this.hawkEye.update(deltaTime);
+
             // Stats
             this.frameCount++;
             if (now - this.lastFpsUpdate > 1000) {
@@ -861,6 +1130,7 @@ class CricketARGame {
     handleHit(collision) {
         if (this.hasHitThisDelivery) return;
         this.hasHitThisDelivery = true;
+        this.contactZone = collision.zone;
 
         console.log('💥 BAT CONTACT!');
 
@@ -895,10 +1165,16 @@ class CricketARGame {
         const timingQuality = collision.timingQuality || 'Good';
         const bowlSpeed = this.currentBowlSpeed || 30;
         const launchAngle = shot.launchAngle ?? 12;
-        const zoneName = collision.verticalZone || 'middle';
+        const zoneName = collision.trajectoryZone || collision.verticalZone || 'middle';
+        this.currentIntent = this.shotIntent.classify({ hit: true, batSpeed });
 
         // APPLY PHYSICS HIT
-        this.physics.hit(hitDirection, batSpeed, zoneMultiplier, deflection, bowlSpeed, launchAngle, timingMultiplier, zoneName);
+        const hitArgs = [hitDirection, batSpeed, zoneMultiplier, deflection, bowlSpeed, launchAngle, timingMultiplier, zoneName];
+        this.replayRecorder.recordHit(hitArgs);
+        this.physics.hit(...hitArgs);
+
+        // Fielders start chasing (and look for a catch on the predicted flight)
+        this.fielding.onBallHit(this.physics.predictFlight());
 
         // Visual feedback
         this.ui.showShotResult(`${collision.zone?.toUpperCase() || 'HIT'}! ${timingQuality} timing - ${batSpeed.toFixed(1)}m/s`);
@@ -919,11 +1195,72 @@ class CricketARGame {
 
 
 
+    /**
+     * Bat, umpire, wicket and pad checks after each physics step, so a
+     * delivery plays out the same at any frame rate
+     */
+    stepDelivery() {
+        if (this.state !== 'bowling' && this.state !== 'batting') return;
+
+        // 1. Bat Collision
+        if (!this.hasHitThisDelivery) {
+            const ballPos = this.physics.getBallPosition();
+            const collision = this.bat.checkCollision(new THREE.Vector3(ballPos.x, ballPos.y, ballPos.z));
+            this.replayRecorder.recordCheck('loop', collision);
+            if (collision) {
+                this.handleHit(collision);
+            }
+        }
+
+        // 2. Umpire: wides, beamers and short balls
+        if (this.state === 'batting') {
+            const call = this.extras.judgeDelivery(
+                this.physics.getBallPosition(),
+                this.physics.pitchPoint,
+                this.hasHitThisDelivery
+            );
+            if (call) {
+                this.ui.showShotResult(`${this.extras.getCallText()}! (${this.extras.reason})`);
+            }
+
+            if (this.physics.creaseHeight !== null && !this.extras.shortBallJudged) {
+                this.judgeShortBall();
+            }
+        }
+
+        // 3. Wicket Collision (Bowled, or played on once hit - only an
+        // edge going back past the batter can break them)
+        const towardsStumps = !this.hasHitThisDelivery || this.physics.hitBehind;
+        const wicketHit = towardsStumps && this.physics.checkWicketCollision();
+        if (wicketHit) {
+            wicketHit.playedOn = this.hasHitThisDelivery;
+            this.handleDismissal(wicketHit);
+        }
+
+        // 4. Pad Impact (LBW appeal)
+        if (this.state === 'batting' && !this.hasHitThisDelivery) {
+            const ballPos = this.physics.getBallPosition();
+            this.lbw.recordBall(ballPos);
+
+            const padImpact = this.lbw.checkPadImpact(ballPos, this.bat.getHandData());
+            if (padImpact) {
+                this.handleLbwAppeal(padImpact);
+            }
+        }
+    }
+
+    /**
+     * Ball position to draw this frame, between the last two physics steps
+     */
+    getRenderBallPosition() {
+        return this.physics.getInterpolatedBallPosition(this.physicsAlpha);
+    }
+
     /**
      * Update ball visuals in both views
      */
     updateBallVisuals() {
-        const ballPos = this.physics.getBallPosition();
+        const ballPos = this.getRenderBallPosition();
 
         // Update 3D renderer
         this.renderer.updateBallPosition(ballPos.x, ballPos.y, ballPos.z);
@@ -952,40 +1289,69 @@ class CricketARGame {
                 const crossedBoundary = this.physics.checkBoundary(distance);
                 const isStopped = this.physics.isBallStopped();
 
-                if (crossedBoundary || isStopped) {
+                // A stopped ball still has to be picked up when fielders are chasing
+                if (crossedBoundary || (isStopped && !this.fielding.isChasing)) {
                     this.completeDelivery(distance);
                 }
             }
         }
     }
 
+    /**
+     * Move fielders and resolve catches / pickups
+     */
+    updateFielding(deltaTime) {
+        if (!this.fielding.isChasing) return;
+
+        const event = this.fielding.update(
+            deltaTime,
+            this.physics.getBallPosition(),
+            this.physics.getBallVelocity(),
+            this.physics.hasBounced
+        );
+        this.renderer.updateFielders(this.fielding.fielders);
+
+        if (!event) return;
+
+        // Ball is in the fielder's hands
+        const { fielder } = event;
+        this.physics.stopBallAt(fielder.position.x, 1.5, fielder.position.z);
+        this.replayRecorder.recordStop(fielder.position.x, 1.5, fielder.position.z);
+
+        if (event.type === 'caught') {
+            this.renderer.playCatchAnimation(this.fielding.fielders.indexOf(fielder));
+            this.handleDismissal({ type: 'caught', fielder: fielder.name, isKeeper: fielder.isKeeper });
+        } else {
+            this.completeDelivery(this.physics.getDistanceFromStumps(), event);
+        }
+    }
+
     /**
      * Complete delivery and calculate score
-     * Uses centralized calculateRuns from config.js
+     * Uses centralized calculateRuns from config.js, or the fielding
+     * result when a fielder gathered the ball
+     * @param {number} distance - Ball distance from stumps
+     * @param {Object} fielded - Fielding 'fielded' event (runs from interception time)
+     * @param {string} resultNote - Optional text to show ahead of the result (instead of the umpire's call)
      */
-    completeDelivery(distance) {
+    completeDelivery(distance, fielded = null, resultNote = null) {
         if (this.state === 'delivery_complete') return; // Prevent double scoring
 
         this.state = 'delivery_complete';
         this.deliveryComplete = true;
+        this.fielding.stopChase();
 
         // Calculate runs using centralized scoring from config.js
         // This applies proper 4/6 rules:
         // - FOUR = bounced before crossing boundary
         // - SIX = clean over boundary without bouncing
         const hasBounced = this.physics.hasBounced;
-        const runs = calculateRuns(distance, hasBounced);
+        const runs = fielded ? fielded.runs : calculateRuns(distance, hasBounced);
 
         // Update score
-        this.totalRuns += runs;
-        this.totalBalls++;
-        this.ballHistory.push(runs);
+        this.recordDelivery(runs);
 
-        // Calculate CRR
-        const overs = this.totalBalls / 6;
-        const crr = overs > 0 ? (this.totalRuns / overs) : 0;
-
-        this.ui.updateScore(this.totalRuns, this.totalBalls, this.wickets, this.ballHistory, crr);
+        this.updateScoreboard();
 
         // Update stadium scoreboard
         this.renderer.stadiumEnvironment.updateScore(this.totalRuns, this.totalBalls);
@@ -997,76 +1363,689 @@ class CricketARGame {
         } else if (runs === 4) {
             resultText = `🏏 FOUR! ${resultText} (bounced to boundary)`;
         } else if (runs === 0) {
-            resultText = `Dot Ball (${resultText})`;
+            const label = this.currentIntent === 'defend' ? this.shotIntent.describe('defend') : 'Dot Ball';
+            resultText = `${label} (${resultText})`;
         } else {
             resultText = `${runs} Run${runs > 1 ? 's' : ''} (${resultText})`;
         }
 
+        if (fielded) {
+            resultText += ` - fielded by ${fielded.fielder.name}`;
+        }
+        resultText = resultNote ? `${resultNote} - ${resultText}` : this.withExtrasCall(resultText);
+
         this.ui.showShotResult(resultText);
         this.ui.showLastShot('Hit', runs);
 
         console.log(`📊 SCORE: ${this.totalRuns}/${this.totalBalls} - ${resultText} | Bounced: ${hasBounced}`);
 
-        // Schedule next delivery
-        this.scheduleNextDelivery();
+        if (runs === 4 || runs === 6) {
+            this.queueActionReplay(runs === 6 ? 'SIX!' : 'FOUR!', 'boundary');
+        }
+
+        // Next delivery (or end of innings)
+        this.advanceInnings();
+    }
+
+    /**
+     * Ball hit the pad - review LBW with a Hawk-Eye replay
+     * @param {Object} padImpact - From LegBeforeWicket.checkPadImpact
+     */
+    handleLbwAppeal(padImpact) {
+        this.state = 'review';
+
+        const impact = padImpact.position;
+
+        // Project the path on from the pad with the same physics as the ball
+        const projection = this.physics.projectPath(impact, this.physics.getBallVelocity(), {
+            untilZ: GAME_CONFIG.lbw.stumps.z,
+            maxTime: 2,
+            bounce: true
+        });
+
+        const review = this.lbw.review({
+            impact,
+            pitchPoint: this.physics.pitchPoint,
+            projection,
+            playedShot: this.bat.getHandData().isSwinging
+        });
+
+        // Ball drops dead off the pad (leg-byes use where it was heading)
+        this.padImpact = { ...padImpact, velocity: this.physics.getBallVelocity() };
+        this.physics.stopBallAt(impact.x, GAME_CONFIG.physics.ballRadius, impact.z);
+        this.replayRecorder.recordStop(impact.x, GAME_CONFIG.physics.ballRadius, impact.z);
+
+        this.ui.showShotResult('HOWZAT?! 🦵');
+        this.ui.showLbwReview(review);
+        this.hawkEye.show(review);
+
+        // Give the decision once the replay has played
+        this.lbwDecisionTimer = setTimeout(() => {
+            this.lbwDecisionTimer = null;
+            if (review.out) {
+                this.handleDismissal({ type: 'lbw', review });
+            } else {
+                this.endDelivery('pad', `NOT OUT - ${review.reason}`);
+            }
+        }, this.hawkEye.getDuration() * 1000);
     }
 
     /**
-     * Handle player dismissal (Bowled)
+     * Handle player dismissal (Bowled, Caught, LBW)
      */
     handleDismissal(dismissal) {
         console.log(`🔴 DISMISSAL: ${dismissal.type.toUpperCase()}!`, dismissal);
 
+        // Not out off a no-ball, wide or free hit - the ball is still live, so it
+        // scores as it finished: runs taken while a catch was in the air, leg-byes
+        // off the pad, byes past the keeper, or runs off a played-on edge
+        if (!this.extras.canDismiss()) {
+            const label = this.extras.getCallText() || 'FREE HIT';
+            const note = `${label} - ${dismissal.type.toUpperCase()} but NOT OUT!`;
+
+            if (dismissal.type === 'caught') {
+                const catcher = this.fielding.fielders.find(fielder => fielder.name === dismissal.fielder);
+                const fielded = this.fielding.getFieldedResult(catcher, this.physics.getBallPosition());
+                this.completeDelivery(this.physics.getDistanceFromStumps(), fielded, note);
+            } else if (dismissal.type === 'lbw') {
+                this.endDelivery('pad', note);
+            } else {
+                this.fielding.stopChase();
+                this.endDelivery(dismissal.playedOn ? 'hit' : 'miss', note);
+            }
+            return;
+        }
+
         // Update state
         this.state = 'dismissed';
 
-        // Increment wickets
-        this.wickets++;
-        this.totalBalls++;
-        this.ballHistory.push('W');
-
-        // Calculate CRR
-        const overs = this.totalBalls / 6;
-        const crr = overs > 0 ? (this.totalRuns / overs) : 0;
+        // Record the wicket
+        this.recordDelivery(0, { wicket: true, dismissal });
 
-        this.ui.updateScore(this.totalRuns, this.totalBalls, this.wickets, this.ballHistory, crr);
+        this.updateScoreboard();
 
         // Trigger wicket destruction physics
-        this.physics.destroyWicket(dismissal);
+        if (dismissal.type === 'bowled') {
+            this.physics.destroyWicket(dismissal);
+        }
 
         // Show dismissal message
-        this.ui.showShotResult(`BOWLED! You're OUT!`);
+        let dismissalText = dismissal.playedOn ? `PLAYED ON! You're OUT!` : `BOWLED! You're OUT!`;
+        if (dismissal.type === 'caught') {
+            dismissalText = dismissal.isKeeper
+                ? `CAUGHT BEHIND by the ${dismissal.fielder}! You're OUT!`
+                : `CAUGHT by ${dismissal.fielder}! You're OUT!`;
+        } else if (dismissal.type === 'lbw') {
+            dismissalText = `LBW! ${dismissal.review.reason} - You're OUT!`;
+        }
+        this.ui.showShotResult(dismissalText);
         this.ui.showDismissalEffect();
 
-        console.log(`📊 SCORE: ${this.totalRuns}/${this.totalBalls} - Wickets: ${this.wickets}/10`);
+        console.log(`📊 SCORE: ${this.totalRuns}/${this.totalBalls} - Wickets: ${this.wickets}/${GAME_CONFIG.match.maxWickets}`);
 
-        // Check if all out
-        if (this.wickets >= 10) {
-            setTimeout(() => {
-                this.ui.showGameOver(this.totalRuns, this.wickets, this.totalBalls);
-            }, 2000);
+        this.queueActionReplay(dismissal.type.toUpperCase(), 'dismissal');
+
+        // Next delivery (or end of innings if all out / last ball)
+        this.advanceInnings();
+    }
+
+    /**
+     * Short-ball rules and the leave, once the ball has reached the batter
+     * (Physics.creaseHeight). Warns as the over's bouncer quota is used up.
+     */
+    judgeShortBall() {
+        const over = Math.floor(this.totalBalls / GAME_CONFIG.match.ballsPerOver);
+        // A bowling machine session is practice: bouncers are counted, not called
+        const result = this.extras.judgeShortBall(this.physics.creaseHeight, this.physics.pitchPoint, over,
+            { noBalls: !this.bowlingMachine.enabled });
+
+        // Hand dropped below the threshold as the ball arrived = ducking/leaving
+        this.isLeaving = this.isHandDropped && !this.hasHitThisDelivery;
+        if (this.isLeaving) console.log('🙇 Batter ducks/leaves');
+
+        if (result === 'no-ball') {
+            this.ui.showShotResult(`${this.extras.getCallText()}! (${this.extras.reason})`);
+        } else if (result === 'bouncer') {
+            const { perOver } = GAME_CONFIG.extras.shortBall;
+            const { count } = this.extras.bouncers;
+            if (this.bowlingMachine.enabled) {
+                this.ui.showShotResult(`Bouncer ${count} this over`);
+            } else {
+                this.ui.showShotResult(count >= perOver
+                    ? `⚠️ Bouncer ${count}/${perOver} - last one this over`
+                    : `Bouncer ${count}/${perOver}`);
+            }
+        }
+    }
+
+    /**
+     * Move on after a completed ball
+     * Ends the innings when the match format says so, otherwise
+     * schedules the next delivery.
+     */
+    advanceInnings() {
+        // Bowling machine sessions run to the end of the script
+        if (this.bowlingMachine.enabled) {
+            if (this.bowlingMachine.isFinished(this.deliveryLog.length)) {
+                this.endMachineSession();
+            } else {
+                this.saveMatch();
+                this.scheduleNextDelivery();
+            }
+            return;
+        }
+
+        // Hot seat: players take turns until every innings is over
+        if (this.hotSeat.enabled) {
+            this.advanceHotSeat();
+            return;
+        }
+
+        // A successful chase ends the innings immediately
+        if (this.chaseMode.isTargetReached(this.totalRuns)) {
+            this.endInnings('target');
+            return;
+        }
+
+        const reason = this.matchFormat.getInningsEndReason(this.totalBalls, this.wickets);
+
+        if (reason) {
+            this.endInnings(reason);
             return;
         }
 
-        // Schedule next delivery
+        this.saveMatch();
         this.scheduleNextDelivery();
     }
 
+    /**
+     * End the innings and show the summary card
+     * @param {string} reason - 'overs' or 'all-out'
+     */
+    endInnings(reason) {
+        if (this.inningsComplete) return;
+        this.inningsComplete = true;
+        this.ui.setBowlEnabled(false);
+
+        // Nothing left to resume (and no replay under the summary card)
+        this.matchStorage.clear();
+        this.pendingReplay = null;
+
+        const summary = this.matchFormat.getInningsSummary({
+            runs: this.totalRuns,
+            wickets: this.wickets,
+            balls: this.totalBalls,
+            history: this.ballHistory
+        }, reason);
+
+        console.log(`🏁 INNINGS COMPLETE (${reason}): ${summary.runs}/${summary.wickets} in ${summary.overs} overs`);
+
+        this.lastInningsRuns = this.totalRuns;
+
+        // Chase: decide win/loss/tie
+        let chaseResult = null;
+        if (this.chaseMode.enabled) {
+            chaseResult = this.chaseMode.getResult({
+                runs: this.totalRuns,
+                wickets: this.wickets,
+                ballsRemaining: this.matchFormat.getBallsRemaining(this.totalBalls)
+            });
+            console.log(`🎯 CHASE RESULT: ${chaseResult.text}`);
+        }
+
+        // Let the last ball's animation play out first
+        setTimeout(() => {
+            if (chaseResult) {
+                const { goodLeaves } = this.scorecard.getIntent(this.deliveryLog);
+                this.ui.showChaseResult(chaseResult, summary, this.chaseMode.target, {
+                    goodLeaves,
+                    bonus: goodLeaves * GAME_CONFIG.intent.goodLeaveBonus
+                });
+            } else {
+                this.ui.showGameOver(summary);
+            }
+        }, 2000);
+    }
+
+    /**
+     * Hot seat: carry on, or put this player's innings away at the end
+     * of their turn and hand over to the next one
+     */
+    advanceHotSeat() {
+        const reason = this.chaseMode.isTargetReached(this.totalRuns)
+            ? 'target'
+            : this.matchFormat.getInningsEndReason(this.totalBalls, this.wickets);
+
+        if (!this.hotSeat.isTurnOver(this.totalBalls, !!reason)) {
+            this.saveMatch();
+            this.scheduleNextDelivery();
+            return;
+        }
+
+        const player = this.hotSeat.getCurrentPlayer();
+        this.hotSeat.endTurn(this.getScoreState(), this.bowlingBrain.zones, !!reason);
+        if (reason) {
+            console.log(`🏁 ${player.name}'s innings complete (${reason}): ${this.totalRuns}/${this.wickets}`);
+        }
+
+        this.ui.setBowlEnabled(false);
+        this.pendingReplay = null;
+
+        if (!this.hotSeat.nextPlayer()) {
+            this.endHotSeat();
+            return;
+        }
+
+        // Let the last ball's animation play out first
+        setTimeout(() => this.startHotSeatTurn(), 2000);
+    }
+
+    /**
+     * Swap in the current hot seat player's innings and show the handover
+     */
+    startHotSeatTurn() {
+        const player = this.hotSeat.getCurrentPlayer();
+
+        this.applyLineup();
+        if (player.score) {
+            this.setScoreState(player.score);
+        } else {
+            this.resetInnings();
+        }
+
+        // What the AI bowler has learned about this batter
+        this.bowlingBrain.reset();
+        this.bowlingBrain.zones = player.brainZones;
+
+        this.saveMatch();
+        this.state = 'handover';
+        this.ui.setBowlEnabled(false);
+        this.ui.showShotResult('');
+
+        const info = player.score
+            ? `${this.totalRuns}/${this.wickets} (${this.matchFormat.formatOvers(this.totalBalls)} ov) so far`
+            : 'New innings';
+        this.ui.showHandover(player.name, info, this.hotSeat.getLeaderboard());
+        console.log(`👥 Over to ${player.name} (${info})`);
+    }
+
+    /**
+     * Everyone's innings is over: show the leaderboard
+     */
+    endHotSeat() {
+        if (this.inningsComplete) return;
+        this.inningsComplete = true;
+        this.matchStorage.clear();
+
+        const leaderboard = this.hotSeat.getLeaderboard();
+        const winner = leaderboard[0];
+        console.log(`🏆 HOT SEAT COMPLETE: ${winner.name} top with ${winner.runs}`);
+
+        setTimeout(() => this.ui.showLeaderboard(leaderboard), 2000);
+    }
+
+    /**
+     * End a bowling machine session and show the per-delivery summary
+     */
+    endMachineSession() {
+        if (this.inningsComplete) return;
+        this.inningsComplete = true;
+        this.ui.setBowlEnabled(false);
+
+        this.matchStorage.clear();
+        this.pendingReplay = null;
+
+        const summary = this.bowlingMachine.getSummary(this.deliveryLog);
+        const { totals } = summary;
+        console.log(`🤖 MACHINE SESSION COMPLETE: ${totals.runs} runs off ${totals.balls} balls, ${totals.missed} missed, ${totals.dismissals} out`);
+
+        setTimeout(() => this.ui.showMachineSummary(summary), 2000);
+    }
+
+    /**
+     * Check a bowling machine script and show the result under the editor
+     */
+    checkMachineScript(text) {
+        try {
+            const { deliveries } = this.bowlingMachine.check(text);
+            this.ui.setMachineScriptStatus(`${deliveries.length} deliveries`, false);
+        } catch (error) {
+            this.ui.setMachineScriptStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Save the last machine session summary as JSON
+     */
+    downloadMachineSummary() {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.ui.downloadJson(`cricket-ar-machine-${stamp}.json`, {
+            script: this.ui.getMatchSetup().machineScript,
+            ...this.bowlingMachine.getSummary(this.deliveryLog)
+        });
+    }
+
+    /**
+     * Add a finished ball to the score, applying any wide/no-ball call
+     * Only legal balls count towards the over. Also appends to the
+     * structured deliveryLog used by the scorecard.
+     * @param {number} runs - Runs off the bat (or byes/leg-byes)
+     * @param {Object} options - { wicket, byes, legByes, dismissal } (see Extras.scoreDelivery)
+     * @returns {Object} - { entry, runs, batRuns, extras, extraType, legal }
+     */
+    recordDelivery(runs, options = {}) {
+        const ball = this.extras.scoreDelivery(runs, options);
+        const over = Math.floor(this.totalBalls / GAME_CONFIG.match.ballsPerOver);
+        const { striker, nonStriker } = this.partnership;
+
+        this.totalRuns += ball.runs;
+        if (ball.legal) this.totalBalls++;
+        if (options.wicket) this.wickets++;
+        this.ballHistory.push(ball.entry);
+
+        const { dismissal } = options;
+        const intent = this.currentIntent || this.shotIntent.classify({ ducked: this.isLeaving });
+        this.deliveryLog.push({
+            over,
+            batter: striker,
+            nonStriker,
+            bowler: this.currentBowler ? this.currentBowler.id : null,
+            entry: ball.entry,
+            runs: ball.runs,
+            batRuns: ball.batRuns,
+            extras: ball.extras,
+            extraType: ball.extraType,
+            legal: ball.legal,
+            contact: this.contactZone,
+            intent,
+            goodLeave: this.isGoodLeave,
+            dismissal: dismissal ? { type: dismissal.type, fielder: dismissal.fielder || null } : null,
+            score: { runs: this.totalRuns, wickets: this.wickets }
+        });
+
+        // The AI bowler learns from every ball, whoever bowled it
+        if (this.currentParams) {
+            this.bowlingBrain.record(this.currentParams, {
+                runs: ball.batRuns,
+                missed: !this.hasHitThisDelivery,
+                edged: this.contactZone === 'edge',
+                dismissed: !!options.wicket
+            });
+        }
+
+        // The bowler's follow-through scuffs the pitch
+        const releaseX = this.currentParams && this.currentParams.releaseX;
+        this.pitchConditions.recordDelivery(releaseX ? Math.sign(releaseX) : 1);
+        this.renderer.drawPitch(this.pitchConditions);
+
+        // Run 1 or 3 and the batters change ends; so does the end of an over
+        this.partnership.afterBall({
+            runsRun: runs,
+            wicket: !!options.wicket,
+            endOfOver: ball.legal && this.totalBalls % GAME_CONFIG.match.ballsPerOver === 0
+        });
+
+        // The network bowler sees the outcome this game scored
+        if (this.netDelivery) {
+            this.netBowler.sendResult(this.netDelivery.id, {
+                delivery: describeDelivery(this.netDelivery.delivery),
+                speedKmh: Math.round(this.currentBowlSpeed * 3.6),
+                entry: ball.entry,
+                runs: ball.runs,
+                extraType: ball.extraType,
+                dismissal: dismissal ? dismissal.type : null,
+                intent,
+                contact: this.contactZone,
+                score: {
+                    runs: this.totalRuns,
+                    wickets: this.wickets,
+                    overs: this.matchFormat.formatOvers(this.totalBalls)
+                }
+            });
+            this.netDelivery = null;
+        }
+
+        this.actionReplay.endDelivery();
+        this.replayRecorder.finish({
+            entry: ball.entry,
+            runs: ball.runs,
+            dismissal: dismissal ? dismissal.type : null
+        });
+
+        return ball;
+    }
+
+    /**
+     * Download the recorded deliveries as a JSON replay file
+     */
+    downloadReplay() {
+        const replay = this.replayRecorder.toJSON();
+        if (replay.deliveries.length === 0) {
+            this.ui.showShotResult('No deliveries recorded yet');
+            return;
+        }
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.ui.downloadJson(`cricket-ar-replay-${stamp}.json`, replay);
+        console.log(`📼 Downloaded replay (${replay.deliveries.length} deliveries)`);
+    }
+
+    /**
+     * Play a replay file back through a separate Bat/Physics and report
+     * whether each delivery reproduced
+     * @param {File} file - Replay JSON chosen by the user
+     */
+    async playReplayFile(file) {
+        try {
+            const replay = JSON.parse(await file.text());
+
+            // Own physics world and bat so the live game isn't disturbed
+            if (!this.replayPlayer) {
+                const bat = new Bat();
+                bat.create(new THREE.Scene());
+                this.replayPlayer = new ReplayPlayer(new Physics().init(), bat);
+            }
+
+            const { reproduced, total, results } = this.replayPlayer.play(replay);
+            console.table(results);
+            this.ui.showShotResult(`📼 Replay: ${reproduced}/${total} deliveries reproduced`);
+        } catch (error) {
+            console.error('❌ Replay failed:', error);
+            this.ui.showShotResult(`Replay failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the scorecard for the current innings
+     */
+    getScorecard() {
+        return this.scorecard.build(this.deliveryLog, {
+            format: this.matchFormat.getName(),
+            names: this.partnership.getNames()
+        });
+    }
+
+    /**
+     * Chase and bowling machine sessions reward good leaves
+     */
+    isChallengeMode() {
+        return this.chaseMode.enabled || this.bowlingMachine.enabled;
+    }
+
+    /**
+     * Prefix a result with the umpire's call (e.g. "WIDE! 4 Byes")
+     */
+    withExtrasCall(resultText) {
+        const callText = this.extras.getCallText();
+        return callText ? `${callText}! ${resultText}` : resultText;
+    }
+
+    /**
+     * Push the current score to the scoreboard (CRR, extras, and chase equation if chasing)
+     */
+    updateScoreboard() {
+        const overs = this.totalBalls / 6;
+        const crr = overs > 0 ? (this.totalRuns / overs) : 0;
+
+        this.ui.updateScore(this.totalRuns, this.totalBalls, this.wickets, this.ballHistory, crr);
+        this.ui.updateExtras(this.extras.total, this.extras.isFreeHit);
+
+        // Batters at the crease (striker first)
+        const atCrease = [this.partnership.striker, this.partnership.nonStriker]
+            .filter(index => index !== null)
+            .map(index => ({
+                name: this.partnership.getName(index),
+                ...this.scorecard.getBatterScore(this.deliveryLog, index)
+            }));
+        this.ui.updateBatters(atCrease);
+
+        // Bowler of the current (or next) over and their figures
+        const bowler = this.bowlerRotation.getBowler(Math.floor(this.totalBalls / GAME_CONFIG.match.ballsPerOver));
+        this.ui.updateBowler(bowler && {
+            name: bowler.name,
+            figures: this.scorecard.getBowlerFigures(this.deliveryLog, bowler.id).text
+        });
+
+        if (this.chaseMode.enabled) {
+            const ballsRemaining = this.matchFormat.getBallsRemaining(this.totalBalls);
+            this.ui.updateChase(this.chaseMode.getStatus(this.totalRuns, ballsRemaining));
+        }
+    }
+
     /**
      * Restart the full game
      */
     restartGame() {
         console.log('🔄 RESTARTING GAME...');
+
+        // A new target: the innings just played, or a fresh random one
+        if (this.chaseMode.enabled) {
+            this.setChaseTarget(this.ui.getMatchSetup());
+        }
+        this.resetInnings();
+
+        // Hot seat: everyone starts again, first player in
+        if (this.hotSeat.enabled) {
+            this.startPitch(this.ui.getMatchSetup());
+            this.hotSeat.start();
+            this.startHotSeatTurn();
+            return;
+        }
+
+        this.startPitch(this.ui.getMatchSetup());   // Also replaces the last result on screen
+        this.saveMatch();
+
+        this.resetForNextDelivery();
+    }
+
+    /**
+     * Clear score and history for a fresh innings
+     */
+    resetInnings() {
         this.totalRuns = 0;
         this.totalBalls = 0;
         this.wickets = 0;
         this.ballHistory = [];
+        this.deliveryLog = [];
+        this.inningsComplete = false;
+        this.extras.resetInnings();
+        this.partnership.reset();
+
+        // Drop any replay or LBW decision still waiting from the last innings
+        clearTimeout(this.replayTimer);
+        clearTimeout(this.lbwDecisionTimer);
+        this.lbwDecisionTimer = null;
+        this.pendingReplay = null;
+
+        // A network delivery that will now never be scored
+        if (this.netDelivery) {
+            this.netBowler.reject(this.netDelivery.id, 'Innings restarted');
+            this.netDelivery = null;
+        }
 
-        this.ui.updateScore(0, 0, 0, [], 0);
+        this.updateScoreboard();
         // this.ui.updateWickets(0); // Deprecated
-        this.ui.showShotResult('');
+        this.renderer.stadiumEnvironment.updateScore(0, 0);
+    }
 
-        this.resetForNextDelivery();
+    /**
+     * Everything needed to resume the innings after a page reload
+     */
+    getSaveState() {
+        return {
+            player: this.ui.getPlayerProfile(),
+            setup: this.ui.getMatchSetup(),
+            bowling: this.ui.getBowlingSettings(),
+            chase: {
+                enabled: this.chaseMode.enabled,
+                target: this.chaseMode.target,
+                source: this.chaseMode.source
+            },
+            score: this.getScoreState(),
+            hotSeat: this.hotSeat.getState(),
+            pitch: this.pitchConditions.getState(),
+            lastInningsRuns: this.lastInningsRuns
+        };
+    }
+
+    /**
+     * Score, history and extras for the current innings
+     */
+    getScoreState() {
+        return {
+            runs: this.totalRuns,
+            balls: this.totalBalls,
+            wickets: this.wickets,
+            ballHistory: this.ballHistory,
+            deliveryLog: this.deliveryLog,
+            extras: this.extras.total,
+            freeHit: this.extras.isFreeHit,
+            bouncers: this.extras.bouncers,
+            partnership: this.partnership.getState()
+        };
+    }
+
+    /**
+     * Put back an innings from getScoreState()
+     */
+    setScoreState(score) {
+        this.totalRuns = score.runs;
+        this.totalBalls = score.balls;
+        this.wickets = score.wickets;
+        this.ballHistory = score.ballHistory;
+        this.deliveryLog = score.deliveryLog;
+        this.inningsComplete = false;
+        this.extras.resetInnings();
+        this.extras.total = score.extras;
+        this.extras.isFreeHit = score.freeHit;
+        this.extras.bouncers = score.bouncers;
+        this.partnership.restore(score.partnership);
+
+        this.updateScoreboard();
+        this.renderer.stadiumEnvironment.updateScore(this.totalRuns, this.totalBalls);
+    }
+
+    /**
+     * Save the match (called after every delivery)
+     */
+    saveMatch() {
+        if (this.inningsComplete) return;
+        this.matchStorage.save(this.getSaveState());
+    }
+
+    /**
+     * Main menu label for a saved match, e.g. "Mr. Sano · T10 · 45/2 (4.3 ov)"
+     */
+    describeSavedMatch(saved) {
+        const { runs, wickets, balls } = saved.score;
+        const format = GAME_CONFIG.match.formats[saved.setup.format];
+        const parts = [
+            saved.hotSeat ? `Hot seat (${saved.hotSeat.players.length} players)` : saved.player.name,
+            format ? format.name : saved.setup.format,
+            `${runs}/${wickets} (${this.matchFormat.formatOvers(balls)} ov)`
+        ];
+        if (saved.chase.enabled) parts.push(`chasing ${saved.chase.target}`);
+        return parts.filter(Boolean).join(' · ');
     }
 
     /**
@@ -1084,8 +2063,8 @@ class CricketARGame {
             return;
         }
 
-        // Ball stopped after hit
-        if (this.hasHitThisDelivery && this.physics.isBallStopped()) {
+        // Ball stopped after hit (fielders pick it up when chasing)
+        if (this.hasHitThisDelivery && this.physics.isBallStopped() && !this.fielding.isChasing) {
             this.endDelivery('hit');
             return;
         }
@@ -1099,12 +2078,25 @@ class CricketARGame {
 
     /**
      * End delivery and calculate result
+     * @param {string} outcome - 'miss', 'hit', 'boundary' or 'pad'
+     * @param {string} resultNote - Optional text to show instead of the default result (runs still follow it)
      */
-    endDelivery(outcome) {
+    endDelivery(outcome, resultNote = null) {
         this.state = 'result';
 
         let runs = 0;
-        let shotName = 'Miss!';
+        let byes = false;
+        let legByes = false;
+        let shotName = outcome === 'pad' ? 'Padded' : 'Miss!';
+
+        // Beat the bat: left, played and missed, or beaten
+        if (outcome === 'miss' || outcome === 'pad') {
+            this.currentIntent = this.shotIntent.classify({ ducked: this.isLeaving });
+        }
+        if (outcome === 'miss') {
+            shotName = this.shotIntent.describe(this.currentIntent);
+            this.isGoodLeave = this.shotIntent.isGoodLeave(this.currentIntent, this.physics.creaseX, true);
+        }
 
         if (outcome === 'hit' || outcome === 'boundary') {
             const prediction = this.physics.predictLandingZone();
@@ -1116,16 +2108,31 @@ class CricketARGame {
             runs = calculateRuns(prediction.distance, hasBounced, shotName);
         }
 
-        // Update score
-        this.totalRuns += runs;
-        this.totalBalls++;
-        this.ballHistory.push(runs);
+        // Beat the bat - byes if it beats the keeper too
+        const keeper = this.fielding.fielders.find(fielder => fielder.isKeeper);
+        if (outcome === 'miss') {
+            runs = this.extras.getByeRuns(
+                this.physics.getBallPosition(),
+                this.physics.getBallVelocity(),
+                keeper ? keeper.home.x : 0
+            );
+            byes = runs > 0;
+        }
 
-        // Calculate CRR
-        const overs = this.totalBalls / 6;
-        const crr = overs > 0 ? (this.totalRuns / overs) : 0;
+        // Off the pad - leg-byes if the deflection beats the keeper
+        if (outcome === 'pad' && this.padImpact) {
+            runs = this.extras.getLegByeRuns(
+                this.padImpact,
+                this.padImpact.velocity,
+                keeper ? keeper.home : { x: 0, z: GAME_CONFIG.lbw.stumps.z }
+            );
+            legByes = runs > 0;
+        }
 
-        this.ui.updateScore(this.totalRuns, this.totalBalls, this.wickets, this.ballHistory, crr);
+        // Update score
+        this.recordDelivery(runs, { byes, legByes });
+
+        this.updateScoreboard();
         this.ui.showLastShot(shotName, runs);
 
         // Show result
@@ -1133,18 +2140,37 @@ class CricketARGame {
         if (outcome === 'bowled') resultText = '🔥 BOWLED! 🔥';
         else if (runs === 6) resultText = '🎉 SIX! 🎉';
         else if (runs === 4) resultText = '🏏 FOUR! 🏏';
+        else if (byes) resultText = `${runs} Bye${runs > 1 ? 's' : ''}`;
+        else if (legByes) resultText = `${runs} Leg Bye${runs > 1 ? 's' : ''}`;
         else if (runs > 0) resultText = `${runs} Run${runs > 1 ? 's' : ''}`;
+        if (this.isGoodLeave && this.isChallengeMode()) {
+            resultText += ` (+${GAME_CONFIG.intent.goodLeaveBonus})`;
+        }
+        if (resultNote) resultText = runs > 0 ? `${resultNote} - ${resultText}` : resultNote;
+        else resultText = this.withExtrasCall(resultText);
 
         this.ui.showShotResult(resultText);
 
-        // Schedule next delivery
-        this.scheduleNextDelivery();
+        if (!byes && !legByes && (runs === 4 || runs === 6)) {
+            this.queueActionReplay(runs === 6 ? 'SIX!' : 'FOUR!', 'boundary');
+        }
+
+        // Next delivery (or end of innings)
+        this.advanceInnings();
     }
 
     /**
      * Schedule reset with Get Ready animation
      */
     scheduleNextDelivery() {
+        // An auto action replay plays first; the next ball follows it
+        if (this.pendingReplay) {
+            const title = this.pendingReplay;
+            this.pendingReplay = null;
+            this.replayTimer = setTimeout(() => this.startActionReplay(title, true), GAME_CONFIG.actionReplay.startDelay * 1000);
+            return;
+        }
+
         // Show "Get Ready" at 3.5 seconds
         setTimeout(() => {
             this.ui.showGetReady();
@@ -1156,6 +2182,83 @@ class CricketARGame {
         }, 5000);
     }
 
+    /**
+     * Play an action replay after this ball (boundaries, dismissals)
+     * @param {string} title - Shown on the replay banner, e.g. "SIX!"
+     * @param {string} kind - Key in GAME_CONFIG.actionReplay.auto
+     */
+    queueActionReplay(title, kind) {
+        const { enabled, auto } = GAME_CONFIG.actionReplay;
+        if (enabled && auto[kind]) {
+            this.pendingReplay = title;
+        }
+    }
+
+    /**
+     * HUD replay button - re-watch the last ball while waiting for the next one
+     */
+    requestActionReplay() {
+        if (this.state !== 'idle') return;
+        this.startActionReplay('LAST BALL');
+    }
+
+    /**
+     * Start the action replay - gameplay input is paused until it ends
+     * @param {string} title - Banner text
+     * @param {boolean} thenNextDelivery - Schedule the next ball when it ends
+     */
+    startActionReplay(title, thenNextDelivery = false) {
+        if (!this.actionReplay.play()) {
+            if (thenNextDelivery) this.scheduleNextDelivery();
+            return;
+        }
+
+        this.replayReturn = { thenNextDelivery, bat: this.bat.getTrackingState() };
+        this.state = 'replay';
+        this.ui.setBowlEnabled(false);
+        this.ui.showShotResult('');
+        this.renderer.clearTrail();
+        this.renderer.startReplayCamera(this.actionReplay.view);
+        this.ui.showActionReplay(title, {
+            speed: this.actionReplay.speed,
+            view: this.actionReplay.view
+        });
+    }
+
+    /**
+     * Advance the action replay (game loop, 'replay' state)
+     */
+    updateActionReplay(deltaTime) {
+        const frame = this.actionReplay.update(deltaTime);
+        if (frame) {
+            this.renderer.showReplayFrame(frame, this.actionReplay.view);
+        } else {
+            this.finishActionReplay();
+        }
+    }
+
+    /**
+     * Replay over (or skipped) - give control back
+     */
+    finishActionReplay() {
+        const { thenNextDelivery, bat } = this.replayReturn;
+        this.replayReturn = null;
+
+        this.actionReplay.stop();
+        this.ui.hideActionReplay();
+        this.renderer.endReplayCamera();
+        this.bat.setTrackingState(bat);
+
+        if (thenNextDelivery) {
+            // Input stays paused through the "next delivery" warning
+            this.state = 'result';
+            this.ui.showGetReady();
+            setTimeout(() => this.resetForNextDelivery(), 1500);
+        } else {
+            this.resetForNextDelivery();
+        }
+    }
+
     /**
      * Start Game (Transition from Menu)
      */
@@ -1163,6 +2266,19 @@ class CricketARGame {
         console.log('🏏 Starting Match...');
         this.state = 'idle';
         this.ui.hideMenu();
+        this.ui.hideGameOver();
+
+        // A new match replaces any saved one
+        this.savedMatch = null;
+        this.ui.hideSavedMatch();
+
+        // Apply match format from the setup panel and start a fresh innings
+        const setup = this.ui.getMatchSetup();
+        this.applyMatchSetup(setup);
+
+        this.resetInnings();
+        this.startPitch(setup);
+        this.saveMatch();
 
         // Reset camera to player view
         this.renderer.resetCamera();
@@ -1170,10 +2286,163 @@ class CricketARGame {
         // Ensure overlay canvas is sized
         if (this.renderer.onResize) this.renderer.onResize();
 
+        // Hot seat: hand the bat to the first player
+        if (this.hotSeat.enabled) {
+            this.hotSeat.start();
+            this.startHotSeatTurn();
+            return;
+        }
+
         // Start waiting for bowl
         this.resetForNextDelivery();
     }
 
+    /**
+     * Resume the match saved before the last page reload
+     */
+    resumeMatch() {
+        const saved = this.savedMatch;
+        if (!saved) return;
+        this.savedMatch = null;
+
+        console.log('💾 Resuming saved match...');
+        this.state = 'idle';
+        this.ui.restoreMatchSettings(saved);
+        this.ui.hideMenu();
+        this.ui.hideGameOver();
+
+        // Keep the saved chase target (a random target would be re-rolled)
+        this.applyMatchSetup(saved.setup, saved.chase.enabled ? saved.chase : null);
+        this.lastInningsRuns = saved.lastInningsRuns;
+
+        // Hot seat: whose turn it was, and everyone else's innings
+        if (saved.hotSeat && this.hotSeat.enabled) {
+            this.hotSeat.restore(saved.hotSeat);
+            this.bowlingBrain.zones = this.hotSeat.getCurrentPlayer().brainZones;
+            this.applyLineup(saved.setup);
+        }
+
+        // Score, history and extras as they were after the last delivery
+        this.setScoreState(saved.score);
+
+        // The same pitch, as worn as it was
+        this.pitchConditions.restore(saved.pitch);
+        this.renderer.drawPitch(this.pitchConditions);
+
+        this.renderer.resetCamera();
+        if (this.renderer.onResize) this.renderer.onResize();
+
+        this.ui.showShotResult('Match resumed');
+        this.resetForNextDelivery();
+    }
+
+    /**
+     * Chase target from the match setup (fixed, random or previous innings score)
+     * @param {Object} setup - From UI.getMatchSetup
+     */
+    setChaseTarget(setup) {
+        this.chaseMode.setTarget(setup.targetSource, {
+            fixedTarget: setup.targetRuns,
+            previousRuns: this.lastInningsRuns,
+            overs: this.matchFormat.overs
+        });
+    }
+
+    /**
+     * Apply format, chase and field settings from the match setup
+     * @param {Object} setup - From UI.getMatchSetup
+     * @param {Object} savedChase - { target } to restore instead of setting a new target
+     */
+    applyMatchSetup(setup, savedChase = null) {
+        this.matchFormat.setFormat(setup.format, setup.customOvers);
+        this.ui.setMatchFormat(this.matchFormat.getName(), this.matchFormat.overs);
+
+        // Target chase (fixed, random or previous innings score)
+        if (savedChase) {
+            this.chaseMode.setTarget('fixed', { fixedTarget: savedChase.target });
+            this.chaseMode.source = savedChase.source;
+        } else if (setup.mode === 'chase') {
+            this.setChaseTarget(setup);
+        } else {
+            this.chaseMode.disable();
+        }
+        this.ui.setChaseVisible(this.chaseMode.enabled);
+
+        // Bowling machine script, a network bowler, bowler rotation from the
+        // profiles, the AI bowler, or the manual bowling controls
+        this.bowlingMachine.setEnabled(false);
+        if (setup.bowlerMode === 'machine') {
+            try {
+                this.bowlingMachine.load(setup.machineScript);
+                this.bowlingMachine.setEnabled(true);
+            } catch (error) {
+                this.ui.showShotResult(`Script error: ${error.message} - using manual bowling`);
+            }
+        }
+        if (setup.bowlerMode === 'network') {
+            this.netBowler.connect(setup.networkUrl, setup.networkRoom);
+        } else {
+            this.netBowler.disconnect();
+        }
+        this.bowlerRotation.setEnabled(setup.bowlerMode === 'rotation');
+        this.bowlingBrain.setEnabled(setup.bowlerMode === 'ai');
+        this.bowlingBrain.setDifficulty(setup.aiDifficulty);
+        if (setup.bowlerMode === 'rotation' && !this.bowlerRotation.enabled) {
+            this.ui.showShotResult('No bowler profiles - using manual bowling');
+        }
+
+        // Hot seat players (machine sessions are single player)
+        this.hotSeat.disable();
+        if (setup.players === 'hot-seat') {
+            if (this.bowlingMachine.enabled) {
+                this.ui.showShotResult('Hot seat is not available with the bowling machine');
+            } else {
+                try {
+                    this.hotSeat.setup(setup.hotSeatNames, setup.hotSeatTurns);
+                } catch (error) {
+                    this.ui.showShotResult(`${error.message} - single player`);
+                }
+            }
+        }
+
+        // Batting order, captained by the player
+        this.applyLineup(setup);
+
+        // Field placement
+        this.fielding.setPlacement(setup.fieldPlacement);
+        this.renderer.createFielders(this.fielding.fielders);
+
+        // Outfield speed
+        this.physics.setOutfieldSpeed(setup.outfield);
+    }
+
+    /**
+     * Fresh pitch for a new match ('random' picks a profile each time).
+     * It wears over the whole innings - every player's, in hot seat
+     * @param {Object} setup - From UI.getMatchSetup
+     */
+    startPitch(setup) {
+        const players = this.hotSeat.enabled ? this.hotSeat.players.length : 1;
+        const inningsBalls = this.matchFormat.isLimited()
+            ? this.matchFormat.overs * GAME_CONFIG.match.ballsPerOver * players
+            : null;
+
+        this.pitchConditions.start(setup.pitch, inningsBalls);
+        this.renderer.drawPitch(this.pitchConditions);
+        this.ui.showShotResult(`Pitch: ${this.pitchConditions.getProfile().name}`);
+    }
+
+    /**
+     * Batting order captained by the player (or the hot seat player in)
+     * @param {Object} setup - From UI.getMatchSetup
+     */
+    applyLineup(setup = this.ui.getMatchSetup()) {
+        const captain = this.hotSeat.enabled
+            ? this.hotSeat.getCurrentPlayer().name
+            : this.ui.getPlayerProfile().name;
+        this.partnership.setLineup(captain, setup.battingOrder, setup.captainPosition);
+    }
+
     /**
      * Reset game state for next delivery
      */
@@ -1187,8 +2456,24 @@ class CricketARGame {
         this.renderer.clearTrail();
         this.renderer.resetCamera();
         this.renderer.resetWicketVisuals(); // Sync wicket meshes to upright position
+        this.fielding.reset();
+        this.renderer.stopCatchAnimation();
+        this.renderer.updateFielders(this.fielding.fielders);
+        this.hawkEye.clear();
+        this.ui.hideLbwReview();
+
+        // Restarted mid-replay
+        if (this.replayReturn) {
+            this.replayReturn = null;
+            this.actionReplay.stop();
+            this.ui.hideActionReplay();
+            this.renderer.endReplayCamera();
+        }
         this.ui.hideBallOverlay();
-        this.ui.setBowlEnabled(true);
+
+        // The network bowler bowls from the other device when we're ready
+        this.ui.setBowlEnabled(!this.netBowler.enabled);
+        this.netBowler.setReady(true);
         this.batting.reset();
 
         // Reset realistic batting systems
@@ -0,0 +1,117 @@
+/**
+ * Match Format Module - Limited-overs innings rules
+ *
+ * Uses GAME_CONFIG.match for format definitions.
+ * Tracks the over limit for the current innings and decides
+ * when the innings is complete (overs used up or all out).
+ */
+
+import { GAME_CONFIG } from './config.js';
+
+export class MatchFormat {
+    constructor() {
+        this.config = GAME_CONFIG.match;
+
+        this.formatKey = this.config.defaultFormat;
+        this.overs = this.config.formats[this.formatKey].overs;
+    }
+
+    /**
+     * Set the match format
+     * @param {string} formatKey - Key in GAME_CONFIG.match.formats (t10, t20, odi, custom, nets)
+     * @param {number} customOvers - Overs for the 'custom' format
+     */
+    setFormat(formatKey, customOvers = null) {
+        const format = this.config.formats[formatKey];
+        if (!format) {
+            console.warn(`Unknown match format '${formatKey}', keeping ${this.formatKey}`);
+            return;
+        }
+
+        this.formatKey = formatKey;
+        this.overs = format.overs;
+
+        if (formatKey === 'custom') {
+            const { min, max } = this.config.customOvers;
+            const overs = parseInt(customOvers, 10);
+            this.overs = Number.isFinite(overs)
+                ? Math.max(min, Math.min(max, overs))
+                : format.overs;
+        }
+
+        console.log(`🏟️ Match format: ${this.getName()}`);
+    }
+
+    /**
+     * Display name, e.g. "T20" or "Custom (5 overs)"
+     */
+    getName() {
+        const format = this.config.formats[this.formatKey];
+        if (this.formatKey === 'custom') {
+            return `${format.name} (${this.overs} over${this.overs > 1 ? 's' : ''})`;
+        }
+        return format.name;
+    }
+
+    /**
+     * Is there an over limit for this innings?
+     */
+    isLimited() {
+        return this.overs !== null;
+    }
+
+    /**
+     * Total legal balls allowed in the innings (Infinity for nets)
+     */
+    getMaxBalls() {
+        return this.isLimited() ? this.overs * this.config.ballsPerOver : Infinity;
+    }
+
+    /**
+     * Balls left in the innings
+     */
+    getBallsRemaining(balls) {
+        return Math.max(0, this.getMaxBalls() - balls);
+    }
+
+    /**
+     * Check if the innings is over
+     * @returns {string|null} - 'all-out', 'overs' or null if still in progress
+     */
+    getInningsEndReason(balls, wickets) {
+        if (wickets >= this.config.maxWickets) return 'all-out';
+        if (this.isLimited() && balls >= this.getMaxBalls()) return 'overs';
+        return null;
+    }
+
+    /**
+     * Format a ball count as overs (e.g. 14 → "2.2")
+     */
+    formatOvers(balls) {
+        const perOver = this.config.ballsPerOver;
+        return Math.floor(balls / perOver) + '.' + (balls % perOver);
+    }
+
+    /**
+     * Build the innings summary shown on the game over screen
+     * @param {Object} innings - { runs, wickets, balls, history }
+     * @param {string} reason - Innings end reason from getInningsEndReason (or 'target')
+     */
+    getInningsSummary({ runs, wickets, balls, history = [] }, reason = null) {
+        const overs = balls / this.config.ballsPerOver;
+
+        return {
+            format: this.getName(),
+            runs,
+            wickets,
+            balls,
+            overs: this.formatOvers(balls),
+            oversLimit: this.overs,
+            runRate: overs > 0 ? runs / overs : 0,
+            fours: history.filter(ball => ball === 4).length,
+            sixes: history.filter(ball => ball === 6).length,
+            dots: history.filter(ball => ball === 0).length,
+            reason
+        };
+    }
+}
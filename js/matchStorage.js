@@ -0,0 +1,139 @@
+/**
+ * Match Storage Module - Save and resume an unfinished match
+ *
+ * Uses GAME_CONFIG.storage for the localStorage key and schema version.
+ * The game saves after every delivery and clears the save when the
+ * innings ends, so a save on load always means an unfinished match.
+ *
+ * Saves carry a `version`. Older saves are upgraded one step at a time
+ * through MIGRATIONS; anything that can't be upgraded is discarded.
+ */
+
+import { GAME_CONFIG } from './config.js';
+
+// Upgrade a save from version N to N + 1, keyed by N
+// e.g. 1: save => ({ ...save, version: 2, newField: defaultValue })
+const MIGRATIONS = {
+    // v2: bouncer quota, partnership, hot seat, pitch conditions and outfield speed
+    1: save => {
+        const { wickets } = save.score;
+        return {
+            ...save,
+            version: 2,
+            setup: { pitch: GAME_CONFIG.pitch.defaultProfile, outfield: GAME_CONFIG.physics.outfieldSpeeds.default, ...save.setup },
+            score: {
+                bouncers: { over: null, count: 0 },
+                // One batter at a time before partnerships: batter N came in after N wickets
+                partnership: { striker: wickets, nonStriker: wickets + 1, nextIn: wickets + 2 },
+                ...save.score
+            },
+            hotSeat: save.hotSeat ?? null,
+            // Unworn default pitch (the neutral surface these matches were played on)
+            pitch: save.pitch ?? {
+                profile: GAME_CONFIG.pitch.defaultProfile,
+                balls: 0,
+                fullWearBalls: GAME_CONFIG.pitch.wear.fullWearBalls,
+                footmarks: [],
+                cracks: []
+            }
+        };
+    }
+};
+
+export class MatchStorage {
+    constructor() {
+        this.config = GAME_CONFIG.storage;
+    }
+
+    /**
+     * Is localStorage usable? (private browsing / blocked storage)
+     */
+    isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Save the match state
+     * @param {Object} state - From CricketARGame.getSaveState()
+     */
+    save(state) {
+        if (!this.isAvailable()) return;
+
+        const save = { ...state, version: this.config.schemaVersion, savedAt: Date.now() };
+        try {
+            localStorage.setItem(this.config.key, JSON.stringify(save));
+        } catch (error) {
+            console.warn('⚠️ Could not save match:', error.message);
+        }
+    }
+
+    /**
+     * Load the saved match, migrated to the current schema
+     * @returns {Object|null} - Saved state, or null if there is nothing to resume
+     */
+    load() {
+        if (!this.isAvailable()) return null;
+
+        let save;
+        try {
+            const raw = localStorage.getItem(this.config.key);
+            if (!raw) return null;
+            save = JSON.parse(raw);
+        } catch (error) {
+            console.warn('⚠️ Saved match is unreadable, discarding:', error.message);
+            this.clear();
+            return null;
+        }
+
+        const migrated = this.migrate(save);
+        if (!migrated) {
+            this.clear();
+            return null;
+        }
+
+        console.log(`💾 Found saved match (v${save.version}): ${migrated.score.runs}/${migrated.score.wickets}`);
+        return migrated;
+    }
+
+    /**
+     * Upgrade a save to the current schema version
+     * @returns {Object|null} - Migrated save, or null if it can't be upgraded
+     */
+    migrate(save) {
+        const target = this.config.schemaVersion;
+        let current = save;
+
+        if (!current || !Number.isInteger(current.version) || current.version > target) {
+            console.warn('⚠️ Saved match has an unknown schema version, discarding');
+            return null;
+        }
+
+        while (current.version < target) {
+            const migration = MIGRATIONS[current.version];
+            if (!migration) {
+                console.warn(`⚠️ No migration from save v${current.version}, discarding`);
+                return null;
+            }
+            current = migration(current);
+            console.log(`💾 Migrated saved match to v${current.version}`);
+        }
+
+        return current;
+    }
+
+    /**
+     * Forget the saved match
+     */
+    clear() {
+        if (!this.isAvailable()) return;
+        try {
+            localStorage.removeItem(this.config.key);
+        } catch (error) {
+            console.warn('⚠️ Could not clear saved match:', error.message);
+        }
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Net Bowler Module - A human bowler on a second device
+ *
+ * The batting game's side of the protocol in netProtocol.js. Deliveries
+ * picked on the bowler page arrive through the server with a release
+ * time; the game bowls them at that moment through the usual
+ * Physics.bowl path and sends the result back so the bowler sees the
+ * same outcome.
+ */
+
+import { NetClient } from './netClient.js';
+import { checkDelivery, describeDelivery } from './netProtocol.js';
+
+export class NetBowler {
+    /**
+     * @param {Bowling} bowling - For the speed/line/length maps
+     */
+    constructor(bowling) {
+        this.bowling = bowling;
+        this.client = new NetClient('batter');
+        this.client.onMessage = (message) => this.handleMessage(message);
+
+        this.enabled = false;
+        this.ready = false;         // Idle and waiting for a ball
+        this.seenIds = new Set();   // Deliveries already bowled (or rejected)
+
+        // Callbacks
+        this.onDelivery = null;     // ({ id, delivery }, delayMs) → true if it will be bowled
+        this.onStatus = null;       // (text, isError)
+        this.client.onStatus = (text, isError) => {
+            if (this.onStatus) this.onStatus(text, isError);
+        };
+    }
+
+    /**
+     * Join a room as the batter
+     */
+    connect(url, room) {
+        this.enabled = true;
+        this.seenIds.clear();
+        this.client.connect(url, room);
+    }
+
+    disconnect() {
+        this.enabled = false;
+        this.client.disconnect();
+    }
+
+    handleMessage(message) {
+        // A (re)connected bowler needs to know if they can bowl
+        if (message.type === 'welcome' || (message.type === 'peer' && message.connected)) {
+            this.client.send('ready', { ready: this.ready });
+        }
+        if (message.type === 'peer' && message.role === 'bowler') {
+            this.client.setStatus(message.connected ? 'Bowler connected' : 'Bowler left - waiting...', !message.connected);
+        }
+        if (message.type !== 'delivery' || this.seenIds.has(message.id)) return;
+        this.seenIds.add(message.id);
+
+        let delivery;
+        try {
+            delivery = checkDelivery(message.delivery, this.bowling);
+        } catch (error) {
+            this.reject(message.id, error.message);
+            return;
+        }
+
+        // Bowl at the release time the bowler sees (now, if it arrived late)
+        const delay = this.client.toLocalTime(message.releaseAt) - Date.now();
+        if (delay < 0) console.warn(`📡 Delivery ${message.id} arrived ${Math.round(-delay)}ms late`);
+
+        const accepted = this.onDelivery && this.onDelivery({ id: message.id, delivery }, Math.max(0, delay));
+        if (!accepted) this.reject(message.id, 'Batter not ready');
+    }
+
+    /**
+     * Tell the bowler whether a delivery can be bowled now
+     */
+    setReady(ready) {
+        this.ready = ready;
+        if (this.enabled) this.client.send('ready', { ready });
+    }
+
+    reject(id, reason) {
+        console.warn(`📡 Rejected delivery ${id}: ${reason}`);
+        this.client.send('reject', { id, reason }, true);
+    }
+
+    /**
+     * Send the outcome of a delivery to the bowler (kept until reconnected)
+     * @param {string} id - Delivery id
+     * @param {Object} result - { text, entry, runs, extraType, dismissal, intent, contact, score }
+     */
+    sendResult(id, result) {
+        this.client.send('result', { id, result }, true);
+    }
+
+    /**
+     * Params for Physics.bowl
+     * @param {Object} delivery - From checkDelivery
+     */
+    getParams(delivery) {
+        return {
+            speed: this.bowling.speedMap[delivery.speed],
+            line: this.bowling.lineMap[delivery.line],
+            length: this.bowling.lengthMap[delivery.length],
+            spin: 0,
+            swing: 0,
+            swingType: delivery.swing,
+            swingEnabled: delivery.swing !== 'none',
+            seamType: delivery.seam,
+            spinType: delivery.spin === 'none' ? null : delivery.spin,
+            description: `Network bowler: ${describeDelivery(delivery)}`
+        };
+    }
+}
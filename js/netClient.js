@@ -0,0 +1,180 @@
+/**
+ * Net Client Module - WebSocket connection to the bowler server
+ *
+ * Uses GAME_CONFIG.network for the ping and reconnect timings.
+ * Used by both sides: NetBowler in the batting game and the bowler
+ * page. Handles the hello/welcome handshake, reconnects with backoff,
+ * resuming from the last message seen (see netProtocol.js), and keeps
+ * the server clock estimate up to date.
+ */
+
+import { GAME_CONFIG } from './config.js';
+import { PROTOCOL_VERSION, encodeMessage, decodeMessage, ClockSync } from './netProtocol.js';
+
+export class NetClient {
+    /**
+     * @param {string} role - 'bowler' or 'batter'
+     */
+    constructor(role) {
+        this.config = GAME_CONFIG.network;
+        this.role = role;
+        this.clientId = `${role}-${Math.random().toString(36).slice(2, 10)}`;
+        this.clock = new ClockSync();
+
+        this.url = null;
+        this.room = null;
+        this.socket = null;
+        this.active = false;        // Wanted connected (reconnects until disconnect())
+        this.connected = false;     // Handshake done
+        this.lastSeq = 0;           // Last relayed message seen
+        this.peers = { bowler: false, batter: false };
+        this.outbox = [];           // Sent while disconnected, flushed on welcome
+
+        this.retryDelay = this.config.reconnectDelay.initial;
+        this.retryTimer = null;
+        this.pingTimer = null;
+
+        // Callbacks
+        this.onMessage = null;      // (message) for relayed messages
+        this.onStatus = null;       // (text, isError)
+    }
+
+    /**
+     * Connect to a room (replaces any current connection)
+     * @param {string} url - e.g. "ws://192.168.1.20:8080/ws"
+     * @param {string} room - Shared by the bowler and batter
+     */
+    connect(url, room) {
+        this.disconnect();
+        this.url = url;
+        this.room = room || 'nets';
+        this.active = true;
+        this.lastSeq = 0;
+        this.outbox = [];
+        this.clock.reset();
+        this.open();
+    }
+
+    disconnect() {
+        this.active = false;
+        this.connected = false;
+        clearTimeout(this.retryTimer);
+        clearInterval(this.pingTimer);
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    open() {
+        this.setStatus(`Connecting to ${this.url}...`);
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            this.setStatus(`Bad server address: ${error.message}`, true);
+            this.active = false;
+            return;
+        }
+
+        this.socket.onopen = () => {
+            this.socket.send(encodeMessage('hello', {
+                version: PROTOCOL_VERSION,
+                role: this.role,
+                room: this.room,
+                clientId: this.clientId,
+                lastSeq: this.lastSeq
+            }));
+        };
+        this.socket.onmessage = (event) => this.handleMessage(event.data);
+        this.socket.onclose = () => {
+            const wasConnected = this.connected;
+            this.connected = false;
+            clearInterval(this.pingTimer);
+            if (!this.active) return;
+
+            this.setStatus(wasConnected ? 'Connection lost - reconnecting...' : 'Server not reachable - retrying...', true);
+            this.retryTimer = setTimeout(() => this.open(), this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, this.config.reconnectDelay.max);
+        };
+    }
+
+    handleMessage(text) {
+        let message;
+        try {
+            message = decodeMessage(text);
+        } catch (error) {
+            console.warn(`📡 Ignoring message: ${error.message}`);
+            return;
+        }
+
+        if (message.seq) {
+            if (message.seq <= this.lastSeq) return; // Already seen (resent after a reconnect)
+            this.lastSeq = message.seq;
+        }
+
+        switch (message.type) {
+            case 'welcome':
+                this.connected = true;
+                this.retryDelay = this.config.reconnectDelay.initial;
+                this.peers = message.peers;
+                // Server restarted: its numbering starts again
+                if (message.lastSeq < this.lastSeq) this.lastSeq = message.lastSeq;
+                this.startPings();
+                this.outbox.splice(0).forEach(queued => this.socket.send(queued));
+                this.setStatus(`Connected to room "${this.room}"`);
+                break;
+
+            case 'error':
+                this.setStatus(message.message, true);
+                // Retrying won't fix these
+                if (message.code === 'version' || message.code === 'room-full') this.disconnect();
+                break;
+
+            case 'pong':
+                this.clock.addSample(message.clientTime, message.serverTime, Date.now());
+                break;
+
+            case 'peer':
+                this.peers[message.role] = message.connected;
+                break;
+        }
+
+        if (this.onMessage) this.onMessage(message);
+    }
+
+    startPings() {
+        clearInterval(this.pingTimer);
+        const ping = () => this.send('ping', { clientTime: Date.now(), rtt: this.clock.getRtt() });
+        ping();
+        this.pingTimer = setInterval(ping, this.config.pingInterval);
+    }
+
+    /**
+     * Send a message now, or once reconnected
+     * @param {boolean} queue - Keep it for the next connection if offline
+     * @returns {boolean} - Sent now
+     */
+    send(type, fields = {}, queue = false) {
+        const text = encodeMessage(type, fields);
+        if (this.connected && this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(text);
+            return true;
+        }
+        if (queue) this.outbox.push(text);
+        return false;
+    }
+
+    /**
+     * Local time at which a server time happens
+     */
+    toLocalTime(serverTime) {
+        return this.clock.toLocal(serverTime);
+    }
+
+    setStatus(text, isError = false) {
+        if (isError) console.warn(`📡 ${text}`);
+        else console.log(`📡 ${text}`);
+        if (this.onStatus) this.onStatus(text, isError);
+    }
+}
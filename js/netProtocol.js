@@ -0,0 +1,152 @@
+/**
+ * Net Protocol Module - Messages between the bowler and the batter
+ *
+ * Shared by the batting game (NetBowler), the bowler page
+ * (bowlerClient.js) and the reference server (server/bowlerServer.mjs).
+ * Every message is one JSON text frame: { type, ...fields }.
+ *
+ *   hello     client → server   { version, role, room, clientId, lastSeq }
+ *   welcome   server → client   { version, serverTime, lastSeq, peers: { bowler, batter } }
+ *   error     server → client   { code, message }  ('version', 'room-full', 'bad-message', 'no-batter')
+ *   ping      client → server   { clientTime, rtt }
+ *   pong      server → client   { clientTime, serverTime }
+ *   peer      server → client   { role, connected }
+ *   delivery  bowler → server   { id, delivery }
+ *             server → both     { id, delivery, releaseAt, seq }
+ *   ready     batter → bowler   { ready }
+ *   reject    batter → bowler   { id, reason }
+ *   result    batter → bowler   { id, result }
+ *
+ * Latency: both clients estimate the server clock from their pings
+ * (ClockSync). The server stamps each delivery with a release time in
+ * server time, far enough ahead to reach the batter, so the ball leaves
+ * the hand at the same moment on both screens. Only the batting client
+ * runs the physics; its result is what both sides show.
+ *
+ * Reconnects: the server numbers what it relays (seq) and keeps a short
+ * history per room. A client says hello with the last seq it saw and is
+ * sent anything it missed. Delivery ids make resends harmless.
+ */
+
+import { GAME_CONFIG } from './config.js';
+
+// Bumped whenever a message changes shape; clients and server must match
+export const PROTOCOL_VERSION = 1;
+
+export const ROLES = ['bowler', 'batter'];
+
+/**
+ * Message → JSON text
+ */
+export function encodeMessage(type, fields = {}) {
+    return JSON.stringify({ type, ...fields });
+}
+
+/**
+ * JSON text → message
+ * @throws {Error} - Not JSON, or no type
+ */
+export function decodeMessage(text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Message is not JSON');
+    }
+    if (!message || typeof message.type !== 'string') throw new Error('Message has no type');
+    return message;
+}
+
+/**
+ * Options the bowler can pick for each part of a delivery
+ * @param {Bowling} bowling - For the speed/line/length names
+ */
+export function getDeliveryOptions(bowling) {
+    return {
+        speed: Object.keys(bowling.speedMap),
+        line: Object.keys(bowling.lineMap),
+        length: Object.keys(bowling.lengthMap),
+        swing: ['none', 'outswing', 'inswing'],
+        seam: ['none', ...Object.keys(GAME_CONFIG.physics.seam.directions)],
+        spin: ['none', ...Object.keys(GAME_CONFIG.physics.spin.types)]
+    };
+}
+
+/**
+ * Check a delivery sent by the bowler
+ * @param {Object} delivery - { speed, line, length, swing, seam, spin } by name
+ * @param {Bowling} bowling
+ * @returns {Object} - The delivery with only the known fields
+ * @throws {Error} - Unknown value
+ */
+export function checkDelivery(delivery, bowling) {
+    if (!delivery || typeof delivery !== 'object') throw new Error('Missing delivery');
+
+    const optional = { swing: 'none', seam: 'none', spin: 'none' };
+    const checked = {};
+    Object.entries(getDeliveryOptions(bowling)).forEach(([key, values]) => {
+        const value = delivery[key] ?? optional[key];
+        if (!values.includes(value)) throw new Error(`Unknown ${key} "${value}"`);
+        checked[key] = value;
+    });
+    return checked;
+}
+
+/**
+ * Delivery as text (e.g. "fast good on off outswing")
+ */
+export function describeDelivery(delivery) {
+    const moves = ['swing', 'seam', 'spin']
+        .filter(key => delivery[key] && delivery[key] !== 'none')
+        .map(key => ` ${delivery[key]}`)
+        .join('');
+    return `${delivery.speed} ${delivery.length} on ${delivery.line}${moves}`;
+}
+
+/**
+ * Estimate of the server clock from ping/pong round trips
+ * Uses the sample with the lowest round trip, where the one-way times
+ * are most likely to be even.
+ */
+export class ClockSync {
+    constructor(maxSamples = GAME_CONFIG.network.pingSamples) {
+        this.maxSamples = maxSamples;
+        this.samples = [];      // [{ rtt, offset }]
+    }
+
+    reset() {
+        this.samples = [];
+    }
+
+    /**
+     * @param {number} sentAt - Local time the ping went
+     * @param {number} serverTime - Server time in the pong
+     * @param {number} receivedAt - Local time the pong came back
+     */
+    addSample(sentAt, serverTime, receivedAt) {
+        const rtt = receivedAt - sentAt;
+        if (rtt < 0) return;
+        this.samples.push({ rtt, offset: serverTime - (sentAt + rtt / 2) });
+        if (this.samples.length > this.maxSamples) this.samples.shift();
+    }
+
+    getBest() {
+        return this.samples.reduce((best, sample) => (!best || sample.rtt < best.rtt ? sample : best), null);
+    }
+
+    /**
+     * Round trip to the server in ms (null before the first pong)
+     */
+    getRtt() {
+        const best = this.getBest();
+        return best ? best.rtt : null;
+    }
+
+    /**
+     * Server time → local time
+     */
+    toLocal(serverTime) {
+        const best = this.getBest();
+        return serverTime - (best ? best.offset : 0);
+    }
+}
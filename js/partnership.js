@@ -0,0 +1,99 @@
+/**
+ * Partnership Module - Striker, non-striker and the batting order
+ *
+ * Uses GAME_CONFIG.lineup for the order size, default names and the
+ * runs that swap ends. The player captains the side and bats at a
+ * chosen place in the order; the other names come from the main menu.
+ *
+ * Batters are referred to by their place in the order (0-based), which
+ * is also the batter index in CricketARGame.deliveryLog.
+ */
+
+import { GAME_CONFIG } from './config.js';
+
+export class Partnership {
+    constructor() {
+        this.config = GAME_CONFIG.lineup;
+        this.lineup = [];       // [{ name, isCaptain }] in batting order
+        this.reset();
+    }
+
+    /**
+     * Build the batting order
+     * @param {string} captain - Player name from the main menu
+     * @param {string} others - Other batters, one per line (short lists are filled from the defaults)
+     * @param {number} captainPosition - Captain's place in the order (1-based)
+     */
+    setLineup(captain, others = '', captainPosition = this.config.captainPosition) {
+        const { size, defaultNames } = this.config;
+        const names = others.split('\n').map(name => name.trim()).filter(Boolean);
+        const rest = [...names, ...defaultNames.filter(name => !names.includes(name))].slice(0, size - 1);
+
+        const at = Math.min(Math.max((parseInt(captainPosition, 10) || 1) - 1, 0), rest.length);
+        rest.splice(at, 0, captain || 'Captain');
+
+        this.lineup = rest.map((name, i) => ({ name, isCaptain: i === at }));
+        this.reset();
+    }
+
+    /**
+     * Openers in, everyone else waiting
+     */
+    reset() {
+        this.striker = 0;
+        this.nonStriker = 1;
+        this.nextIn = 2;
+    }
+
+    /**
+     * Scorecard name, e.g. "Mr. Sano (c)"
+     */
+    getName(index) {
+        const batter = this.lineup[index];
+        if (!batter) return `Batter ${index + 1}`;
+        return batter.isCaptain ? `${batter.name} (c)` : batter.name;
+    }
+
+    getNames() {
+        return this.lineup.map((_, i) => this.getName(i));
+    }
+
+    /**
+     * Move the batters after a finished ball
+     * Wickets in this game all fall to the striker, and the new batter
+     * comes in at that end.
+     * @param {Object} ball - { runsRun: runs the batters ran, wicket, endOfOver }
+     * @returns {number|null} - Index of the new batter after a wicket
+     */
+    afterBall({ runsRun = 0, wicket = false, endOfOver = false }) {
+        let newBatter = null;
+
+        if (wicket) {
+            newBatter = this.nextIn < this.lineup.length ? this.nextIn++ : null;
+            this.striker = newBatter;
+            if (newBatter !== null) console.log(`🏏 New batter: ${this.getName(newBatter)}`);
+        }
+        if (this.config.rotateOn.includes(runsRun)) this.swap();
+        if (endOfOver) this.swap();
+
+        return newBatter;
+    }
+
+    swap() {
+        [this.striker, this.nonStriker] = [this.nonStriker, this.striker];
+    }
+
+    /**
+     * Positions for the saved match
+     */
+    getState() {
+        return { striker: this.striker, nonStriker: this.nonStriker, nextIn: this.nextIn };
+    }
+
+    restore(state) {
+        if (!state) return;
+        this.striker = state.striker;
+        this.nonStriker = state.nonStriker;
+        this.nextIn = state.nextIn;
+    }
+}
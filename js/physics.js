@@ -6,7 +6,8 @@
  */
 
 import * as CANNON from 'cannon-es';
-import { GAME_CONFIG, calculateRuns, getTimingQuality, getSpeedFactor, getZoneAngleModifier, checkBoundary } from './config.js';
+import { GAME_CONFIG, calculateRuns, getTimingQuality, getSpeedFactor, getZoneAngleModifier, checkBoundary, getWindVelocity, getAeroAcceleration } from './config.js';
+import { gameRandom } from './random.js';
 
 export class Physics {
     constructor() {
@@ -20,6 +21,10 @@ export class Physics {
         this.restitution = physics.restitution.pitch;
         this.friction = physics.friction.pitch;
 
+        // === GROUND SURFACES ===
+        this.surface = 'pitch';     // Surface under the ball: 'pitch', 'outfield', 'boundary'
+        this.outfieldSpeed = physics.outfieldSpeeds.default;
+
         // Store config reference for easy access
         this.config = GAME_CONFIG;
 
@@ -27,8 +32,36 @@ export class Physics {
         this.currentSwingType = 'none';  // 'inswing', 'outswing', 'none'
         this.swingEnabled = true;
         this.ballAge = 0;  // 0 = new, 1 = old
+        this.currentSeamType = 'none';  // 'nip-backer', 'leg-cutter', 'none'
         this.bowlStartTime = 0;  // For flight progress tracking
 
+        // === SPIN PHYSICS ===
+        this.spinType = null;        // Key into GAME_CONFIG.physics.spin.types (null = pace)
+
+        // === EDGES ===
+        this.hitBehind = false;      // Last hit went back past the batter (can be played on)
+
+        // === PITCHING ===
+        this.awaitingPitch = false;  // Bowled ball that hasn't pitched yet
+        this.pendingPitch = null;    // First-bounce impact waiting for the pitch response
+
+        // Height and line as the ball reaches the batter (short-ball rules, leaves), null until measured
+        this.creaseHeight = null;
+        this.creaseX = null;
+        this.measuringCrease = false;
+
+        // Random source for hit/wicket variation (swapped by the replay recorder/player)
+        this.random = gameRandom.next;
+
+        // Ball position before the last step, for interpolated rendering
+        this.previousBallPosition = null;
+
+        // Simulated seconds since init (drives wind gusts)
+        this.time = 0;
+
+        // Match pitch (PitchConditions) - null = neutral surface
+        this.pitchConditions = null;
+
         // === WICKET PHYSICS ===
         this.stumpBodies = [];  // 3 stumps (physics bodies)
         this.bailBodies = [];   // 2 bails (physics bodies)
@@ -87,15 +120,15 @@ export class Physics {
             mass: this.config.physics.ballMass,  // Fixed: was 'physics.ballMass'
             shape: ballShape,
             material: ballMaterial,
-            linearDamping: 0.05,        // Low: ball travels far through air
-            angularDamping: 0.1         // Moderate: spin reduces gradually
+            linearDamping: this.config.physics.aero.linearDamping,   // Air drag is applied in update()
+            angularDamping: this.config.physics.aero.angularDamping
         });
 
         // Set initial position (bowling end)
         this.ballBody.position.set(0, 2, -10);
 
-        // Contact material for bounce
-        const ballGroundContact = new CANNON.ContactMaterial(
+        // Contact material for bounce (retuned to the surface under the ball each step)
+        const ballGroundContact = this.groundContact = new CANNON.ContactMaterial(
             ballMaterial,
             this.groundBody.material,
             {
@@ -110,6 +143,7 @@ export class Physics {
         // Bounce tracking
         this.hasBounced = false;
         this.bounceCount = 0;
+        this.pitchPoint = null;     // Where the delivery first bounced {x, z}
         this.onSecondBounce = null; // Callback for scoring after 2nd bounce
 
         this.ballBody.addEventListener('collide', (e) => {
@@ -118,6 +152,19 @@ export class Physics {
                 if (impactVelocity > 0.5) {
                     this.hasBounced = true;
                     this.bounceCount++;
+
+                    // Where the delivery pitched (for LBW)
+                    if (!this.pitchPoint) {
+                        const { x, z } = this.ballBody.position;
+                        this.pitchPoint = { x, z };
+
+                    }
+
+                    // Delivery bounce/turn off the pitch (applied after the step in update)
+                    if (this.awaitingPitch) {
+                        this.awaitingPitch = false;
+                        this.pendingPitch = { impactVelocity };
+                    }
                     console.log(`🏏 Bounce #${this.bounceCount}: Impact=${impactVelocity.toFixed(1)}m/s`);
 
                     // Trigger scoring after 2nd bounce
@@ -192,6 +239,74 @@ export class Physics {
         return Math.sqrt(dx * dx + dz * dz);
     }
 
+    /**
+     * Sideways speed that takes a ball going back past the wicket wide of
+     * the stumps by the time it reaches them (GAME_CONFIG.physics.edges.wicketZone)
+     * @param {number} backSpeed - Speed towards the stumps (m/s)
+     * @param {number} sideways - Sideways speed so far (its sign picks the side)
+     * @returns {number|null} - Sideways speed, or null if it can't get past (played on)
+     */
+    getWicketClearingSpeed(backSpeed, sideways) {
+        const { wicketZone, maxSpread } = this.config.physics.edges;
+        const { x, z } = this.ballBody.position;
+        const side = Math.sign(sideways) || Math.sign(x) || 1;
+
+        const wide = side * wicketZone.halfWidth - x;
+        if (side * wide <= 0) return sideways;  // Already wide on that side
+
+        const distance = 10 - wicketZone.depth - z;
+        if (distance <= 0) return null;
+
+        const spread = Math.abs(wide) / distance;
+        if (spread > maxSpread) return null;
+        return side * Math.max(side * sideways, spread * backSpeed);
+    }
+
+    /**
+     * Ground surface at a point: the pitch strip, the boundary cushion
+     * inside the rope, or the outfield
+     */
+    getSurface(x, z) {
+        const { surfaces } = this.config.physics;
+        const { halfWidth, halfLength } = surfaces.pitchStrip;
+        if (Math.abs(x) <= halfWidth && Math.abs(z) <= halfLength) return 'pitch';
+
+        const distance = Math.sqrt(x * x + (z - 10) ** 2);
+        return distance >= this.config.field.boundaryRope - surfaces.cushionWidth ? 'boundary' : 'outfield';
+    }
+
+    /**
+     * Bounce, grip and rolling resistance of a surface (outfield scaled by the outfield speed)
+     * @returns {Object} - { restitution, friction, resistance, grassDrag }
+     */
+    getSurfaceProperties(surface) {
+        const { restitution, friction, rolling, outfieldSpeeds } = this.config.physics;
+        const speed = surface === 'outfield'
+            ? outfieldSpeeds[this.outfieldSpeed]
+            : { restitution: 1, resistance: 1, grassDrag: 1 };
+
+        return {
+            restitution: restitution[surface] * speed.restitution,
+            friction: friction[surface],
+            resistance: rolling[surface].resistance * speed.resistance,
+            grassDrag: rolling[surface].grassDrag * speed.grassDrag
+        };
+    }
+
+    /**
+     * Outfield speed for the match
+     * @param {string} key - Key in GAME_CONFIG.physics.outfieldSpeeds (lush, medium, fast)
+     */
+    setOutfieldSpeed(key) {
+        const speeds = this.config.physics.outfieldSpeeds;
+        if (key === 'default' || !speeds[key]) {
+            console.warn(`Unknown outfield '${key}', using ${speeds.default}`);
+            key = speeds.default;
+        }
+        this.outfieldSpeed = key;
+        console.log(`🌱 Outfield: ${speeds[this.outfieldSpeed].name}`);
+    }
+
     /**
      * Check if ball hit the wicket (collision with stump bodies)
      * @returns {Object|null} - Dismissal data or null
@@ -320,9 +435,9 @@ export class Physics {
         this.bailBodies.forEach(bail => {
             bail.applyImpulse(
                 new CANNON.Vec3(
-                    (Math.random() - 0.5) * 6.2, // Sideways scattering (+- 3.1)
+                    (this.random() - 0.5) * 6.2, // Sideways scattering (+- 3.1)
                     2 * forceMult,               // Gentle upward
-                    (Math.random() - 0.5) * 6.2  // Forward/back scattering (+- 3.1)
+                    (this.random() - 0.5) * 6.2  // Forward/back scattering (+- 3.1)
                 ),
                 bail.position
             );
@@ -378,15 +493,41 @@ export class Physics {
      */
     resetBall(x = 0, y = 2, z = -10) {
         this.ballBody.position.set(x, y, z);
+        this.previousBallPosition = { x, y, z };
         this.ballBody.velocity.set(0, 0, 0);
         this.ballBody.angularVelocity.set(0, 0, 0);
         this.hasBounced = false;
         this.bounceCount = 0;
+        this.pitchPoint = null;
+        this.hitBehind = false;
+        this.awaitingPitch = false;
+        this.pendingPitch = null;
+        this.creaseHeight = null;
+        this.creaseX = null;
+        this.measuringCrease = false;
         this.onSecondBounce = null; // CRITICAL: Clear callback to prevent re-triggering
     }
 
+    /**
+     * Stop the ball dead at a point (fielder gathers or catches it)
+     */
+    stopBallAt(x, y, z) {
+        this.ballBody.position.set(x, y, z);
+        this.previousBallPosition = { x, y, z };
+        this.ballBody.velocity.set(0, 0, 0);
+        this.ballBody.angularVelocity.set(0, 0, 0);
+        this.spinType = null;
+        this.awaitingPitch = false;
+        this.pendingPitch = null;
+        this.measuringCrease = false;
+        this.onSecondBounce = null; // Fielder has it, no distance scoring
+    }
+
     /**
      * Bowl the ball with given parameters
+     * Every delivery is aimed at a pitch point from its length
+     * (GAME_CONFIG.physics.bounce, or physics.spin for spinners).
+     * Spin deliveries get their revolutions from physics.spin.types.
      */
     bowl(options = {}) {
         const {
@@ -394,33 +535,66 @@ export class Physics {
             line = 0,        // x offset (-1 to 1)
             length = 0.5,    // 0 = short, 1 = full
             spin = 0,        // lateral spin
-            swing = 0        // air movement
+            swing = 0,       // air movement
+            spinType = null, // 'off-spin', 'leg-spin', 'googly', 'doosra', 'carrom', 'arm-ball'
+            releaseX = null  // Release point across the crease (null = straight down the line)
         } = options;
 
-        // Reset ball position with line offset
-        const startX = line * 0.5;
+        const spinConfig = this.config.physics.spin;
+        this.spinType = spinConfig.enabled && spinConfig.types[spinType] ? spinType : null;
+
+        // Reset ball position with line offset (or at the bowler's release point)
+        const lineX = line * 0.5;
+        const startX = releaseX ?? lineX;
         this.resetBall(startX, 2.5, -10);
 
+        // Apply spin (angular velocity)
+        const omega = this.spinType
+            ? this.getSpinOmega(this.spinType)
+            : { x: spin * 20, y: 0, z: speed * 0.5 }; // Side spin, forward spin
+        this.ballBody.angularVelocity.set(omega.x, omega.y, omega.z);
+
         // Calculate velocity components
         // Z velocity (towards batsman)
         const vz = speed * 0.9;
 
-        // Y velocity (arc based on length)
-        // Short = higher arc, Full = flatter
-        const vy = speed * (0.3 - length * 0.2);
-
-        // X velocity (swing)
-        const vx = swing * 5;
+        // X velocity (swing, plus the angle from the release point onto the line)
+        const vx = swing * 5 + (lineX - startX) * vz / 20;
+
+        // Y velocity: aim at the pitch point (short = further from the batter)
+        // by solving the drop over the flight time, including drag slowing the
+        // ball (x = ln(1 + k·v·t) / k) and any Magnus dip. Wind is not aimed for.
+        const { aero } = this.config.physics;
+        const { short, full } = (this.spinType ? spinConfig : this.config.physics.bounce).pitchDistance;
+        const pitchZ = 10 - (short + (full - short) * length);
+        const k = aero.enabled ? aero.dragCoefficient : 0;
+        const flightTime = k > 0 ? Math.expm1(k * (pitchZ + 10)) / (k * vz) : (pitchZ + 10) / vz;
+        const dip = aero.enabled ? aero.magnusCoefficient * omega.x * vz : 0;
+        const drop = 0.5 * (-this.gravity + dip) * flightTime * flightTime;
+        const vy = (this.config.physics.ballRadius - 2.5 + drop) / flightTime;
 
         // Apply velocity
         this.ballBody.velocity.set(vx, vy, vz);
+        this.awaitingPitch = true;
+        this.measuringCrease = true;
 
-        // Apply spin (angular velocity)
-        this.ballBody.angularVelocity.set(
-            spin * 20,  // Side spin
-            0,
-            speed * 0.5 // Forward spin
-        );
+        if (this.spinType) {
+            console.log(`🌀 ${spinConfig.types[this.spinType].name}: pitching at z=${pitchZ.toFixed(1)}`);
+        }
+    }
+
+    /**
+     * Angular velocity (rad/s) for a spin type
+     * Axis signs are described in GAME_CONFIG.physics.spin.
+     */
+    getSpinOmega(spinType) {
+        const { revs, axis } = this.config.physics.spin.types[spinType];
+        const omega = 2 * Math.PI * revs;
+        return {
+            x: omega * axis.top,
+            y: omega * axis.drift,
+            z: omega * axis.turn
+        };
     }
 
     /**
@@ -444,6 +618,13 @@ export class Physics {
         // Get physics config
         const { physics } = this.config;
 
+        // Met before the batter's crease: the height is where it was played
+        if (this.measuringCrease) {
+            this.creaseHeight = this.ballBody.position.y;
+            this.creaseX = this.ballBody.position.x;
+            this.measuringCrease = false;
+        }
+
         // === RESET BALL VELOCITY ===
         this.ballBody.velocity.set(0, 0, 0);
         this.ballBody.angularVelocity.set(0, 0, 0);
@@ -451,6 +632,9 @@ export class Physics {
         // Reset bounce tracking for this hit
         this.hasBounced = false;
         this.bounceCount = 0;
+        this.spinType = null;
+        this.awaitingPitch = false;
+        this.pendingPitch = null;
 
         // Apply edge deflection
         x += deflection;
@@ -500,30 +684,58 @@ export class Physics {
         let sidewaysVelocity = x * exitVelocity * 0.4;            // Direction control
 
         // === ZONE-SPECIFIC MODIFICATIONS ===
+        const { edges } = physics;
+        const randomIn = ({ min, max }) => min + this.random() * (max - min);
+        let goesBehind = false;
+
         if (zoneName === 'shoulder' || zoneName === 'handle') {
             // Top edge: weak pop-up (catches in air)
-            forwardVelocity *= 0.3;
-            upwardVelocity = 4.0 + Math.random() * 2;  // Loopy catch
+            upwardVelocity = 4.0 + this.random() * 2;  // Loopy catch
             sidewaysVelocity *= 0.5;
+
+            // Often loops back over the keeper instead of in front
+            goesBehind = this.random() < edges.topEdgeBehindChance;
+            forwardVelocity = goesBehind
+                ? -randomIn(edges.topEdgeCarry)
+                : forwardVelocity * 0.3;
         } else if (zoneName === 'toe') {
             // Toe: jammed into ground, skids along
             forwardVelocity *= 0.6;
             upwardVelocity = 0.8;  // Very low trajectory
         } else if (zoneName.includes('edge')) {
-            // Edge: deflected sideways/backward
-            forwardVelocity *= 0.4;
-            upwardVelocity *= 0.6;
-            sidewaysVelocity = (deflection + (Math.random() - 0.5) * 2) * exitVelocity * 0.5;
+            // Edge: ball keeps most of the bowler's pace and carries
+            // BEHIND the wicket - off-side edges to the slips, leg-side to keeper/fine leg
+            goesBehind = true;
+            const carry = bowlSpeed * edges.carryFactor;
+            const side = deflection >= 0 ? 1 : -1;
+
+            forwardVelocity = -carry;
+            upwardVelocity = randomIn(edges.lift);
+            sidewaysVelocity = side * carry * randomIn(edges.spread);
         } else if (zoneName === 'middle') {
             // Sweet spot: clean hit, maximum forward momentum
             forwardVelocity *= 1.0;  // Full power forward
         }
 
+        // Behind the wicket: past the stumps to the keeper/slips, unless
+        // it's too straight to get past and drags on
+        this.hitBehind = goesBehind;
+        if (goesBehind) {
+            const clearing = this.getWicketClearingSpeed(-forwardVelocity, sidewaysVelocity);
+            if (clearing === null) {
+                console.log('🏏 Edge dragging back onto the stumps!');
+            } else {
+                sidewaysVelocity = clearing;
+            }
+        }
+
         // Ensure ball doesn't go underground
         upwardVelocity = Math.max(0.3, upwardVelocity);
 
-        // Ensure ball goes FORWARD (towards boundary)
-        forwardVelocity = Math.max(3.0, forwardVelocity);
+        // Ensure ball goes FORWARD (towards boundary) unless it was edged behind
+        if (!goesBehind) {
+            forwardVelocity = Math.max(3.0, forwardVelocity);
+        }
 
         // === SET VELOCITY DIRECTLY ===
         // CRITICAL FIX: applyImpulse divides by mass, making ball go ~6x faster!
@@ -538,14 +750,26 @@ export class Physics {
             -forwardVelocity       // NEGATIVE = forward to boundary
         );
 
-        // Add realistic spin (affects trajectory after bounce)
-        const spinX = (Math.random() - 0.5) * 5;  // Side spin
-        const spinY = batSpeed * 0.3;              // Top/back spin
-        const spinZ = (Math.random() - 0.5) * 3;  // Gyroscopic
+        // === SPIN OFF THE BAT (Magnus shapes the flight) ===
+        // Lofted shots carry on backspin, flat drives dip on topspin
+        const { hitSpin } = physics.aero;
+        const loft = Math.max(-1, Math.min(1, (adjustedAngle - hitSpin.loftAngle) / hitSpin.loftAngle));
+        const backSpin = loft * exitVelocity * (loft > 0 ? hitSpin.backspin : hitSpin.topspin);
+        const sideSpin = (this.random() - 0.5) * 2 * hitSpin.side;
+        const gyroSpin = (this.random() - 0.5) * 2 * hitSpin.gyro;
+
+        // Axes from the horizontal flight direction: backspin about (direction × up),
+        // side spin about up, gyro about the direction itself
+        const flatSpeed = Math.hypot(sidewaysVelocity, forwardVelocity) || 1;
+        const dirX = sidewaysVelocity / flatSpeed;
+        const dirZ = -forwardVelocity / flatSpeed;
+        const spinX = -dirZ * backSpin + dirX * gyroSpin;
+        const spinY = sideSpin;
+        const spinZ = dirX * backSpin + dirZ * gyroSpin;
         this.ballBody.angularVelocity.set(spinX, spinY, spinZ);
 
         // Log with realistic cricket terminology
-        const shotType = adjustedAngle > 25 ? 'LOFTED' : 'GROUND';
+        const shotType = goesBehind ? 'BEHIND' : (adjustedAngle > 25 ? 'LOFTED' : 'GROUND');
         console.log(`🏏 HIT: ${zoneName} | ${shotType} | Exit=${exitVelocity.toFixed(1)}m/s | Fwd=${forwardVelocity.toFixed(1)} Up=${upwardVelocity.toFixed(1)} Side=${sidewaysVelocity.toFixed(1)}`);
     }
 
@@ -600,6 +824,88 @@ export class Physics {
         };
     }
 
+    /**
+     * Drag, Magnus and wind on the ball in the air (GAME_CONFIG.physics.aero)
+     * Side spin drifts the ball across, topspin makes it dip, backspin carries.
+     */
+    applyAeroForces() {
+        if (this.ballBody.position.y <= this.config.physics.ballRadius + 0.05) return;
+
+        const acceleration = getAeroAcceleration(
+            this.ballBody.velocity,
+            this.ballBody.angularVelocity,
+            getWindVelocity(this.time)
+        );
+        const m = this.ballBody.mass;
+        this.ballBody.applyForce(
+            new CANNON.Vec3(acceleration.x * m, acceleration.y * m, acceleration.z * m),
+            this.ballBody.position
+        );
+    }
+
+    /**
+     * First bounce of a delivery - sets the bounce off the pitch.
+     * Spinners also grip: side spin becomes turn and topspin extra
+     * bounce (backspin skids on). The pitch conditions where it lands
+     * scale the bounce, pace, seam and grip.
+     * @param {number} impactVelocity - Downward speed into the pitch (m/s)
+     */
+    applyPitchResponse(impactVelocity) {
+        const v = this.ballBody.velocity;
+        const surface = this.pitchConditions
+            ? this.pitchConditions.getResponse(this.pitchPoint.x, this.pitchPoint.z, this.random)
+            : { bounce: 1, paceOff: 0, seam: 1, spin: 1, feature: null };
+
+        v.z *= 1 - surface.paceOff;
+        if (surface.feature) {
+            console.log(`🟫 Pitched on a ${surface.feature}`);
+        }
+
+        if (!this.spinType) {
+            v.y = Math.min(1, this.config.physics.bounce.restitution * surface.bounce) * impactVelocity;
+
+            const seam = this.calculateSeamMovement(v.z, this.currentSeamType, this.ballAge) * surface.seam;
+            if (seam !== 0) {
+                v.x += seam;
+                console.log(`🧵 ${this.currentSeamType.toUpperCase()}! Seam movement ${seam.toFixed(2)}m/s`);
+            }
+            return;
+        }
+
+        const { pitch } = this.config.physics.spin;
+        const r = this.config.physics.ballRadius;
+        const w = this.ballBody.angularVelocity;
+
+        // Bottom of the ball slides across the pitch; friction pushes the other way
+        const turn = -pitch.turnGrip * w.z * r * surface.spin;
+        const kick = pitch.bounceGrip * w.x * r * surface.spin;
+
+        v.x += turn;
+        v.y = Math.max(0, Math.min(1, pitch.restitution * surface.bounce) * impactVelocity + kick);
+        w.scale(1 - pitch.spinLoss, w);
+
+        console.log(`🌀 Off the pitch: turn ${turn.toFixed(2)}m/s, bounce ${v.y.toFixed(2)}m/s`);
+    }
+
+    /**
+     * Calculate seam movement off the pitch
+     * @param {number} speed - Forward speed at the bounce (m/s)
+     * @param {string} seamType - 'nip-backer', 'leg-cutter', 'none'
+     * @param {number} ballAge - 0 (new) to 1 (old)
+     * @returns {number} - Sideways velocity change (m/s, +X = away to off)
+     */
+    calculateSeamMovement(speed, seamType, ballAge = 0) {
+        const seam = this.config.physics.seam;
+        const direction = seam.directions[seamType];
+        if (!seam.enabled || !direction) return 0;
+
+        const deflection = seam.seamAngle * seam.deflectionPerDegree * Math.PI / 180;
+        const pitchFactor = 1 - seam.pitchHardness * seam.hardPitchLoss;
+        const ageFactor = seam.ballAge.new + (seam.ballAge.old - seam.ballAge.new) * ballAge;
+
+        return Math.abs(speed) * Math.tan(deflection) * pitchFactor * ageFactor * direction;
+    }
+
     /**
      * Get flight progress (0 = bowler end, 1 = batsman end)
      */
@@ -612,10 +918,31 @@ export class Physics {
     }
 
     /**
-     * Update physics simulation with ground friction
+     * Update physics simulation with surface bounce and rolling resistance
      */
     update(deltaTime = 1 / 60) {
+        const { x, y, z } = this.ballBody.position;
+        const previous = { x, y, z };
+        this.previousBallPosition = previous;
+
+        // Bounce and grip of the surface the ball is over
+        this.surface = this.getSurface(x, z);
+        const surface = this.getSurfaceProperties(this.surface);
+        this.groundContact.restitution = surface.restitution;
+        this.groundContact.friction = surface.friction;
+
         this.world.step(deltaTime);
+        this.time += deltaTime;
+        this.measureCreaseHeight(previous);
+
+        // === OFF THE PITCH (BOUNCE, TURN) ===
+        if (this.pendingPitch) {
+            this.applyPitchResponse(this.pendingPitch.impactVelocity);
+            this.pendingPitch = null;
+        }
+
+        // === AERODYNAMICS (DRAG, MAGNUS, WIND) ===
+        this.applyAeroForces();
 
         // === SWING FORCE (DURING FLIGHT) ===
         // Apply swing force if ball is in air and swing is enabled
@@ -646,18 +973,17 @@ export class Physics {
             }
         }
 
-        // === GROUND FRICTION ===
-        // Apply friction ONLY when ball is on/near ground
-        // Ball radius is 0.35, so y=0.35 is touching ground. 
-        // We use y < 0.7 to catch ball even during small bounces
-        if (this.ballBody && this.ballBody.position.y < 0.7 && Math.abs(this.ballBody.velocity.y) < 2.0) {
+        // === ROLLING RESISTANCE ===
+        // Only when the ball is on/near the ground (small bounces count):
+        // a constant resistance plus grass drag growing with speed
+        const { rolling } = this.config.physics;
+        if (this.ballBody && this.ballBody.position.y < rolling.contactHeight && Math.abs(this.ballBody.velocity.y) < rolling.maxBounceSpeed) {
             const vel = this.ballBody.velocity;
             const speed = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
 
-            // Use friction from config
-            if (speed > 0.1) {
-                const friction = this.config.physics.friction.rolling * deltaTime;
-                const factor = Math.max(0, 1 - friction / speed);
+            if (speed > rolling.stopSpeed) {
+                const deceleration = surface.resistance * -this.gravity + surface.grassDrag * speed;
+                const factor = Math.max(0, 1 - deceleration * deltaTime / speed);
                 vel.x *= factor;
                 vel.z *= factor;
             } else {
@@ -668,6 +994,24 @@ export class Physics {
         }
     }
 
+    /**
+     * Record the ball's height and line as it passes the batter
+     * (GAME_CONFIG.extras.batterZ), interpolated between physics steps
+     * @param {Object} previous - Ball {x, y, z} before the step
+     */
+    measureCreaseHeight(previous) {
+        if (!this.measuringCrease) return;
+
+        const { x, y, z } = this.ballBody.position;
+        const batterZ = this.config.extras.batterZ;
+        if (z < batterZ || previous.z >= batterZ) return;
+
+        const t = (batterZ - previous.z) / (z - previous.z);
+        this.creaseHeight = previous.y + (y - previous.y) * t;
+        this.creaseX = previous.x + (x - previous.x) * t;
+        this.measuringCrease = false;
+    }
+
     /**
      * Get ball position
      */
@@ -679,6 +1023,28 @@ export class Physics {
         };
     }
 
+    /**
+     * Ball position between the last two steps, for rendering
+     * @param {number} alpha - 0 (previous step) to 1 (latest step)
+     */
+    getInterpolatedBallPosition(alpha) {
+        const current = this.getBallPosition();
+        const previous = this.previousBallPosition || current;
+        return {
+            x: previous.x + (current.x - previous.x) * alpha,
+            y: previous.y + (current.y - previous.y) * alpha,
+            z: previous.z + (current.z - previous.z) * alpha
+        };
+    }
+
+    /**
+     * Get ball spin (rad/s)
+     */
+    getBallAngularVelocity() {
+        const { x, y, z } = this.ballBody.angularVelocity;
+        return { x, y, z };
+    }
+
     /**
      * Get ball velocity
      */
@@ -717,6 +1083,76 @@ export class Physics {
             pos.y > zone.minY && pos.y < zone.maxY;
     }
 
+    /**
+     * Predict the ball's flight from its current state until it lands
+     * Used by fielders to see where a catch can be taken.
+     * @param {number} step - Sample interval in seconds
+     * @param {number} maxTime - Stop predicting after this long
+     * @returns {Array} - Samples [{ t, x, y, z }], last one is the landing point
+     */
+    predictFlight(step = 1 / 30, maxTime = 8) {
+        return this.projectPath(this.getBallPosition(), this.getBallVelocity(), { step, maxTime });
+    }
+
+    /**
+     * Integrate a ball path with the same gravity and aerodynamics as the world
+     * (spin held at the ball's current angularVelocity)
+     * @param {Object} position - Start position {x, y, z}
+     * @param {Object} velocity - Start velocity {x, y, z}
+     * @param {Object} options - { step, maxTime, untilZ (stop at this Z), bounce (bounce off the pitch instead of stopping) }
+     * @returns {Array} - Samples [{ t, x, y, z }]
+     */
+    projectPath(position, velocity, { step = 1 / 60, maxTime = 8, untilZ = null, bounce = false } = {}) {
+        const pos = { ...position };
+        const vel = { ...velocity };
+        const damping = Math.pow(1 - this.ballBody.linearDamping, step);
+        const spin = this.getBallAngularVelocity();
+        const groundY = this.config.physics.ballRadius;
+
+        const samples = [{ t: 0, ...pos }];
+
+        for (let t = step; t <= maxTime; t += step) {
+            const prevZ = pos.z;
+
+            const aero = getAeroAcceleration(vel, spin, getWindVelocity(this.time + t));
+            vel.x += aero.x * step;
+            vel.y += (this.gravity + aero.y) * step;
+            vel.z += aero.z * step;
+            vel.x *= damping;
+            vel.y *= damping;
+            vel.z *= damping;
+
+            pos.x += vel.x * step;
+            pos.y += vel.y * step;
+            pos.z += vel.z * step;
+
+            // Reached the target plane - interpolate onto it exactly
+            if (untilZ !== null && Math.sign(pos.z - untilZ) !== Math.sign(prevZ - untilZ)) {
+                const f = (untilZ - prevZ) / (pos.z - prevZ);
+                const last = samples[samples.length - 1];
+                samples.push({
+                    t: t - step + f * step,
+                    x: last.x + (pos.x - last.x) * f,
+                    y: last.y + (pos.y - last.y) * f,
+                    z: untilZ
+                });
+                break;
+            }
+
+            if (pos.y <= groundY) {
+                pos.y = groundY;
+                if (!bounce) {
+                    samples.push({ t, ...pos });
+                    break;
+                }
+                vel.y = -vel.y * this.getSurfaceProperties(this.getSurface(pos.x, pos.z)).restitution;
+            }
+            samples.push({ t, ...pos });
+        }
+
+        return samples;
+    }
+
     /**
      * Calculate where ball will end up (for scoring)
      */
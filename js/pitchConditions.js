@@ -0,0 +1,196 @@
+/**
+ * Pitch Conditions Module - Surface profile and wear for the match pitch
+ *
+ * Uses GAME_CONFIG.pitch for the profiles (green seamer, flat road,
+ * dusty turner, wet/sticky) and how they wear.
+ * Physics asks getResponse() where a delivery pitches: bounce, pace-off,
+ * seam and spin multipliers for that region, blended towards the worn
+ * pitch as the innings goes on. Every ball adds a bowler's footmark
+ * outside the line; once worn enough, cracks open on a good length.
+ * Landing in the rough or on a crack grips and bounces unevenly.
+ *
+ * Pitch coordinates: x across (+ = off side), distance in front of the
+ * batting stumps (Physics z = 10 - distance).
+ */
+
+import { GAME_CONFIG } from './config.js';
+import { gameRandom } from './random.js';
+
+const STUMPS_Z = 10;
+
+export class PitchConditions {
+    constructor() {
+        this.config = GAME_CONFIG.pitch;
+
+        this.profileKey = this.config.defaultProfile;
+        this.balls = 0;             // Deliveries bowled on this pitch
+        this.fullWearBalls = this.config.wear.fullWearBalls;
+        this.footmarks = [];        // [{ x, distance, ball }] - ball = when it was made
+        this.cracks = [];           // [{ x, distance, angle, length }]
+    }
+
+    /**
+     * Fresh pitch for a new match
+     * @param {string} profileKey - Key in GAME_CONFIG.pitch.profiles, or 'random'
+     * @param {number|null} inningsBalls - Balls in the innings (null = no limit)
+     */
+    start(profileKey = this.config.defaultProfile, inningsBalls = null) {
+        const keys = Object.keys(this.config.profiles);
+        if (profileKey === 'random') {
+            profileKey = gameRandom.pick(keys);
+        } else if (!keys.includes(profileKey)) {
+            console.warn(`Unknown pitch '${profileKey}', using ${this.config.defaultProfile}`);
+            profileKey = this.config.defaultProfile;
+        }
+
+        this.profileKey = profileKey;
+        this.balls = 0;
+        this.fullWearBalls = inningsBalls || this.config.wear.fullWearBalls;
+        this.footmarks = [];
+        this.cracks = [];
+
+        console.log(`🟫 Pitch: ${this.getProfile().name}`);
+    }
+
+    getProfile() {
+        return this.config.profiles[this.profileKey];
+    }
+
+    /**
+     * 0 (fresh) to 1 (fully worn)
+     */
+    getWear() {
+        return Math.min(1, this.balls / this.fullWearBalls);
+    }
+
+    /**
+     * How far a footmark has dug in: 0 (new) to 1 after footmarks.fullDepth of the innings
+     */
+    getFootmarkDepth(mark) {
+        const balls = this.config.wear.footmarks.fullDepth * this.fullWearBalls;
+        return Math.min(1, (this.balls - mark.ball + 1) / balls);
+    }
+
+    /**
+     * A ball was bowled: the bowler's follow-through scuffs the pitch and,
+     * past startWear, a crack opens every few balls
+     * @param {number} side - Side the bowler follows through on (+1 off, -1 leg)
+     */
+    recordDelivery(side = 1) {
+        const { footmarks, cracks } = this.config.wear;
+        const randomIn = ({ min, max }) => min + gameRandom.next() * (max - min);
+        this.balls++;
+
+        if (this.footmarks.length < footmarks.max) {
+            this.footmarks.push({
+                x: (side < 0 ? -1 : 1) * randomIn(footmarks.x),
+                distance: randomIn(footmarks.distance),
+                ball: this.balls
+            });
+        }
+
+        const wornBalls = this.balls - Math.ceil(cracks.startWear * this.fullWearBalls);
+        if (wornBalls >= 0 && wornBalls % cracks.everyBalls === 0 && this.cracks.length < cracks.max) {
+            this.cracks.push({
+                x: randomIn(cracks.x),
+                distance: randomIn(cracks.distance),
+                angle: (gameRandom.next() - 0.5) * Math.PI / 3,  // Mostly down the pitch
+                length: randomIn(cracks.length)
+            });
+        }
+    }
+
+    /**
+     * How the pitch responds to a delivery landing at (x, z)
+     * @param {number} x - Physics x of the bounce
+     * @param {number} z - Physics z of the bounce
+     * @param {Function} random - Random source (Physics.random, so replays tape it)
+     * @returns {Object} - { bounce, paceOff, seam, spin, region, feature }
+     */
+    getResponse(x, z, random = gameRandom.next) {
+        const profile = this.getProfile();
+        const distance = STUMPS_Z - z;
+        const region = this.getRegion(distance);
+        const regionMods = (region && profile.regions[region]) || {};
+        const wear = this.getWear();
+
+        const response = { region, feature: null };
+        ['bounce', 'paceOff', 'seam', 'spin'].forEach(key => {
+            const worn = 1 + ((profile.wear[key] ?? 1) - 1) * wear;
+            response[key] = profile[key] * (regionMods[key] ?? 1) * worn;
+        });
+
+        // Rough and cracks: extra grip, uneven bounce
+        const { footmarks, cracks } = this.config.wear;
+        const uneven = (variation) => 1 + (random() * 2 - 1) * variation;
+
+        const mark = this.footmarks.find(m => Math.hypot(x - m.x, distance - m.distance) < footmarks.radius);
+        if (mark) {
+            const depth = this.getFootmarkDepth(mark);
+            response.feature = 'footmark';
+            response.spin *= 1 + (footmarks.spin - 1) * depth;
+            response.bounce *= uneven(footmarks.bounceVariation * depth);
+        }
+
+        const crack = this.cracks.find(c => this.distanceToCrack(c, x, distance) < cracks.width);
+        if (crack) {
+            response.feature = 'crack';
+            response.spin *= cracks.spin;
+            response.bounce *= uneven(cracks.bounceVariation);
+        }
+
+        response.spin = Math.min(response.spin, this.config.maxSpin);
+        return response;
+    }
+
+    /**
+     * Region name for a distance in front of the batting stumps (null off the regions)
+     */
+    getRegion(distance) {
+        const entry = Object.entries(this.config.regions)
+            .find(([, { min, max }]) => distance >= min && distance < max);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Crack end points in pitch coordinates
+     */
+    getCrackEnds(crack) {
+        const dx = Math.sin(crack.angle) * crack.length / 2;
+        const dd = Math.cos(crack.angle) * crack.length / 2;
+        return [
+            { x: crack.x - dx, distance: crack.distance - dd },
+            { x: crack.x + dx, distance: crack.distance + dd }
+        ];
+    }
+
+    distanceToCrack(crack, x, distance) {
+        const [a, b] = this.getCrackEnds(crack);
+        const abx = b.x - a.x;
+        const abd = b.distance - a.distance;
+        const t = Math.max(0, Math.min(1, ((x - a.x) * abx + (distance - a.distance) * abd) / (abx ** 2 + abd ** 2)));
+        return Math.hypot(x - (a.x + abx * t), distance - (a.distance + abd * t));
+    }
+
+    /**
+     * Everything needed to put the pitch back (saved match, replays)
+     */
+    getState() {
+        return {
+            profile: this.profileKey,
+            balls: this.balls,
+            fullWearBalls: this.fullWearBalls,
+            footmarks: this.footmarks.map(mark => ({ ...mark })),
+            cracks: this.cracks.map(crack => ({ ...crack }))
+        };
+    }
+
+    restore(state) {
+        if (!state || !this.config.profiles[state.profile]) return;
+        this.profileKey = state.profile;
+        this.balls = state.balls;
+        this.fullWearBalls = state.fullWearBalls;
+        this.footmarks = state.footmarks.map(mark => ({ ...mark }));
+        this.cracks = state.cracks.map(crack => ({ ...crack }));
+    }
+}
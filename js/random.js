@@ -0,0 +1,71 @@
+/**
+ * Random Module - One seedable random source for the simulation
+ *
+ * Everything that decides a ball - Physics, Bat, Bowling, the bowler
+ * rotation, AI bowler and bowling machine, umpire calls (Extras) and random
+ * chase targets - draws from the shared gameRandom instead of Math.random,
+ * so a session started with the same seed (GAME_CONFIG.simulation.seed or
+ * ?seed= in the URL) bowls and plays out the same for the same batting.
+ * Cosmetics (stadium textures, debug logging) and network ids stay on
+ * Math.random. Mulberry32: 32 bits of state, fast, and good enough for
+ * game variation.
+ */
+
+export class SeededRandom {
+    /**
+     * @param {number} [seed] - 32-bit seed (a fresh one if not given)
+     */
+    constructor(seed = SeededRandom.newSeed()) {
+        this.setSeed(seed);
+
+        // Bound so it can stand in for Math.random (e.g. Physics.random)
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * A fresh seed from Math.random
+     */
+    static newSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Start the sequence again from a seed
+     */
+    setSeed(seed) {
+        this.seed = Number(seed) >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next value in [0, 1), like Math.random
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Position in the sequence, to carry on from later with setState
+     */
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+// Shared by the whole game
+export const gameRandom = new SeededRandom();
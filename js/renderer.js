@@ -25,6 +25,8 @@ export class Renderer {
         this.ballTrail = [];
         this.innerCircle = null;
         this.outerCircle = null;
+        this.fielderMeshes = [];
+        this.catchAnimation = null;
 
         // Lighting
         this.ambientLight = null;
@@ -224,28 +226,31 @@ export class Renderer {
      * Create cricket pitch - the BROWN strip where ball bounces
      * This is the rectangular brown area between the two wickets
      * Using BoxGeometry for guaranteed visibility above the green grass
+     * The top face is a canvas texture showing the pitch conditions (drawPitch)
      */
     createPitch() {
         // Main pitch strip - raised HIGH above ground for visibility
         // Ground is at y=0, inner circle at y=0.01, pitch at y=0.5
         const pitchGeometry = new THREE.BoxGeometry(6, 0.3, 24); // width, height, length
-        const pitchMaterial = new THREE.MeshLambertMaterial({
+
+        // Surface canvas: x across the strip, bowler's end (z = -12) at the top
+        this.pitchCanvas = document.createElement('canvas');
+        this.pitchCanvas.width = 128;
+        this.pitchCanvas.height = 512;
+        this.pitchContext = this.pitchCanvas.getContext('2d');
+        this.pitchTexture = new THREE.CanvasTexture(this.pitchCanvas);
+
+        this.pitchSideMaterial = new THREE.MeshLambertMaterial({
             color: 0xc9a86c // Sandy brown - matches reference image
         });
-        this.pitch = new THREE.Mesh(pitchGeometry, pitchMaterial);
+        const surfaceMaterial = new THREE.MeshLambertMaterial({ map: this.pitchTexture });
+        const side = this.pitchSideMaterial;
+
+        // Box faces: +x, -x, +y (top), -y, +z, -z
+        this.pitch = new THREE.Mesh(pitchGeometry, [side, side, surfaceMaterial, side, side, side]);
         this.pitch.position.set(0, 0.15, 0); // Centered, raised 0.15 above ground
         this.scene.add(this.pitch);
-
-        console.log('PITCH created at y=0.15, color=#c9a86c');
-
-        // Darker worn center area where ball bounces most
-        const wornAreaGeometry = new THREE.BoxGeometry(5, 0.32, 16);
-        const wornAreaMaterial = new THREE.MeshLambertMaterial({
-            color: 0xb5915a // Slightly darker tan/brown
-        });
-        const wornArea = new THREE.Mesh(wornAreaGeometry, wornAreaMaterial);
-        wornArea.position.set(0, 0.16, -1); // Slightly above main pitch
-        this.scene.add(wornArea);
+        this.drawPitch(null);
 
         // White pitch boundary outline
         this.createPitchOutline();
@@ -256,6 +261,73 @@ export class Renderer {
         console.log('Pitch created: brown rectangle between wickets');
     }
 
+    /**
+     * Paint the pitch surface: profile colour and grass, the worn strip
+     * where the ball lands, footmarks and cracks
+     * @param {PitchConditions|null} conditions - null = fresh default pitch
+     */
+    drawPitch(conditions) {
+        const ctx = this.pitchContext;
+        if (!ctx) return;
+
+        const { width, height } = this.pitchCanvas;
+        const profile = conditions ? conditions.getProfile() : GAME_CONFIG.pitch.profiles[GAME_CONFIG.pitch.defaultProfile];
+        const wear = conditions ? conditions.getWear() : 0;
+
+        // Pitch coordinates (x, distance in front of the batting stumps) → canvas
+        const toCanvas = (x, distance) => [(x + 3) / 6 * width, (12 + 10 - distance) / 24 * height];
+        const scale = width / 6;
+
+        ctx.fillStyle = profile.color;
+        ctx.fillRect(0, 0, width, height);
+        this.pitchSideMaterial.color.set(profile.color);
+
+        // Grass: thin streaks down the strip, thinning out as it wears
+        const streaks = Math.round(profile.grass * (1 - wear * 0.6) * 60);
+        ctx.strokeStyle = 'rgba(70, 120, 40, 0.35)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i < streaks; i++) {
+            const x = (i * 53) % width + (i % 3);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        }
+
+        // Worn strip on a good length (darker, wider as the innings goes on)
+        ctx.fillStyle = `rgba(90, 60, 30, ${0.15 + wear * 0.25})`;
+        const [wornLeft, wornTop] = toCanvas(-1.5 - wear, 12);
+        ctx.fillRect(wornLeft, wornTop, (3 + wear * 2) * scale, 11 * scale);
+
+        if (!conditions) {
+            this.pitchTexture.needsUpdate = true;
+            return;
+        }
+
+        // Footmarks - darker the deeper they are
+        const { footmarks } = GAME_CONFIG.pitch.wear;
+        conditions.footmarks.forEach(mark => {
+            const [cx, cy] = toCanvas(mark.x, mark.distance);
+            ctx.fillStyle = `rgba(60, 40, 20, ${0.2 + conditions.getFootmarkDepth(mark) * 0.5})`;
+            ctx.beginPath();
+            ctx.ellipse(cx, cy, footmarks.radius * scale * 0.7, footmarks.radius * scale, 0, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Cracks
+        ctx.strokeStyle = 'rgba(40, 25, 10, 0.85)';
+        ctx.lineWidth = 2;
+        conditions.cracks.forEach(crack => {
+            const [a, b] = conditions.getCrackEnds(crack).map(end => toCanvas(end.x, end.distance));
+            ctx.beginPath();
+            ctx.moveTo(...a);
+            ctx.lineTo(...b);
+            ctx.stroke();
+        });
+
+        this.pitchTexture.needsUpdate = true;
+    }
+
     /**
      * Create white pitch boundary outline
      */
@@ -488,6 +560,141 @@ export class Renderer {
         console.log('🔄 Wicket visuals reset to upright position');
     }
 
+    /**
+     * Create fielder figures for a field placement
+     * Replaces any existing fielders
+     * @param {Array} fielders - From Fielding.fielders ({ name, position: {x, z} })
+     */
+    createFielders(fielders) {
+        this.clearFielders();
+
+        const kitMaterial = new THREE.MeshLambertMaterial({ color: 0x1e3a8a }); // Navy kit
+        const keeperMaterial = new THREE.MeshLambertMaterial({ color: 0xf59e0b }); // Keeper stands out
+        const headMaterial = new THREE.MeshLambertMaterial({ color: 0xd2a679 });
+
+        const armGeometry = new THREE.CylinderGeometry(0.12, 0.12, 1.2, 6);
+
+        fielders.forEach(fielder => {
+            const group = new THREE.Group();
+            group.name = `fielder:${fielder.name}`;
+
+            // Body (scaled ~1.5x like the batting end for visibility)
+            const bodyGeometry = new THREE.CylinderGeometry(0.45, 0.55, 2.4, 10);
+            const bodyMaterial = fielder.isKeeper ? keeperMaterial : kitMaterial;
+            const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+            body.position.y = 1.2;
+            group.add(body);
+
+            // Head
+            const head = new THREE.Mesh(new THREE.SphereGeometry(0.4, 12, 12), headMaterial);
+            head.position.y = 2.8;
+            group.add(head);
+
+            // Arms (pivot at the shoulder so they can be raised for a catch)
+            group.userData.arms = [-1, 1].map(side => {
+                const shoulder = new THREE.Group();
+                shoulder.position.set(side * 0.55, 2.2, 0);
+                const arm = new THREE.Mesh(armGeometry, bodyMaterial);
+                arm.position.y = -0.6;
+                shoulder.add(arm);
+                shoulder.userData.side = side;
+                group.add(shoulder);
+                return shoulder;
+            });
+
+            group.position.set(fielder.position.x, 0, fielder.position.z);
+            this.scene.add(group);
+            this.fielderMeshes.push(group);
+        });
+
+        console.log(`🧤 Created ${this.fielderMeshes.length} fielders`);
+    }
+
+    /**
+     * Sync fielder meshes with fielding positions
+     * @param {Array} fielders - From Fielding.fielders (same order as createFielders)
+     */
+    updateFielders(fielders) {
+        fielders.forEach((fielder, i) => {
+            const mesh = this.fielderMeshes[i];
+            if (!mesh) return;
+
+            // Face the direction of travel while running
+            const dx = fielder.position.x - mesh.position.x;
+            const dz = fielder.position.z - mesh.position.z;
+            if (dx * dx + dz * dz > 0.0001) {
+                mesh.rotation.y = Math.atan2(dx, dz);
+            }
+
+            mesh.position.set(fielder.position.x, 0, fielder.position.z);
+        });
+    }
+
+    /**
+     * Start the catch animation for a fielder (jump with arms up)
+     * @param {number} index - Fielder index (same order as createFielders)
+     */
+    playCatchAnimation(index) {
+        const mesh = this.fielderMeshes[index];
+        if (!mesh) return;
+
+        this.stopCatchAnimation();
+        this.catchAnimation = { mesh, time: 0, duration: 0.8 };
+    }
+
+    /**
+     * Advance the catch animation (call every frame)
+     */
+    updateCatchAnimation(deltaTime) {
+        const anim = this.catchAnimation;
+        if (!anim) return;
+
+        anim.time = Math.min(anim.time + deltaTime, anim.duration);
+        const progress = anim.time / anim.duration;
+
+        // Hop up and back down, arms swing up and stay raised
+        anim.mesh.position.y = Math.sin(progress * Math.PI) * 0.8;
+        const raise = Math.min(1, progress * 2) * Math.PI * 0.9;
+        anim.mesh.userData.arms.forEach(shoulder => {
+            shoulder.rotation.z = shoulder.userData.side * raise;
+        });
+
+        // Ball sits in the hands
+        if (this.ball) {
+            const hands = new THREE.Vector3(0, 3.4, 0.4);
+            anim.mesh.localToWorld(hands);
+            this.ball.position.copy(hands);
+        }
+    }
+
+    /**
+     * Finish the catch animation and put the fielder's arms down
+     */
+    stopCatchAnimation() {
+        const anim = this.catchAnimation;
+        if (!anim) return;
+
+        anim.mesh.position.y = 0;
+        anim.mesh.userData.arms.forEach(shoulder => {
+            shoulder.rotation.z = 0;
+        });
+        this.catchAnimation = null;
+    }
+
+    /**
+     * Remove all fielder meshes
+     */
+    clearFielders() {
+        this.stopCatchAnimation();
+        this.fielderMeshes.forEach(mesh => {
+            mesh.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+            });
+            this.scene.remove(mesh);
+        });
+        this.fielderMeshes = [];
+    }
+
     /**
      * Create or get cricket ball - larger
      */
@@ -704,6 +911,76 @@ export class Renderer {
         this.targetCameraPos.x = ballPosition.x * 0.2;
     }
 
+    /**
+     * Show one action replay frame - ball, bat and stumps/bails
+     * @param {Object} frame - From ActionReplay.update
+     * @param {string} view - CameraControls preset name, or 'ballCam'
+     */
+    showReplayFrame(frame, view) {
+        if (!this.ball) {
+            this.createBall();
+        }
+
+        this.ball.visible = frame.ballVisible;
+        this.ball.position.set(frame.ball.x, frame.ball.y, frame.ball.z);
+
+        const bat = this.scene.getObjectByName('cricketBat');
+        if (bat && frame.bat) {
+            bat.position.set(frame.bat.position.x, frame.bat.position.y, frame.bat.position.z);
+            bat.quaternion.copy(frame.bat.quaternion);
+        }
+
+        this.updateWicketPhysics(frame.stumps, frame.bails);
+
+        if (view === 'ballCam') {
+            this.followBallCam(frame.ball, frame.ballVelocity);
+        }
+    }
+
+    /**
+     * Point the camera for an action replay (user camera controls are locked)
+     * @param {string} view - CameraControls preset name, or 'ballCam'
+     */
+    startReplayCamera(view) {
+        if (!this.controls) return;
+
+        this.controls.setEnabled(false);
+        this.ballCamDirection = null;
+        if (view !== 'ballCam') {
+            this.controls.jumpTo(view);
+        }
+    }
+
+    /**
+     * Hand the camera back to the user after an action replay
+     */
+    endReplayCamera() {
+        if (this.controls) {
+            this.controls.setEnabled(true);
+        }
+    }
+
+    /**
+     * Chase camera behind and above the ball, looking along its path
+     */
+    followBallCam(ball, velocity) {
+        const { distance, height } = GAME_CONFIG.actionReplay.ballCam;
+
+        // Keep the last heading once the ball slows to a stop
+        const speed = Math.sqrt(velocity.x ** 2 + velocity.z ** 2);
+        if (speed > 0.5) {
+            this.ballCamDirection = { x: velocity.x / speed, z: velocity.z / speed };
+        }
+        const direction = this.ballCamDirection || { x: 0, z: 1 };
+
+        this.camera.position.set(
+            ball.x - direction.x * distance,
+            ball.y + height,
+            ball.z - direction.z * distance
+        );
+        this.camera.lookAt(ball.x, ball.y, ball.z);
+    }
+
     /**
      * Reset camera position
      */
@@ -0,0 +1,159 @@
+/**
+ * Replay Player Module - Feeds a recorded replay back through Bat/Physics
+ *
+ * Uses GAME_CONFIG.replay for the reproduction tolerance.
+ * Each delivery is re-bowled with the recorded params, the physics is
+ * stepped with the recorded deltaTimes, hand frames go back through
+ * Bat.updateFromLandmarks, and collision checks / hits happen at the same
+ * points as in the game. The recorded random tape is played back so
+ * edge and spin variation come out the same; past the end of the tape the
+ * draws carry on from the delivery's recorded seeded-random state.
+ *
+ * Give it its own Physics and Bat (not the live game's) - it moves them.
+ */
+
+import * as THREE from 'three';
+import { GAME_CONFIG } from './config.js';
+import { SeededRandom, gameRandom } from './random.js';
+import { PitchConditions } from './pitchConditions.js';
+import { REPLAY_FORMAT, REPLAY_VERSION } from './replayRecorder.js';
+
+// Ball radius each collision check used in the game (undefined = Bat default)
+const CHECK_RADIUS = {
+    loop: undefined,
+    hand: GAME_CONFIG.physics.ballRadius
+};
+
+export class ReplayPlayer {
+    /**
+     * @param {Physics} physics - Initialised physics world for the replay
+     * @param {Bat} bat - Bat created in a (throwaway) scene
+     */
+    constructor(physics, bat) {
+        this.config = GAME_CONFIG.replay;
+        this.physics = physics;
+        this.bat = bat;
+        this.pitchConditions = new PitchConditions();
+    }
+
+    /**
+     * Play every delivery in a replay file
+     * @param {Object} replay - Parsed replay JSON (ReplayRecorder.toJSON)
+     * @returns {Object} - { reproduced, total, results: [...] }
+     */
+    play(replay) {
+        if (!replay || replay.format !== REPLAY_FORMAT) {
+            throw new Error('Not a Cricket AR replay file');
+        }
+        if (replay.version > REPLAY_VERSION) {
+            throw new Error(`Replay v${replay.version} is newer than this player (v${REPLAY_VERSION})`);
+        }
+
+        const results = replay.deliveries.map(delivery => this.playDelivery(delivery));
+        const reproduced = results.filter(result => result.reproduced).length;
+
+        console.log(`📼 Replay: ${reproduced}/${results.length} deliveries reproduced`);
+        return { reproduced, total: results.length, results };
+    }
+
+    /**
+     * Re-run one delivery and compare it with the recording
+     */
+    playDelivery(delivery) {
+        const { params } = delivery;
+
+        // Played-back random draws, then the same seeded sequence if the tape runs out
+        const random = new SeededRandom();
+        let draw = 0;
+        if (delivery.randomState !== undefined) {
+            random.setState(delivery.randomState);
+            delivery.random.forEach(() => random.next());
+        }
+        this.physics.random = () => (draw < delivery.random.length ? delivery.random[draw++] : random.next());
+
+        // Same set-up as CricketARGame.startDelivery
+        this.physics.resetWicket();
+        this.physics.currentSwingType = params.swingType;
+        this.physics.swingEnabled = params.swingEnabled && !params.spinType;
+        this.physics.ballAge = 0;
+        this.physics.currentSeamType = params.seamType || 'none';
+        this.physics.time = delivery.time ?? 0;
+
+        // The pitch as it was worn for this ball
+        this.pitchConditions.restore(delivery.pitch);
+        this.physics.pitchConditions = delivery.pitch ? this.pitchConditions : null;
+        this.physics.outfieldSpeed = delivery.outfield || GAME_CONFIG.physics.outfieldSpeeds.default;
+        this.physics.bowl(params);
+        this.bat.setTrackingState(delivery.bat);
+
+        let maxDrift = 0;
+        let contactMismatch = null;
+
+        delivery.events.forEach((event, i) => {
+            if (event.type === 'step') {
+                this.physics.update(event.dt);
+                maxDrift = Math.max(maxDrift, this.getDrift(event.ball));
+            } else if (event.type === 'hand') {
+                const landmarks = event.landmarks.map(([x, y, z]) => ({ x, y, z }));
+                this.bat.updateFromLandmarks(landmarks, event.velocity, event.time);
+            } else if (event.type === 'stop') {
+                this.physics.stopBallAt(...event.position);
+            }
+
+            if (event.check) {
+                const ballPos = this.physics.getBallPosition();
+                const collision = this.bat.checkCollision(
+                    new THREE.Vector3(ballPos.x, ballPos.y, ballPos.z),
+                    CHECK_RADIUS[event.check]
+                );
+                const mismatch = this.compareCollision(event.collision, collision);
+                if (mismatch && !contactMismatch) {
+                    contactMismatch = { event: i, ...mismatch };
+                }
+            }
+
+            if (event.hit) {
+                this.physics.hit(...event.hit);
+            }
+        });
+
+        this.physics.random = gameRandom.next;
+
+        const reproduced = !contactMismatch && maxDrift <= this.config.positionTolerance;
+        const result = {
+            index: delivery.index,
+            outcome: delivery.outcome ? delivery.outcome.entry : null,
+            reproduced,
+            maxDrift,
+            contactMismatch
+        };
+
+        if (!reproduced) {
+            console.warn(`📼 Delivery ${delivery.index} diverged`, result);
+        }
+        return result;
+    }
+
+    /**
+     * Recorded vs replayed collision - null if they agree
+     */
+    compareCollision(recorded, replayed) {
+        const hit = !!(replayed && replayed.hit);
+        if (!!recorded !== hit) {
+            return { recorded: recorded ? recorded.zone : 'miss', replayed: hit ? replayed.zone : 'miss' };
+        }
+        if (recorded && recorded.zone !== replayed.zone) {
+            return { recorded: recorded.zone, replayed: replayed.zone };
+        }
+        return null;
+    }
+
+    /**
+     * Distance between the replayed ball and the recorded ball state
+     */
+    getDrift(recorded) {
+        const p = this.physics.getBallPosition();
+        const [x, y, z] = recorded.p;
+        return Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2 + (p.z - z) ** 2);
+    }
+}
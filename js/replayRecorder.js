@@ -0,0 +1,186 @@
+/**
+ * Replay Recorder Module - Records every delivery for deterministic replay
+ *
+ * Uses GAME_CONFIG.replay for the delivery cap.
+ * For each delivery it captures, in the order they happened:
+ * - the bowling params passed to Physics.bowl
+ * - 'step' events: physics deltaTime and the ball state after the step
+ * - 'hand' events: timestamped landmarks fed to Bat.updateFromLandmarks
+ * - 'stop' events: the ball stopped dead (catch, pad)
+ * Collision checks and Physics.hit calls are attached to the event they
+ * followed, and every Physics.random draw is kept on a tape, so
+ * ReplayPlayer can run the same Bat/Physics code and get the same ball.
+ * The draws come from the seeded gameRandom, so the file also carries the
+ * session seed and each delivery's position in the random sequence.
+ */
+
+import { GAME_CONFIG } from './config.js';
+import { gameRandom } from './random.js';
+
+export const REPLAY_FORMAT = 'cricket-ar-replay';
+export const REPLAY_VERSION = 1;
+
+export class ReplayRecorder {
+    /**
+     * @param {Physics} physics - Game physics (its random source gets taped)
+     * @param {Bat} bat - Game bat (tracking state is snapshot at each delivery)
+     */
+    constructor(physics, bat) {
+        this.config = GAME_CONFIG.replay;
+        this.physics = physics;
+        this.bat = bat;
+
+        this.deliveries = [];
+        this.current = null;    // Delivery being recorded
+        this.count = 0;         // Deliveries recorded this session
+    }
+
+    /**
+     * Start recording a delivery (call just before Physics.bowl)
+     * @param {Object} params - From Bowling.getDeliveryParams
+     */
+    begin(params) {
+        if (!this.config.enabled) return;
+        if (this.current) this.finish({ entry: null, note: 'abandoned' });
+
+        this.count++;
+        this.current = {
+            index: this.count,
+            params: { ...params },
+            bat: this.bat.getTrackingState(),
+            randomState: gameRandom.getState(),
+            time: this.physics.time,    // Wind gusts follow the simulation clock
+            pitch: this.physics.pitchConditions ? this.physics.pitchConditions.getState() : null,
+            outfield: this.physics.outfieldSpeed,
+            events: [],
+            random: [],
+            outcome: null
+        };
+
+        // Tape every random draw the physics makes during the delivery
+        const tape = this.current.random;
+        this.physics.random = () => {
+            const value = gameRandom.next();
+            tape.push(value);
+            return value;
+        };
+    }
+
+    /**
+     * Physics stepped - record deltaTime and the resulting ball state
+     */
+    recordStep(deltaTime) {
+        if (!this.current) return;
+        this.current.events.push({
+            type: 'step',
+            dt: deltaTime,
+            ball: this.getBallState()
+        });
+    }
+
+    /**
+     * Hand landmarks were fed to the bat
+     * @param {Array} landmarks - 21 MediaPipe landmarks
+     * @param {Object} velocity - Hand velocity from HandTracking
+     * @param {number} timestamp - Time passed to Bat.updateFromLandmarks (ms)
+     */
+    recordHand(landmarks, velocity, timestamp) {
+        if (!this.current) return;
+        this.current.events.push({
+            type: 'hand',
+            time: timestamp,
+            landmarks: landmarks.map(p => [p.x, p.y, p.z || 0]),
+            velocity: velocity ? { x: velocity.x, y: velocity.y } : null
+        });
+    }
+
+    /**
+     * The game checked for bat contact after the last event
+     * @param {string} source - 'loop' (per physics step) or 'hand' (per hand frame)
+     * @param {Object|null} collision - From Bat.checkCollision
+     */
+    recordCheck(source, collision) {
+        const event = this.getLastEvent();
+        if (!event) return;
+        event.check = source;
+        event.collision = collision && collision.hit
+            ? {
+                zone: collision.zone,
+                trajectoryZone: collision.trajectoryZone,
+                batSpeed: collision.batSpeed,
+                timingQuality: collision.timingQuality
+            }
+            : null;
+    }
+
+    /**
+     * Physics.hit was applied after the last event
+     * @param {Array} args - Arguments passed to Physics.hit, in order
+     */
+    recordHit(args) {
+        const event = this.getLastEvent();
+        if (!event) return;
+        event.hit = args.map(arg => (typeof arg === 'object' ? { ...arg } : arg));
+    }
+
+    /**
+     * The ball was stopped dead (Physics.stopBallAt)
+     */
+    recordStop(x, y, z) {
+        if (!this.current) return;
+        this.current.events.push({ type: 'stop', position: [x, y, z] });
+    }
+
+    /**
+     * Close the delivery with its scored outcome
+     * @param {Object} outcome - { entry, runs, dismissal }
+     */
+    finish(outcome) {
+        if (!this.current) return;
+
+        this.current.outcome = { ...outcome, ball: this.getBallState() };
+        this.deliveries.push(this.current);
+        if (this.deliveries.length > this.config.maxDeliveries) {
+            this.deliveries.shift();
+        }
+
+        console.log(`📼 Recorded delivery ${this.current.index}: ${this.current.events.length} events, ${this.current.random.length} random draws`);
+
+        this.current = null;
+        this.physics.random = gameRandom.next;
+    }
+
+    /**
+     * Everything recorded so far, as a replay file object
+     */
+    toJSON() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: gameRandom.seed,
+            fixedStep: GAME_CONFIG.simulation.fixedStep,
+            deliveries: this.deliveries
+        };
+    }
+
+    /**
+     * Forget all recorded deliveries
+     */
+    clear() {
+        this.deliveries = [];
+        this.current = null;
+        this.physics.random = gameRandom.next;
+    }
+
+    getLastEvent() {
+        if (!this.current) return null;
+        return this.current.events[this.current.events.length - 1] || null;
+    }
+
+    getBallState() {
+        const p = this.physics.getBallPosition();
+        const v = this.physics.getBallVelocity();
+        return { p: [p.x, p.y, p.z], v: [v.x, v.y, v.z] };
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Scorecard Module - Batting scorecard built from the per-delivery log
+ *
+ * CricketARGame keeps a structured deliveryLog alongside ballHistory.
+ * Each entry looks like:
+ *   { over, batter, nonStriker, bowler, entry, runs, batRuns, extras, extraType, legal,
+ *     contact, intent, goodLeave,
+ *     dismissal: { type, fielder } | null, score: { runs, wickets } }
+ * (batter/nonStriker are places in the batting order, bowler is the
+ * BowlerRotation profile id or null for the manual bowler;
+ * contact is the bat zone hit or null; intent is from ShotIntent.classify)
+ *
+ * build() turns the log into batting figures, extras, fall of wickets,
+ * partnerships, shot intent and run rate by over for the scorecard screen.
+ */
+
+import { GAME_CONFIG } from './config.js';
+
+export class Scorecard {
+    /**
+     * @param {MatchFormat} matchFormat - Shared format, used for overs text
+     */
+    constructor(matchFormat) {
+        this.config = GAME_CONFIG.match;
+        this.matchFormat = matchFormat;
+    }
+
+    /**
+     * Display name for a batter (position in the batting order)
+     * @param {Array} names - Batting order names (Partnership.getNames)
+     */
+    getBatterName(index, names = []) {
+        return names[index] || `Batter ${index + 1}`;
+    }
+
+    /**
+     * Build the full scorecard
+     * @param {Array} log - Per-delivery log from CricketARGame
+     * @param {Object} options - { format: display name, names: batting order }
+     */
+    build(log, { format = '', names = [] } = {}) {
+        const lastScore = log.length ? log[log.length - 1].score : { runs: 0, wickets: 0 };
+        const legalBalls = log.filter(ball => ball.legal).length;
+
+        return {
+            format,
+            total: {
+                runs: lastScore.runs,
+                wickets: lastScore.wickets,
+                overs: this.matchFormat.formatOvers(legalBalls),
+                runRate: legalBalls > 0 ? (lastScore.runs / legalBalls) * this.config.ballsPerOver : 0
+            },
+            batters: this.getBatting(log, lastScore.wickets, names),
+            extras: this.getExtras(log),
+            fallOfWickets: this.getFallOfWickets(log, names),
+            partnerships: this.getPartnerships(log, lastScore.wickets, names),
+            intent: this.getIntent(log),
+            overs: this.getOvers(log)
+        };
+    }
+
+    /**
+     * Batting figures for everyone who came to the crease
+     */
+    getBatting(log, wickets, names = []) {
+        // Everyone out so far, plus the two batters at the crease
+        const count = Math.min(wickets + 2, names.length || this.config.maxWickets + 1);
+
+        const batters = [];
+        for (let i = 0; i < count; i++) {
+            const balls = log.filter(ball => ball.batter === i);
+            const { runs, balls: faced } = this.getBatterScore(log, i);
+            const out = balls.find(ball => ball.dismissal);
+
+            batters.push({
+                name: this.getBatterName(i, names),
+                runs,
+                balls: faced,
+                fours: balls.filter(ball => ball.batRuns === 4).length,
+                sixes: balls.filter(ball => ball.batRuns === 6).length,
+                strikeRate: faced > 0 ? (runs / faced) * 100 : 0,
+                howOut: out ? this.describeDismissal(out.dismissal) : 'not out',
+                isOut: !!out
+            });
+        }
+
+        return batters;
+    }
+
+    /**
+     * Runs and balls faced for one batter (wides aren't faced)
+     */
+    getBatterScore(log, index) {
+        const balls = log.filter(ball => ball.batter === index);
+        return {
+            runs: balls.reduce((sum, ball) => sum + ball.batRuns, 0),
+            balls: balls.filter(ball => ball.extraType !== 'wide').length
+        };
+    }
+
+    /**
+     * Scorecard dismissal text (e.g. "c Cover", "lbw", "bowled")
+     */
+    describeDismissal(dismissal) {
+        switch (dismissal.type) {
+            case 'bowled': return 'bowled';
+            case 'caught': return `c ${dismissal.fielder}`;
+            case 'lbw': return 'lbw';
+            default: return dismissal.type;
+        }
+    }
+
+    /**
+     * Extras breakdown
+     */
+    getExtras(log) {
+        const sumOf = type => log
+            .filter(ball => ball.extraType === type)
+            .reduce((sum, ball) => sum + ball.extras, 0);
+
+        const wides = sumOf('wide');
+        const noBalls = sumOf('no-ball');
+        const byes = sumOf('bye');
+        const legByes = sumOf('leg-bye');
+
+        return { total: wides + noBalls + byes + legByes, wides, noBalls, byes, legByes };
+    }
+
+    /**
+     * Leaves, blocks, plays-and-misses and balls that beat the batter
+     */
+    getIntent(log) {
+        const countOf = intent => log.filter(ball => ball.intent === intent).length;
+
+        return {
+            leaves: countOf('leave'),
+            goodLeaves: log.filter(ball => ball.goodLeave).length,
+            defended: countOf('defend'),
+            playAndMiss: countOf('play-and-miss'),
+            beaten: countOf('beaten')
+        };
+    }
+
+    /**
+     * Team score and over when each wicket fell
+     */
+    getFallOfWickets(log, names = []) {
+        let legalBalls = 0;
+        const fall = [];
+
+        log.forEach(ball => {
+            if (ball.legal) legalBalls++;
+            if (ball.dismissal) {
+                fall.push({
+                    wicket: ball.score.wickets,
+                    runs: ball.score.runs,
+                    overs: this.matchFormat.formatOvers(legalBalls),
+                    batter: this.getBatterName(ball.batter, names)
+                });
+            }
+        });
+
+        return fall;
+    }
+
+    /**
+     * Runs and balls for each wicket's stand
+     * A ball belongs to the stand for the wickets down before it.
+     */
+    getPartnerships(log, wickets, names = []) {
+        const stands = [];
+
+        for (let w = 0; w <= Math.min(wickets, this.config.maxWickets - 1); w++) {
+            const balls = log.filter(ball => ball.score.wickets - (ball.dismissal ? 1 : 0) === w);
+            const broken = balls.some(ball => ball.dismissal);
+
+            // Skip a fresh stand that hasn't faced yet
+            if (balls.length === 0 && w > 0) continue;
+
+            const batters = new Set();
+            balls.forEach(ball => {
+                batters.add(ball.batter);
+                if (ball.nonStriker !== undefined && ball.nonStriker !== null) batters.add(ball.nonStriker);
+            });
+
+            stands.push({
+                wicket: w + 1,
+                batters: [...batters].sort((a, b) => a - b).map(index => this.getBatterName(index, names)),
+                runs: balls.reduce((sum, ball) => sum + ball.runs, 0),
+                balls: balls.filter(ball => ball.legal).length,
+                unbroken: !broken
+            });
+        }
+
+        return stands;
+    }
+
+    /**
+     * Runs, wickets and cumulative run rate for each over
+     */
+    getOvers(log) {
+        const perOver = this.config.ballsPerOver;
+        const overs = [];
+        let totalRuns = 0;
+        let legalBalls = 0;
+
+        log.forEach(ball => {
+            if (!overs[ball.over]) {
+                overs[ball.over] = { over: ball.over + 1, runs: 0, wickets: 0, runRate: 0 };
+            }
+            const over = overs[ball.over];
+
+            over.runs += ball.runs;
+            if (ball.dismissal) over.wickets++;
+
+            totalRuns += ball.runs;
+            if (ball.legal) legalBalls++;
+            over.runRate = legalBalls > 0 ? (totalRuns / legalBalls) * perOver : 0;
+        });
+
+        return overs.filter(Boolean);
+    }
+
+    /**
+     * Bowling figures (O-M-R-W) for one bowler
+     * Byes and leg-byes aren't charged to the bowler; wides and no-balls are.
+     * @param {Array} log - Per-delivery log
+     * @param {string} bowlerId - Profile id
+     * @returns {Object} - { overs, maidens, runs, wickets, text }
+     */
+    getBowlerFigures(log, bowlerId) {
+        const perOver = this.config.ballsPerOver;
+        const overs = new Map();
+        let legalBalls = 0;
+        let runs = 0;
+        let wickets = 0;
+
+        log.filter(ball => ball.bowler === bowlerId).forEach(ball => {
+            let conceded = ball.batRuns;
+            if (ball.extraType === 'wide') conceded = ball.extras;
+            if (ball.extraType === 'no-ball') conceded += GAME_CONFIG.extras.noBallRuns;
+
+            if (ball.legal) legalBalls++;
+            runs += conceded;
+            if (ball.dismissal) wickets++;
+
+            const over = overs.get(ball.over) || { balls: 0, runs: 0 };
+            if (ball.legal) over.balls++;
+            over.runs += conceded;
+            overs.set(ball.over, over);
+        });
+
+        const maidens = [...overs.values()].filter(over => over.balls === perOver && over.runs === 0).length;
+        const oversText = this.matchFormat.formatOvers(legalBalls);
+
+        return {
+            overs: oversText,
+            maidens,
+            runs,
+            wickets,
+            text: `${oversText}-${maidens}-${runs}-${wickets}`
+        };
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Shot Intent Module - What the batter meant to do with each ball
+ *
+ * Uses GAME_CONFIG.intent for the thresholds and result text.
+ * Watches Bat.getHandData() while the ball is on its way, then files
+ * the ball under one intent:
+ * - 'shot'          - met it with a real swing
+ * - 'defend'        - met it with a block (bat speed in the block band)
+ * - 'leave'         - no downswing, bat raised out of the way or ducked
+ * - 'play-and-miss' - swung at it and missed
+ * - 'beaten'        - no shot and no leave: past the batter before they moved
+ * Lines use +X = off side (same as Physics.hit).
+ */
+
+import { GAME_CONFIG } from './config.js';
+
+export class ShotIntent {
+    constructor() {
+        this.config = GAME_CONFIG.intent;
+        this.reset();
+    }
+
+    /**
+     * New delivery
+     */
+    reset() {
+        this.sawDownswing = false;
+        this.sawBatRaised = false;
+    }
+
+    /**
+     * Follow the bat for a frame while the ball is coming
+     * @param {Object} handData - From Bat.getHandData
+     */
+    observe(handData) {
+        if (!handData || !handData.isTracking) return;
+
+        const { shotPhase, isSwinging, angle } = handData;
+        if (shotPhase === 'downswing' || shotPhase === 'follow_through' || isSwinging) {
+            this.sawDownswing = true;
+        }
+        if (shotPhase === 'backlift' || angle > this.config.raisedAngle) {
+            this.sawBatRaised = true;
+        }
+    }
+
+    /**
+     * Intent for the finished ball
+     * @param {Object} options - { hit: bat met the ball, batSpeed (m/s), ducked: hand dropped for a leave }
+     * @returns {string} - 'shot', 'defend', 'leave', 'play-and-miss' or 'beaten'
+     */
+    classify({ hit = false, batSpeed = 0, ducked = false } = {}) {
+        if (hit) {
+            const blockSpeed = GAME_CONFIG.collision.batSpeedCategories.block.max;
+            return batSpeed < blockSpeed ? 'defend' : 'shot';
+        }
+        if (this.sawDownswing && !ducked) return 'play-and-miss';
+        if (ducked || this.sawBatRaised) return 'leave';
+        return 'beaten';
+    }
+
+    /**
+     * A leave worth rewarding: outside off and clear of the stumps
+     * @param {string} intent - From classify
+     * @param {number|null} lineX - Ball X as it reached the batter (Physics.creaseX)
+     * @param {boolean} missedStumps - Ball went through to the keeper
+     */
+    isGoodLeave(intent, lineX, missedStumps) {
+        return intent === 'leave' && missedStumps &&
+            lineX !== null && lineX > this.config.outsideOffX;
+    }
+
+    /**
+     * Result text for a ball that beat the bat (e.g. "Played and missed")
+     */
+    describe(intent) {
+        return this.config.labels[intent] || this.config.labels.beaten;
+    }
+}
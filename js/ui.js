@@ -2,6 +2,8 @@
  * UI Module - Controls and visual overlays
  */
 
+import { GAME_CONFIG, isLegalBall } from './config.js';
+
 export class UI {
     constructor() {
         // DOM elements
@@ -35,12 +37,62 @@ export class UI {
             // Main Menu
             mainMenu: document.getElementById('main-menu'),
             startMatchBtn: document.getElementById('start-match-btn'),
+            resumeSavedBtn: document.getElementById('resume-saved-btn'),
+            resumeSavedInfo: document.getElementById('resume-saved-info'),
             playerNameInput: document.getElementById('player-name-input'),
             teamAbbrInput: document.getElementById('team-abbr-input'),
             tvTeamName: document.getElementById('tv-team-name'),
 
+            // Match Setup
+            matchFormatSelect: document.getElementById('match-format-menu'),
+            customOversRow: document.getElementById('custom-overs-row'),
+            customOversInput: document.getElementById('custom-overs-menu'),
+            matchModeSelect: document.getElementById('match-mode-menu'),
+            playersModeSelect: document.getElementById('players-mode-menu'),
+            hotSeatNamesRow: document.getElementById('hot-seat-names-row'),
+            hotSeatNamesInput: document.getElementById('hot-seat-names-menu'),
+            hotSeatTurnsRow: document.getElementById('hot-seat-turns-row'),
+            hotSeatTurnsSelect: document.getElementById('hot-seat-turns-menu'),
+            targetSourceRow: document.getElementById('target-source-row'),
+            targetSourceSelect: document.getElementById('target-source-menu'),
+            targetRunsRow: document.getElementById('target-runs-row'),
+            targetRunsInput: document.getElementById('target-runs-menu'),
+            fieldPlacementSelect: document.getElementById('field-placement-menu'),
+            pitchSelect: document.getElementById('pitch-menu'),
+            outfieldSelect: document.getElementById('outfield-menu'),
+            captainPositionSelect: document.getElementById('captain-position-menu'),
+            battingOrderInput: document.getElementById('batting-order-menu'),
+            bowlerModeSelect: document.getElementById('bowler-mode-menu'),
+            aiDifficultySelect: document.getElementById('ai-difficulty-menu'),
+            aiDifficultyRow: document.getElementById('ai-difficulty-row'),
+            machineScriptRow: document.getElementById('machine-script-row'),
+            machineScriptInput: document.getElementById('machine-script-menu'),
+            machineScriptStatus: document.getElementById('machine-script-status'),
+            machineScriptLoadBtn: document.getElementById('machine-script-load-btn'),
+            machineScriptFileInput: document.getElementById('machine-script-file-input'),
+            networkRow: document.getElementById('network-row'),
+            networkUrlInput: document.getElementById('network-url-menu'),
+            networkRoomInput: document.getElementById('network-room-menu'),
+            networkStatus: document.getElementById('network-status'),
+
+            // Action replay
+            actionReplay: document.getElementById('action-replay'),
+            actionReplayTitle: document.getElementById('action-replay-title'),
+            actionReplaySpeeds: document.getElementById('action-replay-speeds'),
+            actionReplayView: document.getElementById('action-replay-view'),
+            actionReplaySkip: document.getElementById('action-replay-skip'),
+
+            // LBW review panel
+            lbwReview: document.getElementById('lbw-review'),
+            lbwPitching: document.getElementById('lbw-pitching'),
+            lbwImpact: document.getElementById('lbw-impact'),
+            lbwWickets: document.getElementById('lbw-wickets'),
+            lbwDecision: document.getElementById('lbw-decision'),
+
             // Controls
             speedControl: document.getElementById('speed-control'),
+            spinControl: document.getElementById('spin-type'),
+            seamControl: document.getElementById('seam-type'),
             lineControl: document.getElementById('line-control'),
             lengthControl: document.getElementById('length-control'),
             autoBowl: document.getElementById('auto-bowl'),
@@ -80,6 +132,17 @@ export class UI {
             tvOvers: document.getElementById('tv-overs'),
             tvCRR: document.getElementById('tv-crr'),
             tvTimeline: document.getElementById('tv-timeline'),
+            tvRRRBox: document.getElementById('tv-rrr-box'),
+            tvRRR: document.getElementById('tv-rrr'),
+            tvChaseRow: document.getElementById('tv-chase-row'),
+            tvChaseText: document.getElementById('tv-chase-text'),
+            tvExtras: document.getElementById('tv-extras'),
+            tvFreeHit: document.getElementById('tv-free-hit'),
+            tvStriker: document.getElementById('tv-striker'),
+            tvNonStriker: document.getElementById('tv-non-striker'),
+            tvBowlerRow: document.getElementById('tv-bowler-row'),
+            tvBowlerName: document.getElementById('tv-bowler-name'),
+            tvBowlerFigures: document.getElementById('tv-bowler-figures'),
 
             // Overlays
             cameraOverlay: document.getElementById('camera-overlay'),
@@ -90,13 +153,82 @@ export class UI {
             finalRuns: document.getElementById('final-runs'),
             finalWickets: document.getElementById('final-wickets'),
             finalOvers: document.getElementById('final-overs'),
-            playAgainBtn: document.getElementById('play-again-btn')
+            finalFormat: document.getElementById('final-format'),
+            finalReason: document.getElementById('final-reason'),
+            finalRunRate: document.getElementById('final-run-rate'),
+            finalBoundaries: document.getElementById('final-boundaries'),
+            playAgainBtn: document.getElementById('play-again-btn'),
+
+            // Chase Result
+            matchResultScreen: document.getElementById('match-result-screen'),
+            resultTitle: document.getElementById('result-title'),
+            resultText: document.getElementById('result-text'),
+            resultRuns: document.getElementById('result-runs'),
+            resultWickets: document.getElementById('result-wickets'),
+            resultOvers: document.getElementById('result-overs'),
+            resultTarget: document.getElementById('result-target'),
+            resultLeaves: document.getElementById('result-leaves'),
+            resultPlayAgainBtn: document.getElementById('result-play-again-btn'),
+
+            // Scorecard
+            scorecardScreen: document.getElementById('scorecard-screen'),
+            scorecardFormat: document.getElementById('scorecard-format'),
+            scorecardTotal: document.getElementById('scorecard-total'),
+            scorecardBatting: document.getElementById('scorecard-batting'),
+            scorecardExtras: document.getElementById('scorecard-extras'),
+            scorecardFow: document.getElementById('scorecard-fow'),
+            scorecardPartnerships: document.getElementById('scorecard-partnerships'),
+            scorecardIntent: document.getElementById('scorecard-intent'),
+            scorecardOvers: document.getElementById('scorecard-overs'),
+            scorecardCloseBtn: document.getElementById('scorecard-close-btn'),
+            hudScorecardBtn: document.getElementById('hud-scorecard-btn'),
+            hudActionReplayBtn: document.getElementById('hud-action-replay-btn'),
+            hudReplayDownloadBtn: document.getElementById('hud-replay-download-btn'),
+            hudReplayLoadBtn: document.getElementById('hud-replay-load-btn'),
+            replayFileInput: document.getElementById('replay-file-input'),
+            finalScorecardBtn: document.getElementById('final-scorecard-btn'),
+            resultScorecardBtn: document.getElementById('result-scorecard-btn'),
+
+            // Bowling machine session summary
+            machineSummaryScreen: document.getElementById('machine-summary-screen'),
+            machineSummaryTotals: document.getElementById('machine-summary-totals'),
+            machineSummaryScore: document.getElementById('machine-summary-score'),
+            machineSummaryRows: document.getElementById('machine-summary-rows'),
+            machineSummaryCloseBtn: document.getElementById('machine-summary-close-btn'),
+            machineSummaryDownloadBtn: document.getElementById('machine-summary-download-btn'),
+            machineSummaryAgainBtn: document.getElementById('machine-summary-again-btn'),
+
+            // Hot seat handover and leaderboard
+            handoverScreen: document.getElementById('handover-screen'),
+            handoverName: document.getElementById('handover-name'),
+            handoverInfo: document.getElementById('handover-info'),
+            handoverStandings: document.getElementById('handover-standings'),
+            handoverReadyBtn: document.getElementById('handover-ready-btn'),
+            leaderboardScreen: document.getElementById('leaderboard-screen'),
+            leaderboardWinner: document.getElementById('leaderboard-winner'),
+            leaderboardRows: document.getElementById('leaderboard-rows'),
+            leaderboardCloseBtn: document.getElementById('leaderboard-close-btn'),
+            leaderboardAgainBtn: document.getElementById('leaderboard-again-btn')
         };
 
         // Callbacks
         this.onRestart = null;
+        this.onShowScorecard = null;
+        this.onResumeSaved = null;
+        this.onDownloadReplay = null;
+        this.onActionReplay = null;
+        this.onReplaySpeed = null;
+        this.onReplayView = null;
+        this.onReplaySkip = null;
+        this.onLoadReplay = null;
+        this.onMachineScriptChange = null;
+        this.onDownloadMachineSummary = null;
+        this.onHandoverReady = null;
         this.isGameActive = false; // Track game state
 
+        // Over limit shown next to the overs count (null = unlimited)
+        this.oversLimit = null;
+
         // Set up event listeners
         this.setupEventListeners();
 
@@ -225,6 +357,15 @@ export class UI {
             });
         }
 
+        // Resume a match saved before the last page reload
+        if (this.elements.resumeSavedBtn) {
+            this.elements.resumeSavedBtn.addEventListener('click', () => {
+                this.isGameActive = true;
+                this.hideSavedMatch();
+                if (this.onResumeSaved) this.onResumeSaved();
+            });
+        }
+
         // Live Team Abbreviation Update
         if (this.elements.teamAbbrInput) {
             this.elements.teamAbbrInput.addEventListener('input', (e) => {
@@ -236,6 +377,95 @@ export class UI {
             });
         }
 
+        // Match format: only show the overs input for custom format
+        if (this.elements.matchFormatSelect && this.elements.customOversRow) {
+            const toggleCustomOvers = () => {
+                const isCustom = this.elements.matchFormatSelect.value === 'custom';
+                this.elements.customOversRow.classList.toggle('hidden', !isCustom);
+            };
+            this.elements.matchFormatSelect.addEventListener('change', toggleCustomOvers);
+            toggleCustomOvers();
+        }
+
+        // Match mode: target options only apply to a chase
+        if (this.elements.matchModeSelect && this.elements.targetSourceSelect) {
+            const toggleTargetRows = () => {
+                const isChase = this.elements.matchModeSelect.value === 'chase';
+                const isFixed = this.elements.targetSourceSelect.value === 'fixed';
+                this.elements.targetSourceRow.classList.toggle('hidden', !isChase);
+                this.elements.targetRunsRow.classList.toggle('hidden', !isChase || !isFixed);
+            };
+            this.elements.matchModeSelect.addEventListener('change', toggleTargetRows);
+            this.elements.targetSourceSelect.addEventListener('change', toggleTargetRows);
+            toggleTargetRows();
+        }
+
+        // Players: names and turn length only apply to hot seat
+        if (this.elements.playersModeSelect && this.elements.hotSeatNamesRow) {
+            const toggleHotSeatRows = () => {
+                const isHotSeat = this.elements.playersModeSelect.value === 'hot-seat';
+                this.elements.hotSeatNamesRow.classList.toggle('hidden', !isHotSeat);
+                this.elements.hotSeatTurnsRow.classList.toggle('hidden', !isHotSeat);
+            };
+            this.elements.playersModeSelect.addEventListener('change', toggleHotSeatRows);
+            toggleHotSeatRows();
+        }
+
+        // Bowler: difficulty only applies to the AI bowler, the script to the
+        // machine, the server address to the network bowler
+        if (this.elements.bowlerModeSelect && this.elements.aiDifficultyRow) {
+            const toggleBowlerRows = () => {
+                const mode = this.elements.bowlerModeSelect.value;
+                this.elements.aiDifficultyRow.classList.toggle('hidden', mode !== 'ai');
+                if (this.elements.machineScriptRow) {
+                    this.elements.machineScriptRow.classList.toggle('hidden', mode !== 'machine');
+                }
+                if (this.elements.networkRow) {
+                    this.elements.networkRow.classList.toggle('hidden', mode !== 'network');
+                }
+            };
+            this.elements.bowlerModeSelect.addEventListener('change', toggleBowlerRows);
+            toggleBowlerRows();
+        }
+
+        // Batting order: the player captains, batting at any place in the order
+        if (this.elements.captainPositionSelect) {
+            const { size, captainPosition } = GAME_CONFIG.lineup;
+            for (let i = 1; i <= size; i++) {
+                this.elements.captainPositionSelect.add(new Option(`${i}${this.getOrdinalSuffix(i)}`, i, false, i === captainPosition));
+            }
+        }
+        if (this.elements.battingOrderInput) {
+            this.elements.battingOrderInput.value = GAME_CONFIG.lineup.defaultNames.join('\n');
+        }
+
+        // Network bowler: the reference server runs on this computer by default
+        if (this.elements.networkUrlInput) {
+            const { port, path } = GAME_CONFIG.network;
+            this.elements.networkUrlInput.value = `ws://${location.hostname || 'localhost'}:${port}${path}`;
+        }
+
+        // Bowling machine script: typed in, or loaded from a .txt/.json file
+        if (this.elements.machineScriptInput) {
+            const input = this.elements.machineScriptInput;
+            input.value = GAME_CONFIG.machine.exampleScript;
+            input.addEventListener('input', () => {
+                if (this.onMachineScriptChange) this.onMachineScriptChange(input.value);
+            });
+        }
+
+        if (this.elements.machineScriptLoadBtn && this.elements.machineScriptFileInput) {
+            const fileInput = this.elements.machineScriptFileInput;
+            this.elements.machineScriptLoadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = ''; // Allow picking the same file again
+                if (!file) return;
+                this.elements.machineScriptInput.value = await file.text();
+                this.elements.machineScriptInput.dispatchEvent(new Event('input'));
+            });
+        }
+
         // Bowl Button (Only exists in HUD usually, but kept generally)
         if (this.elements.bowlBtn) {
             this.elements.bowlBtn.addEventListener('click', () => {
@@ -271,6 +501,8 @@ export class UI {
         bindSync('speed-control', 'speed-control-menu', 'change', null);
         bindSync('line-control', 'line-control-menu', 'change', null);
         bindSync('length-control', 'length-control-menu', 'change', null);
+        bindSync('spin-type', 'spin-type-menu', 'change', null);
+        bindSync('seam-type', 'seam-type-menu', 'change', null);
 
         // Auto Bowl
         bindSync('auto-bowl', 'auto-bowl-menu', 'change', () => {
@@ -302,6 +534,110 @@ export class UI {
                 if (this.onRestart) this.onRestart();
             });
         }
+
+        if (this.elements.resultPlayAgainBtn) {
+            this.elements.resultPlayAgainBtn.addEventListener('click', () => {
+                this.hideGameOver();
+                if (this.onRestart) this.onRestart();
+            });
+        }
+
+        // Scorecard (HUD mid-match, or from the innings summary)
+        [this.elements.hudScorecardBtn, this.elements.finalScorecardBtn, this.elements.resultScorecardBtn]
+            .forEach(btn => {
+                if (btn) {
+                    btn.addEventListener('click', () => {
+                        if (this.onShowScorecard) this.onShowScorecard();
+                    });
+                }
+            });
+
+        if (this.elements.scorecardCloseBtn) {
+            this.elements.scorecardCloseBtn.addEventListener('click', () => this.hideScorecard());
+        }
+
+        // Bowling machine summary
+        if (this.elements.machineSummaryCloseBtn) {
+            this.elements.machineSummaryCloseBtn.addEventListener('click', () => this.hideMachineSummary());
+        }
+
+        if (this.elements.machineSummaryDownloadBtn) {
+            this.elements.machineSummaryDownloadBtn.addEventListener('click', () => {
+                if (this.onDownloadMachineSummary) this.onDownloadMachineSummary();
+            });
+        }
+
+        if (this.elements.machineSummaryAgainBtn) {
+            this.elements.machineSummaryAgainBtn.addEventListener('click', () => {
+                this.hideGameOver();
+                if (this.onRestart) this.onRestart();
+            });
+        }
+
+        // Hot seat
+        if (this.elements.handoverReadyBtn) {
+            this.elements.handoverReadyBtn.addEventListener('click', () => {
+                this.hideHandover();
+                if (this.onHandoverReady) this.onHandoverReady();
+            });
+        }
+
+        if (this.elements.leaderboardCloseBtn) {
+            this.elements.leaderboardCloseBtn.addEventListener('click', () => this.hideLeaderboard());
+        }
+
+        if (this.elements.leaderboardAgainBtn) {
+            this.elements.leaderboardAgainBtn.addEventListener('click', () => {
+                this.hideGameOver();
+                if (this.onRestart) this.onRestart();
+            });
+        }
+
+        // Action replay
+        if (this.elements.hudActionReplayBtn) {
+            this.elements.hudActionReplayBtn.addEventListener('click', () => {
+                if (this.onActionReplay) this.onActionReplay();
+            });
+        }
+
+        if (this.elements.actionReplaySpeeds) {
+            this.elements.actionReplaySpeeds.querySelectorAll('button').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const speed = parseFloat(btn.dataset.speed);
+                    this.setActionReplaySpeed(speed);
+                    if (this.onReplaySpeed) this.onReplaySpeed(speed);
+                });
+            });
+        }
+
+        if (this.elements.actionReplayView) {
+            this.elements.actionReplayView.addEventListener('change', (e) => {
+                if (this.onReplayView) this.onReplayView(e.target.value);
+            });
+        }
+
+        if (this.elements.actionReplaySkip) {
+            this.elements.actionReplaySkip.addEventListener('click', () => {
+                if (this.onReplaySkip) this.onReplaySkip();
+            });
+        }
+
+        // Delivery replays
+        if (this.elements.hudReplayDownloadBtn) {
+            this.elements.hudReplayDownloadBtn.addEventListener('click', () => {
+                if (this.onDownloadReplay) this.onDownloadReplay();
+            });
+        }
+
+        if (this.elements.hudReplayLoadBtn && this.elements.replayFileInput) {
+            const input = this.elements.replayFileInput;
+            this.elements.hudReplayLoadBtn.addEventListener('click', () => input.click());
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                input.value = ''; // Allow picking the same file again
+                if (file && this.onLoadReplay) this.onLoadReplay(file);
+            });
+        }
     }
 
     /**
@@ -351,10 +687,159 @@ export class UI {
         return {
             speed: this.elements.speedControl.value,
             line: this.elements.lineControl.value,
-            length: this.elements.lengthControl.value
+            length: this.elements.lengthControl.value,
+            seamType: this.elements.seamControl ? this.elements.seamControl.value : 'none',
+            spinType: this.elements.spinControl ? this.elements.spinControl.value : 'none'
+        };
+    }
+
+    /**
+     * Get bowling options plus the swing settings (for saving the match)
+     */
+    getBowlingSettings() {
+        const swingEnabled = document.getElementById('swing-enabled');
+        const swingType = document.getElementById('swing-type');
+        return {
+            ...this.getBowlingOptions(),
+            swingEnabled: swingEnabled ? swingEnabled.checked : true,
+            swingType: swingType ? swingType.value : null
         };
     }
 
+    /**
+     * Get match setup from the main menu
+     */
+    getMatchSetup() {
+        return {
+            format: this.elements.matchFormatSelect ? this.elements.matchFormatSelect.value : 't10',
+            customOvers: this.elements.customOversInput ? this.elements.customOversInput.value : null,
+            mode: this.elements.matchModeSelect ? this.elements.matchModeSelect.value : 'innings',
+            players: this.elements.playersModeSelect ? this.elements.playersModeSelect.value : 'single',
+            hotSeatNames: this.elements.hotSeatNamesInput ? this.elements.hotSeatNamesInput.value : '',
+            hotSeatTurns: this.elements.hotSeatTurnsSelect ? this.elements.hotSeatTurnsSelect.value : 'over',
+            targetSource: this.elements.targetSourceSelect ? this.elements.targetSourceSelect.value : 'fixed',
+            targetRuns: this.elements.targetRunsInput ? this.elements.targetRunsInput.value : null,
+            fieldPlacement: this.elements.fieldPlacementSelect ? this.elements.fieldPlacementSelect.value : 'standard',
+            pitch: this.elements.pitchSelect ? this.elements.pitchSelect.value : 'flat',
+            outfield: this.elements.outfieldSelect ? this.elements.outfieldSelect.value : 'medium',
+            bowlerMode: this.elements.bowlerModeSelect ? this.elements.bowlerModeSelect.value : 'manual',
+            captainPosition: this.elements.captainPositionSelect ? parseInt(this.elements.captainPositionSelect.value, 10) : 1,
+            battingOrder: this.elements.battingOrderInput ? this.elements.battingOrderInput.value : '',
+            aiDifficulty: this.elements.aiDifficultySelect ? this.elements.aiDifficultySelect.value : 'medium',
+            machineScript: this.elements.machineScriptInput ? this.elements.machineScriptInput.value : '',
+            networkUrl: this.elements.networkUrlInput ? this.elements.networkUrlInput.value.trim() : '',
+            networkRoom: this.elements.networkRoomInput ? this.elements.networkRoomInput.value.trim() : ''
+        };
+    }
+
+    /**
+     * Get player name and team abbreviation from the main menu
+     */
+    getPlayerProfile() {
+        return {
+            name: this.elements.playerNameInput ? this.elements.playerNameInput.value : '',
+            team: this.elements.teamAbbrInput ? this.elements.teamAbbrInput.value : ''
+        };
+    }
+
+    /**
+     * Offer to resume a saved match on the main menu
+     * @param {string} label - e.g. "T10 · 45/2 (4.3 ov)"
+     */
+    showSavedMatch(label) {
+        if (!this.elements.resumeSavedBtn) return;
+        this.elements.resumeSavedInfo.textContent = label;
+        this.elements.resumeSavedBtn.classList.remove('hidden');
+    }
+
+    hideSavedMatch() {
+        if (this.elements.resumeSavedBtn) {
+            this.elements.resumeSavedBtn.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Put saved menu and bowling settings back into the controls
+     * Fires 'input'/'change' so synced HUD/menu controls and their
+     * handlers (custom overs row, swing toggles) update as if edited.
+     * @param {Object} saved - { player, setup, bowling } from the saved match
+     */
+    restoreMatchSettings({ player, setup, bowling }) {
+        const setValue = (el, value, event = 'change') => {
+            if (!el || value === undefined || value === null) return;
+            if (el.type === 'checkbox') el.checked = value;
+            else el.value = value;
+            el.dispatchEvent(new Event(event));
+        };
+
+        setValue(this.elements.playerNameInput, player.name, 'input');
+        setValue(this.elements.teamAbbrInput, player.team, 'input');
+
+        setValue(this.elements.matchFormatSelect, setup.format);
+        setValue(this.elements.customOversInput, setup.customOvers);
+        setValue(this.elements.matchModeSelect, setup.mode);
+        setValue(this.elements.playersModeSelect, setup.players);
+        setValue(this.elements.hotSeatNamesInput, setup.hotSeatNames, 'input');
+        setValue(this.elements.hotSeatTurnsSelect, setup.hotSeatTurns);
+        setValue(this.elements.targetSourceSelect, setup.targetSource);
+        setValue(this.elements.targetRunsInput, setup.targetRuns);
+        setValue(this.elements.fieldPlacementSelect, setup.fieldPlacement);
+        setValue(this.elements.pitchSelect, setup.pitch);
+        setValue(this.elements.outfieldSelect, setup.outfield);
+        setValue(this.elements.captainPositionSelect, setup.captainPosition);
+        setValue(this.elements.battingOrderInput, setup.battingOrder, 'input');
+        setValue(this.elements.bowlerModeSelect, setup.bowlerMode);
+        setValue(this.elements.aiDifficultySelect, setup.aiDifficulty);
+        setValue(this.elements.machineScriptInput, setup.machineScript, 'input');
+        setValue(this.elements.networkUrlInput, setup.networkUrl, 'input');
+        setValue(this.elements.networkRoomInput, setup.networkRoom, 'input');
+
+        setValue(this.elements.speedControl, bowling.speed);
+        setValue(this.elements.lineControl, bowling.line);
+        setValue(this.elements.lengthControl, bowling.length);
+        setValue(this.elements.seamControl, bowling.seamType);
+        setValue(this.elements.spinControl, bowling.spinType);
+        setValue(document.getElementById('swing-enabled'), bowling.swingEnabled);
+        setValue(document.getElementById('swing-type'), bowling.swingType);
+    }
+
+    /**
+     * Show the over limit for the current match format
+     * @param {string} name - Format name (e.g. "T20")
+     * @param {number|null} oversLimit - Overs in the innings (null = unlimited)
+     */
+    setMatchFormat(name, oversLimit) {
+        this.oversLimit = oversLimit;
+        console.log(`UI: match format ${name} (${oversLimit ?? '∞'} overs)`);
+    }
+
+    /**
+     * Show/hide the chase equation on the scoreboard
+     */
+    setChaseVisible(visible) {
+        if (this.elements.tvRRRBox) this.elements.tvRRRBox.classList.toggle('hidden', !visible);
+        if (this.elements.tvChaseRow) this.elements.tvChaseRow.classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * Update chase equation (e.g. "NEED 24 OFF 18 · TARGET 61")
+     * @param {Object} status - From ChaseMode.getStatus
+     */
+    updateChase(status) {
+        const { target, runsRequired, ballsRemaining, requiredRunRate } = status;
+
+        if (this.elements.tvRRR) {
+            this.elements.tvRRR.textContent = requiredRunRate !== null ? requiredRunRate.toFixed(1) : '-';
+        }
+
+        if (this.elements.tvChaseText) {
+            const ballsText = Number.isFinite(ballsRemaining) ? ` OFF ${ballsRemaining}` : '';
+            this.elements.tvChaseText.textContent = runsRequired > 0
+                ? `NEED ${runsRequired}${ballsText} · TARGET ${target}`
+                : `TARGET ${target} REACHED`;
+        }
+    }
+
     /**
      * Set bowling controls (for random)
      */
@@ -362,6 +847,8 @@ export class UI {
         if (options.speed) this.elements.speedControl.value = options.speed;
         if (options.line) this.elements.lineControl.value = options.line;
         if (options.length) this.elements.lengthControl.value = options.length;
+        if (options.seamType && this.elements.seamControl) this.elements.seamControl.value = options.seamType;
+        if (options.spinType && this.elements.spinControl) this.elements.spinControl.value = options.spinType;
     }
 
     /**
@@ -409,7 +896,9 @@ export class UI {
         // Optionally update TV scoreboard if needed (sync)
         if (this.elements.tvRuns) this.elements.tvRuns.textContent = runs;
         if (this.elements.tvWickets) this.elements.tvWickets.textContent = wickets;
-        if (this.elements.tvOvers) this.elements.tvOvers.textContent = overs;
+        if (this.elements.tvOvers) {
+            this.elements.tvOvers.textContent = this.oversLimit ? `${overs}/${this.oversLimit}` : overs;
+        }
         if (this.elements.tvCRR) this.elements.tvCRR.textContent = crr.toFixed(1);
 
         // Update Timeline (Show only CURRENT over balls)
@@ -422,8 +911,15 @@ export class UI {
             const remainder = balls % 6;
             const ballsOnScreen = remainder === 0 ? 6 : remainder;
 
-            // Safe slice from end of history
-            const recentBalls = history.slice(-ballsOnScreen);
+            // Walk back from the end until we have this over's legal balls
+            // (wides and no-balls are extra entries in the same over)
+            let start = history.length;
+            let legalCount = 0;
+            while (start > 0 && legalCount < ballsOnScreen) {
+                start--;
+                if (isLegalBall(history[start])) legalCount++;
+            }
+            const recentBalls = history.slice(start);
 
             recentBalls.forEach(ball => {
                 const span = document.createElement('span');
@@ -433,6 +929,7 @@ export class UI {
                 if (ball === 4) span.classList.add('four');
                 else if (ball === 6) span.classList.add('six');
                 else if (ball === 'W') span.classList.add('wicket');
+                else if (typeof ball === 'string') span.classList.add('extra');
                 else if (ball === 0) {
                     span.classList.add('dot');
                     ball = '•'; // Use bullet for dot ball
@@ -444,6 +941,38 @@ export class UI {
         }
     }
 
+    /**
+     * Update extras total and free hit badge on the TV scoreboard
+     * @param {number} extras - Extra runs this innings
+     * @param {boolean} isFreeHit - Next ball is a free hit
+     */
+    updateExtras(extras, isFreeHit = false) {
+        if (this.elements.tvExtras) this.elements.tvExtras.textContent = extras;
+        if (this.elements.tvFreeHit) this.elements.tvFreeHit.classList.toggle('hidden', !isFreeHit);
+    }
+
+    /**
+     * Show the batters at the crease on the TV scoreboard
+     * @param {Array} batters - [striker, nonStriker] as { name, runs, balls }
+     */
+    updateBatters(batters) {
+        const [striker, nonStriker] = batters;
+        const text = batter => (batter ? `${batter.name} ${batter.runs} (${batter.balls})` : '-');
+        if (this.elements.tvStriker) this.elements.tvStriker.textContent = striker ? `${text(striker)}*` : '-';
+        if (this.elements.tvNonStriker) this.elements.tvNonStriker.textContent = text(nonStriker);
+    }
+
+    /**
+     * Show the current bowler and their figures on the TV scoreboard
+     * @param {Object|null} bowler - { name, figures: "O-M-R-W" }, null hides the row
+     */
+    updateBowler(bowler) {
+        if (this.elements.tvBowlerRow) this.elements.tvBowlerRow.classList.toggle('hidden', !bowler);
+        if (!bowler) return;
+        if (this.elements.tvBowlerName) this.elements.tvBowlerName.textContent = bowler.name;
+        if (this.elements.tvBowlerFigures) this.elements.tvBowlerFigures.textContent = bowler.figures;
+    }
+
     /**
      * Update Wickets (Deprecated - handled in updateScore now, but kept for compatibility)
      */
@@ -490,6 +1019,50 @@ export class UI {
         }, 1500);
     }
 
+    /**
+     * Show the LBW review panel (Pitching / Impact / Wickets + decision)
+     * @param {Object} review - From LegBeforeWicket.review
+     */
+    showLbwReview(review) {
+        if (!this.elements.lbwReview) return;
+
+        const labels = {
+            'in-line': 'In Line',
+            'outside-off': 'Outside Off',
+            'outside-leg': 'Outside Leg',
+            'full-toss': 'Full Toss',
+            'umpires-call': "Umpire's Call",
+            'hitting': 'Hitting',
+            'missing': 'Missing'
+        };
+
+        // Color each verdict: against the batter, umpire's call, or safe
+        const setVerdict = (el, verdict, against) => {
+            if (!el) return;
+            el.textContent = labels[verdict] || verdict;
+            el.className = 'lbw-verdict ' + (verdict === 'umpires-call' ? 'call' : (against ? 'against' : 'safe'));
+        };
+
+        setVerdict(this.elements.lbwPitching, review.pitching, review.pitching !== 'outside-leg');
+        setVerdict(this.elements.lbwImpact, review.impact,
+            review.impact === 'in-line' || (review.impact === 'outside-off' && !review.playedShot));
+        setVerdict(this.elements.lbwWickets, review.wickets, review.wickets === 'hitting');
+
+        if (this.elements.lbwDecision) {
+            this.elements.lbwDecision.textContent = review.out ? 'OUT' : 'NOT OUT';
+            this.elements.lbwDecision.className = 'lbw-decision ' + (review.out ? 'against' : 'safe');
+        }
+
+        this.elements.lbwReview.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the LBW review panel
+     */
+    hideLbwReview() {
+        if (this.elements.lbwReview) this.elements.lbwReview.classList.add('hidden');
+    }
+
     /**
      * Show Get Ready warning
      */
@@ -610,26 +1183,352 @@ export class UI {
 
     /**
      * Show Game Over Screen
+     * @param {Object} summary - Innings summary from MatchFormat.getInningsSummary
      */
-    showGameOver(runs, wickets, balls) {
+    showGameOver(summary) {
         if (!this.elements.gameOverScreen) return;
 
-        this.elements.finalRuns.textContent = runs;
-        this.elements.finalWickets.textContent = wickets;
+        this.elements.finalRuns.textContent = summary.runs;
+        this.elements.finalWickets.textContent = summary.wickets;
 
-        const overs = Math.floor(balls / 6) + '.' + (balls % 6);
-        this.elements.finalOvers.textContent = overs;
+        this.elements.finalOvers.textContent = summary.oversLimit
+            ? `${summary.overs} / ${summary.oversLimit}`
+            : summary.overs;
+
+        if (this.elements.finalFormat) this.elements.finalFormat.textContent = summary.format;
+        if (this.elements.finalRunRate) this.elements.finalRunRate.textContent = summary.runRate.toFixed(2);
+        if (this.elements.finalBoundaries) {
+            this.elements.finalBoundaries.textContent = `${summary.fours} × 4s, ${summary.sixes} × 6s`;
+        }
+        if (this.elements.finalReason) {
+            const reasons = { 'all-out': 'All out', 'overs': 'Overs completed', 'target': 'Target reached' };
+            this.elements.finalReason.textContent = reasons[summary.reason] || '';
+        }
 
         this.elements.gameOverScreen.classList.add('visible');
     }
 
     /**
-     * Hide Game Over Screen
+     * Show Chase Result Screen (win / loss / tie)
+     * @param {Object} result - From ChaseMode.getResult
+     * @param {Object} summary - Innings summary from MatchFormat.getInningsSummary
+     * @param {number} target - Runs that were needed to win
+     */
+    showChaseResult(result, summary, target, leaves = { goodLeaves: 0, bonus: 0 }) {
+        if (!this.elements.matchResultScreen) {
+            this.showGameOver(summary);
+            return;
+        }
+
+        const titles = { win: 'YOU WIN!', loss: 'YOU LOSE', tie: 'MATCH TIED' };
+        this.elements.resultTitle.textContent = titles[result.outcome];
+        this.elements.resultText.textContent = result.text;
+        this.elements.resultRuns.textContent = summary.runs;
+        this.elements.resultWickets.textContent = summary.wickets;
+        this.elements.resultOvers.textContent = summary.overs;
+        this.elements.resultTarget.textContent = target;
+        if (this.elements.resultLeaves) {
+            this.elements.resultLeaves.textContent = `${leaves.goodLeaves} (+${leaves.bonus} pts)`;
+        }
+
+        const screen = this.elements.matchResultScreen;
+        screen.classList.remove('win', 'loss', 'tie');
+        screen.classList.add(result.outcome, 'visible');
+    }
+
+    /**
+     * Show the full batting scorecard
+     * @param {Object} card - From Scorecard.build
+     */
+    showScorecard(card) {
+        if (!this.elements.scorecardScreen) return;
+
+        const { total, extras } = card;
+        this.elements.scorecardFormat.textContent = card.format;
+        this.elements.scorecardTotal.textContent =
+            `${total.runs}/${total.wickets} (${total.overs} ov, RR ${total.runRate.toFixed(2)})`;
+
+        // Batting
+        const batting = this.elements.scorecardBatting;
+        batting.innerHTML = '';
+        card.batters.forEach(batter => {
+            const row = document.createElement('tr');
+            if (!batter.isOut) row.classList.add('not-out');
+
+            [
+                batter.name,
+                batter.howOut,
+                batter.runs,
+                batter.balls,
+                batter.fours,
+                batter.sixes,
+                batter.strikeRate.toFixed(1)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            batting.appendChild(row);
+        });
+
+        // Extras
+        this.elements.scorecardExtras.textContent =
+            `${extras.total} (wd ${extras.wides}, nb ${extras.noBalls}, b ${extras.byes}, lb ${extras.legByes})`;
+
+        // Fall of wickets
+        this.elements.scorecardFow.textContent = card.fallOfWickets.length
+            ? card.fallOfWickets.map(fow => `${fow.wicket}-${fow.runs} (${fow.batter}, ${fow.overs} ov)`).join(', ')
+            : '-';
+
+        // Partnerships
+        const partnerships = this.elements.scorecardPartnerships;
+        partnerships.innerHTML = '';
+        card.partnerships.forEach(stand => {
+            const row = document.createElement('div');
+            row.className = 'scorecard-partnership';
+
+            const names = document.createElement('span');
+            names.textContent = `${stand.wicket}${this.getOrdinalSuffix(stand.wicket)} wkt: ${stand.batters.join(' & ')}`;
+            const score = document.createElement('span');
+            score.textContent = `${stand.runs}${stand.unbroken ? '*' : ''} (${stand.balls})`;
+
+            row.append(names, score);
+            partnerships.appendChild(row);
+        });
+
+        // Shot intent
+        if (this.elements.scorecardIntent) {
+            const { leaves, goodLeaves, defended, playAndMiss, beaten } = card.intent;
+            this.elements.scorecardIntent.textContent =
+                `Left ${leaves} (${goodLeaves} outside off) · Defended ${defended} · ` +
+                `Played & missed ${playAndMiss} · Beaten ${beaten}`;
+        }
+
+        // Run rate by over (bar height = runs in the over)
+        const overs = this.elements.scorecardOvers;
+        overs.innerHTML = '';
+        const maxRuns = Math.max(6, ...card.overs.map(over => over.runs));
+        card.overs.forEach(over => {
+            const column = document.createElement('div');
+            column.className = 'scorecard-over';
+            if (over.wickets > 0) column.classList.add('wicket');
+            column.title = `Over ${over.over}: ${over.runs} runs, ${over.wickets} wkt, RR ${over.runRate.toFixed(2)}`;
+
+            const runs = document.createElement('span');
+            runs.textContent = over.runs;
+            const bar = document.createElement('div');
+            bar.className = 'scorecard-over-bar';
+            bar.style.height = `${(over.runs / maxRuns) * 60}px`;
+            const label = document.createElement('span');
+            label.textContent = over.over;
+
+            column.append(runs, bar, label);
+            overs.appendChild(column);
+        });
+
+        this.elements.scorecardScreen.classList.add('visible');
+    }
+
+    /**
+     * Show the per-delivery summary at the end of a bowling machine session
+     * @param {Object} summary - From BowlingMachine.getSummary
+     */
+    showMachineSummary({ rows, totals }) {
+        if (!this.elements.machineSummaryScreen) return;
+
+        this.elements.machineSummaryScore.textContent = `${totals.runs} (${totals.balls})`;
+        this.elements.machineSummaryTotals.textContent =
+            `${totals.dots} dots · ${totals.boundaries} boundaries · ${totals.missed} missed · ` +
+            `${totals.dismissals} out · ${totals.goodLeaves} good leaves (+${totals.leaveBonus} pts)`;
+
+        const body = this.elements.machineSummaryRows;
+        body.innerHTML = '';
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            [row.ball, row.delivery, row.result, row.intent, row.contact, row.dismissal || '-'].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                tr.appendChild(cell);
+            });
+            body.appendChild(tr);
+        });
+
+        this.elements.machineSummaryScreen.classList.add('visible');
+    }
+
+    hideMachineSummary() {
+        if (this.elements.machineSummaryScreen) {
+            this.elements.machineSummaryScreen.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Hot seat: ask the next player to step up to the camera
+     * @param {string} name - Player in next
+     * @param {string} info - e.g. "New innings" or "23/1 (2.0 ov) so far"
+     * @param {Array} standings - From HotSeat.getLeaderboard
+     */
+    showHandover(name, info, standings) {
+        if (!this.elements.handoverScreen) return;
+
+        this.elements.handoverName.textContent = name;
+        this.elements.handoverInfo.textContent = info;
+        this.fillLeaderboardRows(this.elements.handoverStandings, standings,
+            player => [player.rank, player.name, player.runs, player.balls, player.strikeRate.toFixed(1)]);
+
+        this.elements.handoverScreen.classList.add('visible');
+    }
+
+    hideHandover() {
+        if (this.elements.handoverScreen) {
+            this.elements.handoverScreen.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Hot seat: final standings once every innings is over
+     * @param {Array} leaderboard - From HotSeat.getLeaderboard
+     */
+    showLeaderboard(leaderboard) {
+        if (!this.elements.leaderboardScreen) return;
+
+        const winner = leaderboard[0];
+        this.elements.leaderboardWinner.textContent = `🏆 ${winner.name} wins with ${winner.runs}`;
+        this.fillLeaderboardRows(this.elements.leaderboardRows, leaderboard, player => [
+            player.rank,
+            player.name,
+            `${player.runs}/${player.wickets}`,
+            player.balls,
+            player.strikeRate.toFixed(1),
+            player.fours,
+            player.sixes
+        ]);
+
+        this.elements.leaderboardScreen.classList.add('visible');
+    }
+
+    hideLeaderboard() {
+        if (this.elements.leaderboardScreen) {
+            this.elements.leaderboardScreen.classList.remove('visible');
+        }
+    }
+
+    /**
+     * One table row per player
+     * @param {Function} getCells - player → cell values
+     */
+    fillLeaderboardRows(body, players, getCells) {
+        body.innerHTML = '';
+        players.forEach(player => {
+            const tr = document.createElement('tr');
+            getCells(player).forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                tr.appendChild(cell);
+            });
+            body.appendChild(tr);
+        });
+    }
+
+    /**
+     * Result of checking the machine script, under the editor
+     * @param {string} text - e.g. "12 deliveries" or the parse error
+     * @param {boolean} isError
+     */
+    setMachineScriptStatus(text, isError) {
+        if (!this.elements.machineScriptStatus) return;
+        this.elements.machineScriptStatus.textContent = text;
+        this.elements.machineScriptStatus.classList.toggle('error', isError);
+    }
+
+    /**
+     * Network bowler connection state, under the server address
+     */
+    setNetworkStatus(text, isError) {
+        if (!this.elements.networkStatus) return;
+        this.elements.networkStatus.textContent = text;
+        this.elements.networkStatus.classList.toggle('error', isError);
+    }
+
+    /**
+     * Show the action replay banner
+     * @param {string} title - e.g. "SIX!", "BOWLED"
+     * @param {Object} options - { speed, view } currently selected
+     */
+    showActionReplay(title, { speed, view }) {
+        if (!this.elements.actionReplay) return;
+
+        this.elements.actionReplayTitle.textContent = title;
+        this.setActionReplaySpeed(speed);
+        this.elements.actionReplayView.value = view;
+        this.elements.actionReplay.classList.remove('hidden');
+    }
+
+    hideActionReplay() {
+        if (this.elements.actionReplay) {
+            this.elements.actionReplay.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Highlight the selected replay speed
+     */
+    setActionReplaySpeed(speed) {
+        if (!this.elements.actionReplaySpeeds) return;
+        this.elements.actionReplaySpeeds.querySelectorAll('button').forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+        });
+    }
+
+    /**
+     * Save an object as a JSON file download
+     */
+    downloadJson(filename, data) {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Hide the scorecard
+     */
+    hideScorecard() {
+        if (this.elements.scorecardScreen) {
+            this.elements.scorecardScreen.classList.remove('visible');
+        }
+    }
+
+    /**
+     * "st", "nd", "rd" or "th" for a number
+     */
+    getOrdinalSuffix(n) {
+        if (n % 100 >= 11 && n % 100 <= 13) return 'th';
+        return { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+    }
+
+    /**
+     * Hide Game Over (and Chase Result) Screen
      */
     hideGameOver() {
         if (this.elements.gameOverScreen) {
             this.elements.gameOverScreen.classList.remove('visible');
         }
+        if (this.elements.matchResultScreen) {
+            this.elements.matchResultScreen.classList.remove('visible');
+        }
+        this.hideScorecard();
+        this.hideMachineSummary();
+        this.hideHandover();
+        this.hideLeaderboard();
     }
 
     /**
@@ -0,0 +1,385 @@
+/**
+ * Bowler Server - Reference server for a human bowler on a second device
+ *
+ * No dependencies; needs Node 20.19+ (or 22.12+) to load the game's own
+ * ES modules for the protocol and the delivery names. Serves the game
+ * files and relays messages between the bowler page and the batting
+ * game over WebSocket (protocol in js/netProtocol.js):
+ *
+ *   node server/bowlerServer.mjs [port]
+ *
+ * Bat at http://localhost:8080/ (the webcam needs localhost or https)
+ * and open http://<this computer's address>:8080/bowler.html on the
+ * bowler's phone or laptop.
+ *
+ * The server owns the clock: it stamps each delivery with a release
+ * time far enough ahead to reach the batter, and numbers everything it
+ * relays so clients can pick up where they left off after a reconnect.
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+import { GAME_CONFIG } from '../js/config.js';
+import { Bowling } from '../js/bowling.js';
+import { PROTOCOL_VERSION, ROLES, encodeMessage, decodeMessage, checkDelivery } from '../js/netProtocol.js';
+
+const config = GAME_CONFIG.network;
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const bowling = new Bowling();
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.glb': 'model/gltf-binary',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// ===========================================
+// WEBSOCKET - Just enough of RFC 6455 for small text messages
+// ===========================================
+
+class Connection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        // Set once the client has said hello
+        this.role = null;
+        this.room = null;
+        this.clientId = null;
+        this.rtt = null;
+
+        // Callbacks
+        this.onText = null;
+        this.onClose = null;
+
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.socket.destroy());
+    }
+
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2 && !this.closed) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Browsers always mask; anything else isn't a browser client
+            if (!masked) return this.close(1002);
+            if (length > config.maxMessageBytes) return this.close(1009);
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case 0x0: // Continuation
+            case 0x1: // Text
+                this.fragments.push(payload);
+                if (!fin) return;
+                if (this.onText) this.onText(Buffer.concat(this.fragments.splice(0)).toString('utf8'));
+                break;
+            case 0x8: // Close
+                this.close(1000);
+                break;
+            case 0x9: // Ping
+                this.sendFrame(0xa, payload);
+                break;
+        }
+    }
+
+    send(text) {
+        this.sendFrame(0x1, Buffer.from(text, 'utf8'));
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header.writeUInt16BE(payload.length, 2);
+            header[1] = 126;
+        } else {
+            header = Buffer.alloc(10);
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+            header[1] = 127;
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.sendFrame(0x8, payload);
+        this.closed = true;
+        this.socket.end();
+    }
+
+    handleClose() {
+        this.closed = true;
+        if (this.onClose) this.onClose();
+    }
+}
+
+// ===========================================
+// ROOMS - One bowler and one batter each
+// ===========================================
+
+const rooms = new Map();
+
+function getRoom(name) {
+    if (!rooms.has(name)) {
+        rooms.set(name, {
+            name,
+            seq: 0,
+            clients: { bowler: null, batter: null },
+            history: [],                // [{ seq, to: [roles], text }]
+            deliveries: new Map()       // Delivery id → relayed text (for resends)
+        });
+    }
+    return rooms.get(name);
+}
+
+function getPeers(room) {
+    return { bowler: !!room.clients.bowler, batter: !!room.clients.batter };
+}
+
+/**
+ * Number a message, keep it for reconnects and send it to the given roles
+ * @returns {string} - The relayed text
+ */
+function relay(room, to, type, fields) {
+    room.seq++;
+    const text = encodeMessage(type, { ...fields, seq: room.seq });
+    room.history.push({ seq: room.seq, to, text });
+    if (room.history.length > config.historySize) room.history.shift();
+
+    to.forEach(role => {
+        if (room.clients[role]) room.clients[role].send(text);
+    });
+    return text;
+}
+
+function sendError(connection, code, message, fatal = false) {
+    connection.send(encodeMessage('error', { code, message }));
+    if (fatal) connection.close(1008);
+}
+
+function handleHello(connection, message) {
+    if (message.version !== PROTOCOL_VERSION) {
+        sendError(connection, 'version',
+            `Protocol version ${message.version} does not match the server (${PROTOCOL_VERSION}) - reload the page`, true);
+        return;
+    }
+    if (!ROLES.includes(message.role) || typeof message.room !== 'string' || !message.room || message.room.length > 40) {
+        sendError(connection, 'bad-message', 'Hello needs a role and a room name', true);
+        return;
+    }
+
+    const room = getRoom(message.room);
+    const existing = room.clients[message.role];
+    if (existing && existing.clientId !== message.clientId) {
+        sendError(connection, 'room-full', `Room "${room.name}" already has a ${message.role}`, true);
+        return;
+    }
+    // Same client reconnecting before its old socket timed out
+    if (existing) {
+        existing.onClose = null;
+        existing.close(1000);
+    }
+
+    connection.role = message.role;
+    connection.room = room;
+    connection.clientId = message.clientId;
+    room.clients[message.role] = connection;
+
+    connection.send(encodeMessage('welcome', {
+        version: PROTOCOL_VERSION,
+        serverTime: Date.now(),
+        lastSeq: room.seq,
+        peers: getPeers(room)
+    }));
+
+    // Anything missed while disconnected
+    const lastSeq = Number(message.lastSeq) || 0;
+    room.history
+        .filter(entry => entry.seq > lastSeq && entry.to.includes(message.role))
+        .forEach(entry => connection.send(entry.text));
+
+    const other = message.role === 'bowler' ? 'batter' : 'bowler';
+    if (room.clients[other]) {
+        room.clients[other].send(encodeMessage('peer', { role: message.role, connected: true }));
+    }
+    console.log(`📡 ${message.role} joined room "${room.name}"${existing ? ' (reconnect)' : ''}`);
+}
+
+function handleDelivery(connection, message) {
+    const { room } = connection;
+
+    // Resent after a reconnect: already relayed, just confirm it
+    if (room.deliveries.has(message.id)) {
+        connection.send(room.deliveries.get(message.id));
+        return;
+    }
+
+    let delivery;
+    try {
+        delivery = checkDelivery(message.delivery, bowling);
+    } catch (error) {
+        sendError(connection, 'bad-message', error.message);
+        return;
+    }
+    if (!room.clients.batter) {
+        sendError(connection, 'no-batter', 'No batter in the room yet');
+        return;
+    }
+
+    // Far enough ahead for the batter to receive it before release
+    const batterLatency = (room.clients.batter.rtt || 0) / 2;
+    const releaseAt = Date.now() + config.releaseLead + batterLatency;
+
+    const text = relay(room, ['bowler', 'batter'], 'delivery', { id: message.id, delivery, releaseAt });
+    room.deliveries.set(message.id, text);
+    console.log(`🎳 Room "${room.name}": ${message.id} released in ${Math.round(releaseAt - Date.now())}ms`);
+}
+
+function handleMessage(connection, text) {
+    let message;
+    try {
+        message = decodeMessage(text);
+    } catch (error) {
+        sendError(connection, 'bad-message', error.message);
+        return;
+    }
+
+    if (!connection.room) {
+        if (message.type === 'hello') handleHello(connection, message);
+        else sendError(connection, 'bad-message', 'Say hello first', true);
+        return;
+    }
+
+    const { room, role } = connection;
+    switch (message.type) {
+        case 'ping':
+            connection.rtt = message.rtt;
+            connection.send(encodeMessage('pong', { clientTime: message.clientTime, serverTime: Date.now() }));
+            break;
+        case 'delivery':
+            if (role === 'bowler') handleDelivery(connection, message);
+            break;
+        case 'ready':
+        case 'reject':
+        case 'result':
+            if (role === 'batter') {
+                const { type, seq, ...fields } = message;
+                relay(room, ['bowler'], type, fields);
+            }
+            break;
+        default:
+            sendError(connection, 'bad-message', `Unknown message "${message.type}"`);
+    }
+}
+
+function handleClose(connection) {
+    const { room, role } = connection;
+    if (!room || room.clients[role] !== connection) return;
+
+    room.clients[role] = null;
+    const other = role === 'bowler' ? 'batter' : 'bowler';
+    if (room.clients[other]) {
+        room.clients[other].send(encodeMessage('peer', { role, connected: false }));
+    }
+    console.log(`📡 ${role} left room "${room.name}"`);
+}
+
+// ===========================================
+// HTTP - Game files and the WebSocket upgrade
+// ===========================================
+
+const server = http.createServer(async (request, response) => {
+    try {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        const file = path.join(root, decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+        if (request.method !== 'GET' || !file.startsWith(root + path.sep)) throw new Error('Not allowed');
+
+        const body = await readFile(file);
+        response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(body);
+    } catch (error) {
+        response.writeHead(404).end('Not found');
+    }
+});
+
+server.on('upgrade', (request, socket) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const key = request.headers['sec-websocket-key'];
+    if (pathname !== config.path || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const connection = new Connection(socket);
+    connection.onText = (text) => handleMessage(connection, text);
+    connection.onClose = () => handleClose(connection);
+});
+
+const port = parseInt(process.argv[2] || process.env.PORT, 10) || config.port;
+server.listen(port, () => {
+    const addresses = Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+
+    console.log(`🏏 Batter:  http://localhost:${port}/`);
+    addresses.forEach(address => console.log(`🎳 Bowler:  http://${address}:${port}/bowler.html`));
+    console.log(`📡 WebSocket on ${config.path} (protocol v${PROTOCOL_VERSION})`);
+});
@@ -0,0 +1,243 @@
+/**
+ * Physics Harness - Headless batch runs of Physics.hit for balance tuning
+ *
+ * Runs the game's own Physics (cannon-es, no DOM or Three.js) over a grid
+ * of shots: every combination of bat speed, bat zone, timing, launch
+ * angle and bowl speed. Each shot is hit from the batter's crease and
+ * stepped with Physics.update until it stops or reaches the rope, then
+ * scored with calculateRuns exactly as the game does.
+ *
+ *   node tools/physicsHarness.mjs [--grid grid.json] [--format csv|json] [--out file] [--outfield fast]
+ *   node tools/physicsHarness.mjs --check tools/baseline.csv [--tolerance 0.1]
+ *
+ * Needs Node 20.19+ and cannon-es where Node can find it
+ * (`npm install --no-save cannon-es` in the repo root; `node_modules/` is git-ignored).
+ *
+ * Output is deterministic (Physics.random is pinned, or with --seed every
+ * shot draws from the game's PRNG started at that seed), so a baseline
+ * file kept in git turns a change to batEnergyCoefficient, powerBoost,
+ * restitution or rolling resistance into a readable diff; --check lists the shots that moved
+ * and exits with code 1.
+ *
+ * A grid file has any of the DEFAULT_GRID keys; timing is a name from
+ * GAME_CONFIG.collision.timingMultipliers or a multiplier, bowlSpeed is
+ * in m/s or a Bowling speed name.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { GAME_CONFIG, calculateRuns } from '../js/config.js';
+import { Bowling } from '../js/bowling.js';
+import { gameRandom } from '../js/random.js';
+
+export const DEFAULT_GRID = {
+    batSpeed: [2, 5, 8, 12, 18],                        // m/s
+    zone: ['middle', 'lower', 'toe', 'shoulder', 'edge'],
+    timing: ['perfect', 'good', 'okay', 'poor'],
+    launchAngle: [5, 12, 22, 30],                       // degrees
+    bowlSpeed: ['medium', 'fast'],
+    direction: [0],                                     // x of the shot direction (+ = off side)
+    contactHeight: [1.5]                                // ball height at contact
+};
+
+const COLUMNS = [
+    'batSpeed', 'zone', 'timing', 'launchAngle', 'bowlSpeed', 'direction', 'contactHeight',
+    'exitSpeed', 'carry', 'distance', 'maxHeight', 'bounces', 'time', 'runs'
+];
+const INPUTS = COLUMNS.slice(0, 7);
+
+const STEP = GAME_CONFIG.simulation.fixedStep;   // Same step as the game loop
+const MAX_TIME = 15;    // Seconds before a shot is scored where it is
+
+/**
+ * Every combination of the grid values
+ * @returns {Array} - [{ batSpeed, zone, timing, ... }]
+ */
+export function expandGrid(grid) {
+    const full = { ...DEFAULT_GRID, ...grid };
+    return INPUTS.reduce((cases, key) => cases.flatMap(partial =>
+        [].concat(full[key]).map(value => ({ ...partial, [key]: value }))), [{}]);
+}
+
+/**
+ * Physics.hit arguments for a grid case
+ */
+export function getHitArgs(shot, bowling = new Bowling()) {
+    const { batZones, collision } = GAME_CONFIG;
+    const isEdge = shot.zone === 'edge';
+
+    const timingMultiplier = typeof shot.timing === 'number' ? shot.timing : collision.timingMultipliers[shot.timing];
+    const bowlSpeed = typeof shot.bowlSpeed === 'number' ? shot.bowlSpeed : bowling.speedMap[shot.bowlSpeed];
+    const zoneMultiplier = isEdge ? batZones.edgeMultiplier : batZones[shot.zone]?.multiplier;
+    if (timingMultiplier === undefined) throw new Error(`Unknown timing "${shot.timing}"`);
+    if (bowlSpeed === undefined) throw new Error(`Unknown bowl speed "${shot.bowlSpeed}"`);
+    if (zoneMultiplier === undefined) throw new Error(`Unknown zone "${shot.zone}"`);
+
+    // Forward direction as handleHit builds it (only x steers the shot)
+    const mag = Math.sqrt(shot.direction ** 2 + 1);
+    const direction = { x: shot.direction / mag, y: 0, z: 1 / mag };
+    const deflection = isEdge ? batZones.edgeDeflection : 0;
+
+    return [direction, shot.batSpeed, zoneMultiplier, deflection, bowlSpeed, shot.launchAngle, timingMultiplier, shot.zone];
+}
+
+/**
+ * Hit one shot and follow it until it stops or crosses the rope
+ * @param {Physics} physics - Initialised world, reused between shots
+ * @returns {Object} - The shot plus { exitSpeed, carry, distance, maxHeight, bounces, time, runs }
+ */
+export function simulateShot(physics, shot, bowling) {
+    physics.resetBall(0, shot.contactHeight, GAME_CONFIG.extras.batterZ);
+    physics.time = 0;   // Same wind gusts for every shot
+    physics.hit(...getHitArgs(shot, bowling));
+
+    const v = physics.getBallVelocity();
+    const exitSpeed = Math.sqrt(v.x ** 2 + v.y ** 2 + v.z ** 2);
+    let carry = null;
+    let maxHeight = shot.contactHeight;
+    let distance = 0;
+    let time = 0;
+
+    while (time < MAX_TIME) {
+        physics.update(STEP);
+        time += STEP;
+
+        distance = physics.getDistanceFromStumps();
+        maxHeight = Math.max(maxHeight, physics.getBallPosition().y);
+        if (carry === null && physics.bounceCount > 0) carry = distance;
+
+        // Same end conditions as CricketARGame.updateBallVisuals
+        if (physics.checkBoundary(distance) || physics.isBallStopped()) break;
+    }
+
+    const round = (value, places = 2) => (value === null ? null : Number(value.toFixed(places)));
+    return {
+        ...shot,
+        exitSpeed: round(exitSpeed),
+        carry: round(carry ?? distance),
+        distance: round(distance),
+        maxHeight: round(maxHeight),
+        bounces: physics.bounceCount,
+        time: round(time),
+        runs: calculateRuns(distance, physics.hasBounced)
+    };
+}
+
+export function toCsv(rows) {
+    return [COLUMNS.join(','), ...rows.map(row => COLUMNS.map(key => row[key]).join(','))].join('\n') + '\n';
+}
+
+export function fromCsv(text) {
+    const [header, ...lines] = text.trim().split('\n');
+    const keys = header.split(',');
+    return lines.map(line => Object.fromEntries(line.split(',').map((value, i) => {
+        const number = Number(value);
+        return [keys[i], value !== '' && !isNaN(number) ? number : value];
+    })));
+}
+
+/**
+ * Shots whose results moved against a baseline
+ * @param {number} tolerance - Metres a distance may move before it counts
+ * @returns {Array} - [{ key, changes: ['distance 41.2 → 44.0', ...] }]
+ */
+export function compareResults(baseline, rows, tolerance) {
+    const keyOf = row => INPUTS.map(key => row[key]).join(' ');
+    const previous = new Map(baseline.map(row => [keyOf(row), row]));
+
+    return rows.map(row => {
+        const before = previous.get(keyOf(row));
+        if (!before) return { key: keyOf(row), changes: ['new shot'] };
+
+        const changes = ['runs', 'bounces', 'carry', 'distance', 'maxHeight']
+            .filter(key => (key === 'runs' || key === 'bounces'
+                ? before[key] !== row[key]
+                : Math.abs(before[key] - row[key]) > tolerance))
+            .map(key => `${key} ${before[key]} → ${row[key]}`);
+        return { key: keyOf(row), changes };
+    }).filter(diff => diff.changes.length > 0);
+}
+
+function parseArgs(argv) {
+    const args = { format: 'csv', tolerance: 0.1, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--verbose') args.verbose = true;
+        else if (flag === '--help') args.help = true;
+        else if (['--grid', '--format', '--out', '--check', '--tolerance', '--seed', '--outfield'].includes(flag)) args[flag.slice(2)] = argv[++i];
+        else throw new Error(`Unknown option "${flag}"`);
+    }
+    args.tolerance = Number(args.tolerance);
+
+    const outfields = Object.keys(GAME_CONFIG.physics.outfieldSpeeds).filter(key => key !== 'default');
+    if (args.outfield !== undefined && !outfields.includes(args.outfield)) {
+        throw new Error(`Unknown outfield "${args.outfield}" (${outfields.join(', ')})`);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: node tools/physicsHarness.mjs [--grid grid.json] [--format csv|json] [--out file] [--check baseline] [--tolerance m] [--seed n] [--outfield lush|medium|fast] [--verbose]');
+        return;
+    }
+
+    let Physics;
+    try {
+        ({ Physics } = await import('../js/physics.js'));
+    } catch (error) {
+        if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+        console.error('cannon-es not found - run `npm install --no-save cannon-es` in the repo root');
+        process.exit(2);
+    }
+
+    const grid = args.grid ? JSON.parse(await readFile(args.grid, 'utf8')) : {};
+    const shots = expandGrid(grid);
+    const bowling = new Bowling();
+
+    // Physics logs every hit and bounce
+    const log = console.log;
+    if (!args.verbose) console.log = () => {};
+    const physics = new Physics().init();
+    if (args.outfield !== undefined) physics.setOutfieldSpeed(args.outfield);
+    if (args.seed === undefined) physics.random = () => 0.5; // Middle of every random spread, same every run
+    const rows = shots.map(shot => {
+        // Seeded per shot, so a shot's result doesn't depend on the grid before it
+        if (args.seed !== undefined) gameRandom.setSeed(args.seed);
+        return simulateShot(physics, shot, bowling);
+    });
+    console.log = log;
+
+    if (args.check) {
+        const text = await readFile(args.check, 'utf8');
+        const baseline = path.extname(args.check) === '.json' ? JSON.parse(text).rows : fromCsv(text);
+        const diffs = compareResults(baseline, rows, args.tolerance);
+        diffs.forEach(({ key, changes }) => console.log(`${key}: ${changes.join(', ')}`));
+        console.log(`${diffs.length} of ${rows.length} shots changed against ${args.check}`);
+        process.exitCode = diffs.length > 0 ? 1 : 0;
+        return;
+    }
+
+    const { batEnergyCoefficient, reboundEnergyCoefficient, powerBoost, restitution, rolling, aero } = GAME_CONFIG.physics;
+    const config = { batEnergyCoefficient, reboundEnergyCoefficient, powerBoost, restitution, rolling, outfield: physics.outfieldSpeed, aero };
+    const output = args.format === 'json'
+        ? JSON.stringify({ config, seed: args.seed ?? null, rows }, null, 2) + '\n'
+        : toCsv(rows);
+
+    if (args.out) {
+        await writeFile(args.out, output);
+        console.log(`${rows.length} shots written to ${args.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}